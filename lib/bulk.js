@@ -0,0 +1,167 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Default number of messages sent at the same time
+   *
+   * @constant
+   */
+  var _DEFAULT_CONCURRENCY = 5;
+
+  /**
+   * Key used to spot the same recipient written in different ways
+   *
+   * @param {string} to - Recipient number
+   * @returns {string}
+   * @private
+   */
+  var recipientKey = function recipientKey (to) {
+    return String(to).replace(/[^\d]/g, '');
+  };
+
+  /**
+   * Turn the bulk input into one message object per unique recipient
+   *
+   * @param {Array} messages - Recipient numbers or `{ from, to, text }` objects
+   * @param {Object} options - Defaults for `from` and `text`, and an optional `recipientKey(to)`
+   * @returns {Object} `{ messages, duplicates }`
+   */
+  var prepare = function prepare (messages, options) {
+    var keyOf = options.recipientKey || recipientKey;
+    var seen = {};
+    var result = { messages: [], duplicates: [] };
+
+    messages.forEach(function (item) {
+      var message = typeof item === 'object' && item !== null ? item : { to: item };
+      var key = message.to ? keyOf(message.to) : '';
+
+      message = {
+        from: message.from || options.from,
+        to: message.to,
+        text: message.text || options.text
+      };
+
+      if (key && seen[key]) {
+        result.duplicates.push(message.to);
+        return;
+      }
+
+      seen[key] = true;
+      result.messages.push(message);
+    });
+
+    return result;
+  };
+
+  /**
+   * Sum the price of every part of a send response
+   *
+   * @param {Object} apiResponse - Send response
+   * @returns {number}
+   * @private
+   */
+  var responseCost = function responseCost (apiResponse) {
+    return ((apiResponse && apiResponse.messages) || []).reduce(function (total, message) {
+      return total + (parseFloat(message['message-price']) || 0);
+    }, 0);
+  };
+
+  /**
+   * Send a text message to many recipients with limited concurrency.
+   * A failed recipient never stops the batch, it is reported in the summary.
+   *
+   * @param {Function} sendText - `(from, to, text, callback)` sender
+   * @param {Array} messages - Recipient numbers or `{ from, to, text }` objects
+   * @param {Object} options - `{ from, text, concurrency, onProgress }`
+   * @param {requestCallback} callback - Called with the summary
+   */
+  var send = function send (sendText, messages, options, callback) {
+    var prepared = prepare(messages, options);
+    var queue = prepared.messages.slice();
+    var concurrency = Math.max(1, options.concurrency || _DEFAULT_CONCURRENCY);
+    var active = 0;
+    var summary = {
+      total: prepared.messages.length,
+      duplicates: prepared.duplicates,
+      succeeded: [],
+      failed: [],
+      cost: 0
+    };
+
+    var progress = function progress (entry) {
+      if (options.onProgress) {
+        options.onProgress({
+          total: summary.total,
+          done: summary.succeeded.length + summary.failed.length,
+          succeeded: summary.succeeded.length,
+          failed: summary.failed.length,
+          result: entry
+        });
+      }
+    };
+
+    var next = function next () {
+      if (!queue.length) {
+        if (active === 0) {
+          callback(null, summary);
+        }
+        return;
+      }
+
+      var message = queue.shift();
+      active++;
+
+      sendText(message.from, message.to, message.text, function (err, apiResponse) {
+        var entry;
+
+        active--;
+
+        if (err) {
+          entry = { to: message.to, error: err };
+          summary.failed.push(entry);
+        } else {
+          entry = {
+            to: message.to,
+            messageIds: (apiResponse.messages || []).map(function (part) { return part['message-id']; }),
+            cost: responseCost(apiResponse),
+            response: apiResponse
+          };
+          summary.succeeded.push(entry);
+          summary.cost += entry.cost;
+        }
+
+        progress(entry);
+
+        // Senders may call back synchronously, e.g. for an invalid recipient, do not grow the stack
+        setImmediate(next);
+      });
+    };
+
+    if (!queue.length) {
+      return callback(null, summary);
+    }
+
+    for (var idx = 0; idx < concurrency && queue.length; idx++) {
+      next();
+    }
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = {
+    prepare: prepare,
+    send: send
+  };
+})();
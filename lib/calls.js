@@ -0,0 +1,375 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var util = require('util');
+  var crypto = require('crypto');
+  var EventEmitter = require('events').EventEmitter;
+  var MemoryStore = require('./memory-store');
+  var webhook = require('./webhook');
+  var signature = require('./signature');
+  var nodeify = require('./util').nodeify;
+  var asCallback = require('./util').asCallback;
+  var promiseStore = require('./util').promiseStore;
+  var createQueue = require('./util').createQueue;
+
+  /**
+   * Call statuses that were picked up
+   *
+   * @constant
+   */
+  var _ANSWERED = ['answered', 'completed', 'ok', 'machine'];
+
+  /**
+   * Hash a PIN with a salt
+   *
+   * @param {string} pin - PIN
+   * @param {string} salt - Hex salt
+   * @returns {string} Hex digest
+   * @private
+   */
+  var hashPin = function hashPin (pin, salt) {
+    return crypto.createHmac('sha256', salt).update(String(pin)).digest('hex');
+  };
+
+  /**
+   * Compare entered digits to a PIN in constant time
+   *
+   * @param {string} digits - Digits entered on the keypad
+   * @param {string} pin - Expected PIN
+   * @returns {boolean}
+   */
+  var comparePin = function comparePin (digits, pin) {
+    if (digits === undefined || digits === null || pin === undefined || pin === null) {
+      return false;
+    }
+
+    var salt = crypto.randomBytes(16).toString('hex');
+
+    return crypto.timingSafeEqual(Buffer.from(hashPin(digits, salt), 'hex'), Buffer.from(hashPin(pin, salt), 'hex'));
+  };
+
+  /**
+   * Build a call status from Nexmo voice callback parameters
+   *
+   * @param {Object} params - Callback parameters
+   * @returns {Object} Call status, or null when required parameters are missing
+   */
+  var parseCallStatus = function parseCallStatus (params) {
+    if (!params || !params.call_id) {
+      return null;
+    }
+
+    var status = String(params.call_status || params.status || 'unknown').toLowerCase();
+    var machine = status === 'machine' || /^(true|machine|1)$/i.test(params.machine_detection || params.machine || '');
+    var endedAt = webhook.parseTimestamp(params.call_end);
+    var answered = _ANSWERED.indexOf(status) !== -1 || machine;
+
+    if (machine) {
+      status = 'machine';
+    } else if (answered && (endedAt || status === 'ok')) {
+      status = 'completed';
+    }
+
+    return {
+      callId: params.call_id,
+      to: params.to,
+      status: status,
+      answered: answered,
+      machine: machine,
+      completed: status === 'completed',
+      final: status !== 'answered',
+      digits: params.digits !== undefined && params.digits !== '' ? String(params.digits) : undefined,
+      requestedAt: webhook.parseTimestamp(params.call_request),
+      startedAt: webhook.parseTimestamp(params.call_start),
+      endedAt: endedAt,
+      duration: params.call_duration !== undefined ? parseInt(params.call_duration, 10) : undefined,
+      price: params.call_price !== undefined ? parseFloat(params.call_price) : undefined,
+      raw: params
+    };
+  };
+
+  /**
+   * Compare the digits collected to the PIN of a record, in constant time
+   *
+   * @param {Object} record - Stored record with `pinHash` and `pinSalt`
+   * @param {string} digits - Digits collected, or undefined
+   * @returns {boolean}
+   * @private
+   */
+  var matchPin = function matchPin (record, digits) {
+    return digits !== undefined && crypto.timingSafeEqual(
+      Buffer.from(hashPin(digits, record.pinSalt), 'hex'),
+      Buffer.from(record.pinHash, 'hex'));
+  };
+
+  /**
+   * Copy of a stored record without the PIN hash
+   *
+   * @param {Object} record - Stored record
+   * @returns {Object}
+   * @private
+   */
+  var publicRecord = function publicRecord (record) {
+    var copy = {};
+
+    for (var key in record) {
+      if (key !== 'pinHash' && key !== 'pinSalt') {
+        copy[key] = record[key];
+      }
+    }
+
+    return copy;
+  };
+
+  /**
+   * Voice call status webhook handler for TTS and TTS prompt calls.
+   *
+   * Keeps the latest status of every call id in `store` and emits `status`
+   * for every callback, then `machine`, `completed`, `answered` or `failed`.
+   * Calls tracked with a PIN get `pinMatched`, the digits collected being
+   * compared to it in constant time; the PIN itself is only kept as a hash.
+   *
+   * @param {Object} options - Optional, `{ store, signatureSecret, signatureMethod, maxAge }`
+   */
+  var CallStatusHandler = function CallStatusHandler (options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    this.store = options.store || new MemoryStore();
+    this._store = promiseStore(this.store);
+    this._serialize = createQueue();
+    this._verify = options.signatureSecret ? signature.createVerifier(options) : null;
+    this._waiters = new webhook.Waiters();
+
+    webhook.bindHandle(this);
+  };
+
+  util.inherits(CallStatusHandler, EventEmitter);
+
+  /**
+   * Handle a call status webhook request
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Server response
+   * @param {Function} next - Optional, Express/Connect next function
+   */
+  CallStatusHandler.prototype.handle = function handle (req, res, next) {
+    var self = this;
+
+    webhook.parseRequest(req, function (err, params) {
+      if (err) {
+        err.statusCode = 400;
+        return webhook.respond(res, next, err);
+      }
+
+      self.receive(params, function (err) {
+        webhook.respond(res, next, err);
+      });
+    });
+  };
+
+  /**
+   * Record a call as requested
+   *
+   * @param {Object} apiResponse - Response of sendTTSMessage or sendTTSPrompt
+   * @param {Object} options - Optional, `{ pin }` to compare the collected digits to
+   * @param {requestCallback} callback - Optional, called once recorded
+   */
+  CallStatusHandler.prototype.track = function track (apiResponse, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    options = options || {};
+    callback = callback || function () {};
+
+    var callId = apiResponse && apiResponse['call-id'];
+
+    if (!callId) {
+      return process.nextTick(function () {
+        callback(null);
+      });
+    }
+
+    var record = {
+      callId: callId,
+      to: apiResponse.to,
+      status: 'requested',
+      final: false,
+      updatedAt: new Date()
+    };
+
+    if (options.pin !== undefined) {
+      record.pinSalt = crypto.randomBytes(16).toString('hex');
+      record.pinHash = hashPin(options.pin, record.pinSalt);
+    }
+
+    // A status may beat the call response back, only add the PIN to it
+    asCallback(self._serialize(callId, function () {
+      return self._store.get(callId).then(function (existing) {
+        if (existing) {
+          existing.pinSalt = record.pinSalt;
+          existing.pinHash = record.pinHash;
+
+          if (record.pinHash) {
+            existing.pinMatched = matchPin(existing, existing.digits);
+          }
+
+          record = existing;
+        }
+
+        return self._store.set(callId, record);
+      });
+    }), function (err) {
+      callback(err || null);
+    });
+  };
+
+  /**
+   * Process already parsed callback parameters
+   *
+   * @param {Object} params - Callback parameters
+   * @param {requestCallback} callback - Called with the status record, or null when not a call status
+   */
+  CallStatusHandler.prototype.receive = function receive (params, callback) {
+    var self = this;
+    var status = parseCallStatus(params);
+
+    callback = callback || function () {};
+
+    var invalid = self._verify && self._verify(params || {});
+
+    if (invalid) {
+      return callback(invalid);
+    }
+
+    if (!status) {
+      return callback(null, null);
+    }
+
+    asCallback(self._serialize(status.callId, function () {
+      return self._store.get(status.callId).then(function (existing) {
+        var record = {
+          callId: status.callId,
+          to: status.to || (existing && existing.to),
+          status: status.status,
+          answered: status.answered,
+          machine: status.machine,
+          completed: status.completed,
+          digits: status.digits,
+          startedAt: status.startedAt,
+          endedAt: status.endedAt,
+          duration: status.duration,
+          price: status.price,
+          final: status.final,
+          updatedAt: new Date()
+        };
+
+        if (existing && existing.pinHash) {
+          record.pinSalt = existing.pinSalt;
+          record.pinHash = existing.pinHash;
+          record.pinMatched = matchPin(existing, status.digits);
+        }
+
+        return self._store.set(record.callId, record).then(function () {
+          return record;
+        });
+      });
+    }), function (err, record) {
+      if (err) {
+          if (self._verify) {
+          self._verify.forget(params || {});
+        }
+        return callback(err);
+      }
+
+      var result = publicRecord(record);
+
+      self.emit('status', result, status);
+
+      if (result.machine) {
+        self.emit('machine', result, status);
+      } else if (result.completed) {
+        self.emit('completed', result, status);
+      } else if (result.answered) {
+        self.emit('answered', result, status);
+      } else {
+        self.emit('failed', result, status);
+      }
+
+      if (result.final) {
+        self._waiters.settle(result.callId, null, result);
+      }
+
+      callback(null, result);
+    });
+  };
+
+  /**
+   * Get the latest known status of a call
+   *
+   * @param {string} callId - Call id returned when the call was requested
+   * @param {requestCallback} callback - Called with the status record, or undefined when unknown
+   */
+  CallStatusHandler.prototype.get = function get (callId, callback) {
+    this.store.get(callId, function (err, record) {
+      callback(err, record ? publicRecord(record) : record);
+    });
+  };
+
+  /**
+   * Wait for the final status of a call
+   *
+   * @param {string} callId - Call id
+   * @param {Object} options - Optional, `{ timeout }` in milliseconds
+   * @param {requestCallback} callback - Optional, called with the final status record
+   * @returns {Promise}
+   */
+  CallStatusHandler.prototype.waitFor = function waitFor (callId, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    options = options || {};
+
+    var promise = self._waiters.wait(callId, {
+      timeout: options.timeout,
+      timeoutMessage: 'Timed out waiting for the status of call ' + callId,
+      lookup: function (done) {
+        self.store.get(callId, function (err, record) {
+          done(err, record && record.final ? publicRecord(record) : undefined);
+        });
+      }
+    });
+
+    return nodeify(promise, callback);
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = CallStatusHandler;
+  module.exports.parseCallStatus = parseCallStatus;
+  module.exports.comparePin = comparePin;
+})();
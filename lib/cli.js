@@ -0,0 +1,381 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var fs = require('fs');
+  var path = require('path');
+  var os = require('os');
+  var Nexmo = require('./nexmo');
+  var errors = require('./errors');
+
+  /**
+   * Exit codes
+   *
+   * @constant
+   */
+  var EXIT = {
+    ok: 0,
+    error: 1,
+    usage: 2,
+    auth: 3,
+    invalid: 4,
+    api: 5,
+    network: 6
+  };
+
+  /**
+   * Config files looked up when `--config` is not given, in order
+   *
+   * @constant
+   */
+  var _CONFIG_FILES = [
+    path.join(process.cwd(), '.simple-nexmo.json'),
+    path.join(os.homedir(), '.simple-nexmo.json')
+  ];
+
+  /**
+   * Usage text
+   *
+   * @constant
+   */
+  var _USAGE = [
+    'Usage: simple-nexmo <command> [arguments] [options]',
+    '',
+    'Commands:',
+    '  send <from> <to> <text>            Send a text message (--type auto|text|unicode)',
+    '  tts <from> <to> <text>             Send a text-to-speech call',
+    '  balance                            Show the account balance',
+    '  pricing <country>                  Show outbound pricing for a country',
+    '  numbers list                       List the numbers of the account',
+    '  numbers search <country>           Search available numbers (--pattern, --index, --size)',
+    '  numbers buy <country> <msisdn>     Buy a number',
+    '  numbers cancel <country> <msisdn>  Cancel a number',
+    '  search message <id>                Look up a sent message',
+    '  search rejections <date> [to]      List rejected messages of a day (YYYY-MM-DD)',
+    '',
+    'Options:',
+    '  --key, --secret      Credentials, or NEXMO_API_KEY and NEXMO_API_SECRET',
+    '  --base-url <url>     API base url, or NEXMO_BASE_URL',
+    '  --config <file>      JSON file of client options (default ./.simple-nexmo.json, ~/.simple-nexmo.json)',
+    '  --output json|table  Output format (default table)',
+    '  --json               Same as --output json',
+    '  --debug              Show debug messages',
+    '  --help               Show this help',
+    '',
+    'Exit codes: 0 ok, 1 error, 2 usage, 3 authentication, 4 invalid arguments, 5 API error, 6 network error'
+  ].join('\n');
+
+  /**
+   * Split command line arguments into positionals and `--name value` flags
+   *
+   * @param {Array} argv - Arguments after the script name
+   * @returns {Object} `{ args, flags }`
+   */
+  var parseArgs = function parseArgs (argv) {
+    var result = { args: [], flags: {} };
+    var booleans = ['json', 'debug', 'help'];
+
+    for (var idx = 0; idx < argv.length; idx++) {
+      var arg = argv[idx];
+
+      if (arg.indexOf('--') === 0) {
+        var name = arg.slice(2);
+        var eq = name.indexOf('=');
+
+        if (eq !== -1) {
+          result.flags[name.slice(0, eq)] = name.slice(eq + 1);
+        } else if (booleans.indexOf(name) !== -1 || idx + 1 >= argv.length) {
+          result.flags[name] = true;
+        } else {
+          result.flags[name] = argv[++idx];
+        }
+      } else if (arg === '-h') {
+        result.flags.help = true;
+      } else {
+        result.args.push(arg);
+      }
+    }
+
+    return result;
+  };
+
+  /**
+   * Build client options from a config file, the environment and flags, later ones winning
+   *
+   * @param {Object} flags - Command line flags
+   * @param {Object} env - Environment variables
+   * @returns {Object} Client options
+   */
+  var loadConfig = function loadConfig (flags, env) {
+    var config = {};
+    var files = flags.config ? [path.resolve(flags.config)] : _CONFIG_FILES;
+
+    for (var idx = 0; idx < files.length; idx++) {
+      if (flags.config || fs.existsSync(files[idx])) {
+        config = JSON.parse(fs.readFileSync(files[idx], 'utf8'));
+        break;
+      }
+    }
+
+    config.key = flags.key || env.NEXMO_API_KEY || config.key;
+    config.secret = flags.secret || env.NEXMO_API_SECRET || config.secret;
+    config.signatureSecret = env.NEXMO_SIGNATURE_SECRET || config.signatureSecret;
+    config.baseUrl = flags['base-url'] || env.NEXMO_BASE_URL || config.baseUrl;
+    config.debug = flags.debug || config.debug;
+
+    return config;
+  };
+
+  /**
+   * Render a value as a plain text table
+   *
+   * @param {*} value - Object, list of objects or scalar
+   * @returns {string}
+   */
+  var formatTable = function formatTable (value) {
+    var cell = function cell (v) {
+      if (v === undefined || v === null) {
+        return '';
+      }
+      return typeof v === 'object' ? JSON.stringify(v) : String(v);
+    };
+
+    if (Array.isArray(value)) {
+      if (!value.length) {
+        return '(none)';
+      }
+
+      var columns = [];
+      value.forEach(function (row) {
+        Object.keys(row).forEach(function (key) {
+          if (columns.indexOf(key) === -1) {
+            columns.push(key);
+          }
+        });
+      });
+
+      var rows = [columns].concat(value.map(function (row) {
+        return columns.map(function (key) { return cell(row[key]); });
+      }));
+      var widths = columns.map(function (key, col) {
+        return Math.max.apply(null, rows.map(function (row) { return row[col].length; }));
+      });
+
+      return rows.map(function (row) {
+        return row.map(function (text, col) {
+          return text + new Array(widths[col] - text.length + 1).join(' ');
+        }).join('  ').replace(/\s+$/, '');
+      }).join('\n');
+    }
+
+    if (value && typeof value === 'object') {
+      var keys = Object.keys(value);
+      var width = Math.max.apply(null, keys.map(function (key) { return key.length; }).concat(0));
+
+      return keys.map(function (key) {
+        return key + new Array(width - key.length + 1).join(' ') + '  ' + cell(value[key]);
+      }).join('\n');
+    }
+
+    return cell(value);
+  };
+
+  /**
+   * Pick the exit code matching an error
+   *
+   * @param {Error} err - Error raised by a command
+   * @returns {number}
+   */
+  var exitCode = function exitCode (err) {
+    if (err instanceof errors.AuthenticationError) {
+      return EXIT.auth;
+    } else if (err instanceof errors.ValidationError || err instanceof errors.InvalidRecipientError) {
+      return EXIT.invalid;
+    } else if (err instanceof errors.HttpError || err instanceof errors.ParseError) {
+      return EXIT.network;
+    } else if (err instanceof errors.NexmoError) {
+      return EXIT.api;
+    }
+
+    return EXIT.error;
+  };
+
+  /**
+   * Usage error, exits with the usage code
+   *
+   * @param {string} message - What is wrong
+   * @returns {Error}
+   * @private
+   */
+  var usageError = function usageError (message) {
+    var err = new Error(message);
+    err.exitCode = EXIT.usage;
+    return err;
+  };
+
+  /**
+   * Require positional arguments
+   *
+   * @param {Array} args - Positional arguments
+   * @param {number} count - Number required
+   * @param {string} usage - Usage of the command
+   * @private
+   */
+  var need = function need (args, count, usage) {
+    if (args.length < count) {
+      throw usageError('Usage: simple-nexmo ' + usage);
+    }
+  };
+
+  /**
+   * Subcommands, called with the client, positional arguments and flags; each returns a Promise
+   *
+   * @constant
+   */
+  var COMMANDS = {
+    send: function (nexmo, args, flags) {
+      need(args, 3, 'send <from> <to> <text>');
+      return nexmo.sendTextMessage(args[0], args[1], args.slice(2).join(' '), flags.type || 'auto').then(function (response) {
+        return response.messages;
+      });
+    },
+
+    tts: function (nexmo, args) {
+      need(args, 3, 'tts <from> <to> <text>');
+      return nexmo.sendTTSMessage(args[0], args[1], args.slice(2).join(' '));
+    },
+
+    balance: function (nexmo) {
+      return nexmo.getBalance();
+    },
+
+    pricing: function (nexmo, args) {
+      need(args, 1, 'pricing <country>');
+      return nexmo.getPricing(args[0].toUpperCase());
+    },
+
+    numbers: function (nexmo, args, flags) {
+      var action = args[0];
+      var rest = args.slice(1);
+
+      if (action === 'list') {
+        return nexmo.numbers.list();
+      } else if (action === 'search') {
+        need(rest, 1, 'numbers search <country> [--pattern p] [--index n] [--size n]');
+        return nexmo.searchNumbers(rest[0].toUpperCase(), flags.pattern,
+          flags.index ? parseInt(flags.index, 10) : undefined,
+          flags.size ? parseInt(flags.size, 10) : undefined).then(function (response) {
+          return response.numbers || [];
+        });
+      } else if (action === 'buy' || action === 'cancel') {
+        need(rest, 2, 'numbers ' + action + ' <country> <msisdn>');
+        return nexmo[action + 'Number'](rest[0].toUpperCase(), rest[1]);
+      }
+
+      throw usageError('Usage: simple-nexmo numbers list|search|buy|cancel');
+    },
+
+    search: function (nexmo, args) {
+      var action = args[0];
+      var rest = args.slice(1);
+
+      if (action === 'message') {
+        need(rest, 1, 'search message <id>');
+        return nexmo.searchMessage(rest[0]);
+      } else if (action === 'rejections') {
+        need(rest, 1, 'search rejections <date> [to]');
+        return nexmo.searchRejections(rest[0], rest[1]).then(function (response) {
+          return response.items || [];
+        });
+      }
+
+      throw usageError('Usage: simple-nexmo search message|rejections');
+    }
+  };
+
+  /**
+   * Run the command line tool
+   *
+   * @param {Array} argv - Arguments after the script name
+   * @param {Object} io - Optional, `{ env, stdout, stderr }`, defaulting to the process ones
+   * @returns {Promise} Resolved with the exit code
+   */
+  var run = function run (argv, io) {
+    io = io || {};
+
+    var env = io.env || process.env;
+    var stdout = io.stdout || process.stdout;
+    var stderr = io.stderr || process.stderr;
+    var parsed = parseArgs(argv);
+    var command = COMMANDS[parsed.args[0]];
+    var output = parsed.flags.json ? 'json' : (parsed.flags.output || 'table');
+
+    if (parsed.flags.help || !parsed.args.length) {
+      (parsed.flags.help ? stdout : stderr).write(_USAGE + '\n');
+      return Promise.resolve(parsed.flags.help ? EXIT.ok : EXIT.usage);
+    }
+
+    if (!command) {
+      stderr.write('Unknown command: ' + parsed.args[0] + '\n\n' + _USAGE + '\n');
+      return Promise.resolve(EXIT.usage);
+    }
+
+    if (output !== 'json' && output !== 'table') {
+      stderr.write('Unknown output format: ' + output + '\n');
+      return Promise.resolve(EXIT.usage);
+    }
+
+    return Promise.resolve().then(function () {
+      var config = loadConfig(parsed.flags, env);
+
+      if (!config.key || !(config.secret || config.signatureSecret)) {
+        var err = new Error('Missing credentials, set NEXMO_API_KEY and NEXMO_API_SECRET, or use --key and --secret');
+        err.exitCode = EXIT.auth;
+        throw err;
+      }
+
+      return command(new Nexmo(config), parsed.args.slice(1), parsed.flags);
+    }).then(function (result) {
+      stdout.write((output === 'json' ? JSON.stringify(result, null, 2) : formatTable(result)) + '\n');
+      return EXIT.ok;
+    }, function (err) {
+      if (output === 'json') {
+        stderr.write(JSON.stringify({
+          error: err.name,
+          message: err.message,
+          status: err.status,
+          httpStatus: err.httpStatus,
+          code: err.code
+        }, null, 2) + '\n');
+      } else {
+        stderr.write('Error: ' + err.message + '\n');
+      }
+
+      return err.exitCode !== undefined ? err.exitCode : exitCode(err);
+    });
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = {
+    EXIT: EXIT,
+    parseArgs: parseArgs,
+    loadConfig: loadConfig,
+    formatTable: formatTable,
+    run: run
+  };
+})();
@@ -0,0 +1,98 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * GSM 03.38 basic character set
+   *
+   * @constant
+   */
+  var _GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+  /**
+   * GSM 03.38 extension characters, each sent as an escape plus the character
+   *
+   * @constant
+   */
+  var _GSM_EXTENSION = '\f^{}\\[~]|€';
+
+  /**
+   * Characters per segment for a single and a concatenated message
+   *
+   * @constant
+   */
+  var _SEGMENT_SIZE = {
+    text: { single: 160, multi: 153 },
+    unicode: { single: 70, multi: 67 }
+  };
+
+  /**
+   * Analyze how a text message will be encoded and split
+   *
+   * @param {string} text - Body of the text message
+   * @param {string} type - Optional, force `text` or `unicode` instead of detecting it
+   * @returns {Object} `{ encoding, length, charactersPerSegment, segments, unfitCharacters }`
+   */
+  var analyzeMessage = function analyzeMessage (text, type) {
+    var unfit = [];
+    var septets = 0;
+
+    text = String(text || '');
+
+    for (var idx = 0, len = text.length; idx < len; idx++) {
+      var ch = text.charAt(idx);
+
+      if (_GSM_BASIC.indexOf(ch) !== -1) {
+        septets += 1;
+      } else if (_GSM_EXTENSION.indexOf(ch) !== -1) {
+        septets += 2;
+      } else {
+        // Keep surrogate pairs together so emoji are reported whole
+        var code = text.charCodeAt(idx);
+        if (code >= 0xD800 && code <= 0xDBFF && idx + 1 < len) {
+          ch = text.substr(idx, 2);
+          idx++;
+        }
+
+        // Replaced by a single character when `text` is forced
+        septets += 1;
+
+        if (unfit.indexOf(ch) === -1) {
+          unfit.push(ch);
+        }
+      }
+    }
+
+    var encoding = type === 'text' || type === 'unicode' ? type : (unfit.length ? 'unicode' : 'text');
+    var length = encoding === 'text' ? septets : text.length;
+
+    var size = _SEGMENT_SIZE[encoding];
+    var perSegment = length > size.single ? size.multi : size.single;
+
+    return {
+      encoding: encoding,
+      length: length,
+      charactersPerSegment: perSegment,
+      segments: length === 0 ? 1 : Math.ceil(length / perSegment),
+      unfitCharacters: unfit
+    };
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = {
+    analyzeMessage: analyzeMessage
+  };
+})();
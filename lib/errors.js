@@ -0,0 +1,241 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var util = require('util');
+
+  /**
+   * Nexmo message status codes
+   *
+   * @constant
+   */
+  var STATUS = {
+    success: 0,
+    throttled: 1,
+    missingParams: 2,
+    invalidParams: 3,
+    invalidCredentials: 4,
+    internalError: 5,
+    invalidMessage: 6,
+    numberBarred: 7,
+    partnerAccountBarred: 8,
+    partnerQuotaExceeded: 9,
+    accountNotEnabled: 11,
+    messageTooLong: 12,
+    communicationFailed: 13,
+    invalidSignature: 14,
+    invalidSenderAddress: 15,
+    invalidTtl: 16,
+    facilityNotAllowed: 19,
+    invalidMessageClass: 20,
+    badCallback: 23,
+    nonWhitelistedDestination: 29,
+    invalidMsisdn: 34
+  };
+
+  /**
+   * Base error for everything raised by this library
+   *
+   * @param {string} message - Error message
+   * @param {Object} details - Optional, `{ code, status, httpStatus, endpoint, response, cause }`
+   */
+  var NexmoError = function NexmoError (message, details) {
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+
+    details = details || {};
+
+    this.name = this.constructor.name;
+    this.message = message;
+    this.code = details.code;
+    this.status = details.status;
+    this.httpStatus = details.httpStatus;
+    this.endpoint = details.endpoint;
+    this.response = details.response;
+    this.cause = details.cause;
+  };
+
+  util.inherits(NexmoError, Error);
+
+  /**
+   * Define a NexmoError subclass
+   *
+   * @param {string} name - Class name
+   * @param {Function} Parent - Optional, parent error class (Default: NexmoError)
+   * @returns {Function} Error constructor
+   * @private
+   */
+  var defineError = function defineError (name, Parent) {
+    Parent = Parent || NexmoError;
+
+    var SubError = function (message, details) {
+      Parent.call(this, message, details);
+    };
+
+    Object.defineProperty(SubError, 'name', { value: name });
+    util.inherits(SubError, Parent);
+
+    return SubError;
+  };
+
+  /**
+   * Invalid arguments, rejected before or by the API
+   */
+  var ValidationError = defineError('ValidationError');
+
+  /**
+   * Bad credentials, signature or a barred account
+   */
+  var AuthenticationError = defineError('AuthenticationError');
+
+  /**
+   * Throughput rate exceeded
+   */
+  var ThrottledError = defineError('ThrottledError');
+
+  /**
+   * Not enough credit left in the account
+   */
+  var InsufficientBalanceError = defineError('InsufficientBalanceError');
+
+  /**
+   * Recipient number is invalid, barred or not whitelisted
+   */
+  var InvalidRecipientError = defineError('InvalidRecipientError');
+
+  /**
+   * Non-2xx HTTP response, or a transport failure when `httpStatus` is not set
+   */
+  var HttpError = defineError('HttpError');
+
+  /**
+   * API response could not be parsed as JSON
+   */
+  var ParseError = defineError('ParseError');
+
+  /**
+   * No response within the request timeout
+   */
+  var TimeoutError = defineError('TimeoutError', HttpError);
+
+  /**
+   * Request cancelled through an `AbortSignal`
+   */
+  var AbortError = defineError('AbortError');
+
+  /**
+   * Send refused by a spend guard, a budget or the minimum balance being reached
+   */
+  var SpendLimitError = defineError('SpendLimitError');
+
+  /**
+   * Send refused because the recipient is on the suppression list
+   */
+  var SuppressedRecipientError = defineError('SuppressedRecipientError');
+
+  /**
+   * Create the error matching a Nexmo status code
+   *
+   * @param {number|string} status - Nexmo status code
+   * @param {string} message - Error text returned by the API
+   * @param {Object} details - Optional, extra error details
+   * @returns {NexmoError}
+   */
+  var fromStatus = function fromStatus (status, message, details) {
+    var info = {};
+    var key;
+
+    for (key in details) {
+      info[key] = details[key];
+    }
+
+    info.status = parseInt(status, 10);
+    message = message || 'Nexmo API error, status ' + info.status;
+
+    switch (info.status) {
+      case STATUS.throttled:
+        return new ThrottledError(message, info);
+      case STATUS.invalidCredentials:
+      case STATUS.partnerAccountBarred:
+      case STATUS.accountNotEnabled:
+      case STATUS.invalidSignature:
+        return new AuthenticationError(message, info);
+      case STATUS.partnerQuotaExceeded:
+        return new InsufficientBalanceError(message, info);
+      case STATUS.numberBarred:
+      case STATUS.nonWhitelistedDestination:
+      case STATUS.invalidMsisdn:
+        return new InvalidRecipientError(message, info);
+      case STATUS.missingParams:
+      case STATUS.invalidParams:
+      case STATUS.messageTooLong:
+      case STATUS.invalidSenderAddress:
+      case STATUS.invalidTtl:
+      case STATUS.invalidMessageClass:
+        return new ValidationError(message, info);
+      default:
+        return new NexmoError(message, info);
+    }
+  };
+
+  /**
+   * Create the error matching a non-2xx HTTP status
+   *
+   * @param {number} httpStatus - HTTP status code
+   * @param {Object} details - Optional, extra error details
+   * @returns {NexmoError}
+   */
+  var fromHttpStatus = function fromHttpStatus (httpStatus, details) {
+    var info = {};
+    var key;
+
+    for (key in details) {
+      info[key] = details[key];
+    }
+
+    info.httpStatus = httpStatus;
+
+    var message = 'Nexmo API responded with HTTP ' + httpStatus;
+
+    if (httpStatus === 401 || httpStatus === 403) {
+      return new AuthenticationError(message, info);
+    } else if (httpStatus === 429) {
+      return new ThrottledError(message, info);
+    }
+
+    return new HttpError(message, info);
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = {
+    STATUS: STATUS,
+    NexmoError: NexmoError,
+    ValidationError: ValidationError,
+    AuthenticationError: AuthenticationError,
+    ThrottledError: ThrottledError,
+    InsufficientBalanceError: InsufficientBalanceError,
+    InvalidRecipientError: InvalidRecipientError,
+    HttpError: HttpError,
+    ParseError: ParseError,
+    TimeoutError: TimeoutError,
+    AbortError: AbortError,
+    SpendLimitError: SpendLimitError,
+    SuppressedRecipientError: SuppressedRecipientError,
+    fromStatus: fromStatus,
+    fromHttpStatus: fromHttpStatus
+  };
+})();
@@ -0,0 +1,177 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var fs = require('fs');
+  var path = require('path');
+
+  /**
+   * Key/value store kept in a JSON file, so entries outlive the process.
+   *
+   * Shares the callback interface of MemoryStore. The file is read once and
+   * rewritten after every change, through a temporary file renamed into
+   * place so a crash never leaves it half written. Meant for a single
+   * process; use a shared store, such as a Redis wrapper, across processes.
+   *
+   * @param {string} file - Path of the JSON file, created when missing
+   */
+  var FileStore = function FileStore (file) {
+    this.file = path.resolve(file);
+    this._data = null;
+    this._writing = false;
+    this._pending = [];
+  };
+
+  /**
+   * Read a value
+   *
+   * @param {string} key - Entry key
+   * @param {requestCallback} callback - Called with the value, or undefined when missing
+   */
+  FileStore.prototype.get = function get (key, callback) {
+    var self = this;
+
+    self._load(function (err) {
+      if (err) {
+        return callback(err);
+      }
+
+      callback(null, Object.prototype.hasOwnProperty.call(self._data, key) ? self._data[key] : undefined);
+    });
+  };
+
+  /**
+   * Write a value
+   *
+   * @param {string} key - Entry key
+   * @param {*} value - Entry value, must survive JSON serialization
+   * @param {requestCallback} callback - Called once written to disk
+   */
+  FileStore.prototype.set = function set (key, value, callback) {
+    var self = this;
+
+    self._load(function (err) {
+      if (err) {
+        return callback(err);
+      }
+
+      self._data[key] = value;
+      self._save(callback);
+    });
+  };
+
+  /**
+   * Delete a value
+   *
+   * @param {string} key - Entry key
+   * @param {requestCallback} callback - Called once written to disk
+   */
+  FileStore.prototype.remove = function remove (key, callback) {
+    var self = this;
+
+    self._load(function (err) {
+      if (err) {
+        return callback(err);
+      }
+
+      delete self._data[key];
+      self._save(callback);
+    });
+  };
+
+  /**
+   * Read the file the first time it is needed
+   *
+   * @param {requestCallback} callback - Called once loaded
+   * @private
+   */
+  FileStore.prototype._load = function _load (callback) {
+    var self = this;
+
+    if (self._data) {
+      return process.nextTick(callback);
+    }
+
+    fs.readFile(self.file, 'utf8', function (err, content) {
+      if (self._data) {
+        return callback(null);
+      }
+
+      if (err && err.code !== 'ENOENT') {
+        return callback(err);
+      }
+
+      try {
+        self._data = content ? JSON.parse(content) : {};
+      } catch (parseError) {
+        return callback(parseError);
+      }
+
+      callback(null);
+    });
+  };
+
+  /**
+   * Write the data to disk, batching the changes made while a write is running
+   *
+   * @param {requestCallback} callback - Called once the data, including this change, is on disk
+   * @private
+   */
+  FileStore.prototype._save = function _save (callback) {
+    var self = this;
+
+    self._pending.push(callback);
+
+    if (self._writing) {
+      return;
+    }
+
+    var write = function write () {
+      var callbacks = self._pending;
+      var temp = self.file + '.' + process.pid + '.tmp';
+
+      self._pending = [];
+      self._writing = true;
+
+      fs.writeFile(temp, JSON.stringify(self._data), function (err) {
+        var done = function done (err) {
+          self._writing = false;
+
+          callbacks.forEach(function (cb) {
+            cb(err || null);
+          });
+
+          if (self._pending.length) {
+            write();
+          }
+        };
+
+        if (err) {
+          return done(err);
+        }
+
+        fs.rename(temp, self.file, done);
+      });
+    };
+
+    write();
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = FileStore;
+})();
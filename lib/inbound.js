@@ -0,0 +1,386 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var util = require('util');
+  var EventEmitter = require('events').EventEmitter;
+  var MemoryStore = require('./memory-store');
+  var webhook = require('./webhook');
+  var signature = require('./signature');
+  var errors = require('./errors');
+
+  /**
+   * Default time to wait for the remaining parts of a concatenated message
+   *
+   * @constant
+   */
+  var _DEFAULT_TIMEOUT = 5 * 60 * 1000;
+
+  /**
+   * Build an inbound message from Nexmo callback parameters
+   *
+   * @param {Object} params - Callback parameters
+   * @returns {Object} Inbound message, or null when required parameters are missing
+   * @private
+   */
+  var parseMessage = function parseMessage (params) {
+    if (!params.msisdn || !params.to) {
+      return null;
+    }
+
+    var message = {
+      type: params.type || 'text',
+      messageId: params.messageId,
+      from: params.msisdn,
+      to: params.to,
+      networkCode: params['network-code'],
+      timestamp: webhook.parseTimestamp(params['message-timestamp']),
+      concat: params.concat === 'true' || params.concat === true,
+      raw: params
+    };
+
+    if (message.type === 'binary') {
+      message.data = params.data;
+      message.udh = params.udh;
+    } else {
+      message.text = params.text || '';
+      message.keyword = params.keyword;
+    }
+
+    if (message.concat) {
+      message.concatRef = params['concat-ref'];
+      message.concatPart = parseInt(params['concat-part'], 10);
+      message.concatTotal = parseInt(params['concat-total'], 10);
+    }
+
+    return message;
+  };
+
+  /**
+   * Tell whether the concat parameters of a message part make sense, i.e. a
+   * reference and a part number from 1 to the total number of parts
+   *
+   * @param {Object} params - Callback parameters
+   * @returns {boolean}
+   * @private
+   */
+  var validConcat = function validConcat (params) {
+    var part = String(params['concat-part']);
+    var total = String(params['concat-total']);
+
+    return !!params['concat-ref'] && /^\d+$/.test(part) && /^\d+$/.test(total) &&
+      parseInt(part, 10) >= 1 && parseInt(part, 10) <= parseInt(total, 10);
+  };
+
+  /**
+   * Count the parts of a reassembly entry within its total
+   *
+   * @param {Object} entry - Reassembly entry
+   * @returns {number}
+   * @private
+   */
+  var countParts = function countParts (entry) {
+    return Object.keys(entry.parts).filter(function (part) {
+      return part >= 1 && part <= entry.total;
+    }).length;
+  };
+
+  /**
+   * Join the parts of a concatenated message into one message
+   *
+   * @param {Object} entry - Reassembly entry
+   * @returns {Object} Inbound message
+   * @private
+   */
+  var assemble = function assemble (entry) {
+    var parts = [];
+    var part;
+
+    for (part = 1; part <= entry.total; part++) {
+      if (entry.parts[part]) {
+        parts.push(entry.parts[part]);
+      }
+    }
+
+    var first = parts[0];
+    var message = {
+      type: first.type,
+      messageId: first.messageId,
+      messageIds: parts.map(function (p) { return p.messageId; }),
+      from: first.from,
+      to: first.to,
+      networkCode: first.networkCode,
+      timestamp: first.timestamp,
+      concat: true,
+      concatRef: first.concatRef,
+      concatTotal: entry.total,
+      parts: parts.map(function (p) { return p.raw; })
+    };
+
+    if (first.type === 'binary') {
+      message.data = parts.map(function (p) { return p.data; }).join('');
+    } else {
+      message.text = parts.map(function (p) { return p.text; }).join('');
+      message.keyword = first.keyword;
+    }
+
+    return message;
+  };
+
+  /**
+   * Inbound SMS (MO) webhook handler.
+   *
+   * Emits `inbound` once per complete message, reassembling concatenated
+   * messages first. Parts still missing after `timeout` are dropped and the
+   * partial message is emitted as `incomplete`. With `signatureSecret`,
+   * callbacks with a bad, expired or replayed signature are refused.
+   *
+   * @param {Object} options - Optional, `{ store, timeout, signatureSecret, signatureMethod, maxAge }`
+   */
+  var InboundHandler = function InboundHandler (options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    this.store = options.store || new MemoryStore();
+    this._verify = options.signatureSecret ? signature.createVerifier(options) : null;
+    this.timeout = options.timeout || _DEFAULT_TIMEOUT;
+
+    this._timers = {};
+    this._queues = {};
+
+    webhook.bindHandle(this);
+  };
+
+  util.inherits(InboundHandler, EventEmitter);
+
+  /**
+   * Handle an inbound webhook request
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Server response
+   * @param {Function} next - Optional, Express/Connect next function
+   */
+  InboundHandler.prototype.handle = function handle (req, res, next) {
+    var self = this;
+
+    webhook.parseRequest(req, function (err, params) {
+      if (err) {
+        err.statusCode = 400;
+        return webhook.respond(res, next, err);
+      }
+
+      self.receive(params, function (err) {
+        webhook.respond(res, next, err);
+      });
+    });
+  };
+
+  /**
+   * Process already parsed callback parameters
+   *
+   * @param {Object} params - Callback parameters
+   * @param {requestCallback} callback - Called with the complete message, or null while parts are pending
+   */
+  InboundHandler.prototype.receive = function receive (params, callback) {
+    var self = this;
+    var message = parseMessage(params || {});
+
+    callback = callback || function () {};
+
+    var invalid = self._verify && self._verify(params || {});
+
+    if (invalid) {
+      return callback(invalid);
+    }
+
+    if (!message) {
+      return callback(null, null);
+    }
+
+    if (!message.concat) {
+      self.emit('inbound', message);
+      return callback(null, message);
+    }
+
+    if (!validConcat(params)) {
+      var err = new errors.ValidationError('Invalid concatenated message part ' + params['concat-part'] + ' of ' +
+        params['concat-total'], { code: 'invalidConcat' });
+
+      err.statusCode = 400;
+      return callback(err);
+    }
+
+    var key = message.from + ':' + message.concatRef;
+
+    self._serialize(key, function (done) {
+      self.store.get(key, function (err, entry) {
+        if (err) {
+          return done(err);
+        }
+
+        entry = entry || { total: message.concatTotal, parts: {}, createdAt: Date.now() };
+
+        // Parts past the total of the first part received are not part of the message
+        if (message.concatPart <= entry.total) {
+          entry.parts[message.concatPart] = message;
+        }
+
+        if (countParts(entry) < entry.total) {
+          return self.store.set(key, entry, function (err) {
+            if (!err) {
+              self._startTimer(key);
+            }
+            done(err, null);
+          });
+        }
+
+        self.store.remove(key, function (err) {
+          if (err) {
+            return done(err);
+          }
+
+          self._clearTimer(key);
+
+          var complete = assemble(entry);
+          self.emit('inbound', complete);
+          done(null, complete);
+        });
+      });
+    }, function (err, complete) {
+      if (err) {
+          if (self._verify) {
+          self._verify.forget(params || {});
+        }
+      }
+
+      callback(err, complete);
+    });
+  };
+
+  /**
+   * Run store operations for one key one after another
+   *
+   * @param {string} key - Reassembly key
+   * @param {Function} task - Called with a `done(err, result)` function
+   * @param {requestCallback} callback - Called with the task result
+   * @private
+   */
+  InboundHandler.prototype._serialize = function _serialize (key, task, callback) {
+    var self = this;
+    var queue = self._queues[key];
+
+    if (!queue) {
+      queue = self._queues[key] = [];
+    }
+
+    var run = function run () {
+      task(function (err, result) {
+        queue.shift();
+
+        if (queue.length) {
+          queue[0]();
+        } else {
+          delete self._queues[key];
+        }
+
+        callback(err, result);
+      });
+    };
+
+    queue.push(run);
+
+    if (queue.length === 1) {
+      run();
+    }
+  };
+
+  /**
+   * Start the reassembly timeout for a key
+   *
+   * @param {string} key - Reassembly key
+   * @private
+   */
+  InboundHandler.prototype._startTimer = function _startTimer (key) {
+    var self = this;
+
+    if (self._timers[key]) {
+      return;
+    }
+
+    self._timers[key] = setTimeout(function () {
+      delete self._timers[key];
+      self._expire(key);
+    }, self.timeout);
+
+    if (self._timers[key].unref) {
+      self._timers[key].unref();
+    }
+  };
+
+  /**
+   * Clear the reassembly timeout for a key
+   *
+   * @param {string} key - Reassembly key
+   * @private
+   */
+  InboundHandler.prototype._clearTimer = function _clearTimer (key) {
+    if (this._timers[key]) {
+      clearTimeout(this._timers[key]);
+      delete this._timers[key];
+    }
+  };
+
+  /**
+   * Drop an incomplete message and emit what was received
+   *
+   * @param {string} key - Reassembly key
+   * @private
+   */
+  InboundHandler.prototype._expire = function _expire (key) {
+    var self = this;
+
+    self._serialize(key, function (done) {
+      self.store.get(key, function (err, entry) {
+        if (err || !entry) {
+          return done(err);
+        }
+
+        self.store.remove(key, function (err) {
+          if (!err) {
+            self.emit('incomplete', assemble(entry));
+          }
+          done(err);
+        });
+      });
+    }, function () {});
+  };
+
+  /**
+   * Stop all pending reassembly timers
+   */
+  InboundHandler.prototype.close = function close () {
+    for (var key in this._timers) {
+      this._clearTimer(key);
+    }
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = InboundHandler;
+  module.exports.parseMessage = parseMessage;
+})();
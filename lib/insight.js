@@ -0,0 +1,367 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var util = require('util');
+  var EventEmitter = require('events').EventEmitter;
+  var MemoryStore = require('./memory-store');
+  var webhook = require('./webhook');
+  var errors = require('./errors');
+  var nodeify = require('./util').nodeify;
+
+  /**
+   * Lookup levels, cheapest first; a lookup answers every level below its own
+   *
+   * @constant
+   */
+  var LEVELS = ['basic', 'standard', 'advanced'];
+
+  /**
+   * Statuses of a lookup that returned, even if the live mobile lookup did not
+   *
+   * @constant
+   */
+  var _OK_STATUS = [0, 43, 44, 45];
+
+  /**
+   * Default time a cached lookup is kept, in milliseconds
+   *
+   * @constant
+   */
+  var _DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+  /**
+   * Parse a number that may come as a string
+   *
+   * @param {*} value - Value
+   * @returns {number} Parsed number, or undefined
+   * @private
+   */
+  var toNumber = function toNumber (value) {
+    var number = parseFloat(value);
+
+    return isNaN(number) ? undefined : number;
+  };
+
+  /**
+   * Build a carrier from its lookup fields
+   *
+   * @param {Object} carrier - `current_carrier` or `original_carrier`
+   * @returns {Object} `{ networkCode, name, country, networkType }`, or undefined
+   * @private
+   */
+  var parseCarrier = function parseCarrier (carrier) {
+    if (!carrier || typeof carrier !== 'object') {
+      return undefined;
+    }
+
+    return {
+      networkCode: carrier.network_code,
+      name: carrier.name,
+      country: carrier.country,
+      networkType: carrier.network_type
+    };
+  };
+
+  /**
+   * Build the roaming details of a lookup
+   *
+   * @param {Object|string} roaming - `roaming` field, an object or just its status
+   * @returns {Object} `{ status, roaming, countryCode, networkCode, networkName }`, or undefined
+   * @private
+   */
+  var parseRoaming = function parseRoaming (roaming) {
+    if (!roaming) {
+      return undefined;
+    }
+
+    if (typeof roaming === 'string') {
+      roaming = { status: roaming };
+    }
+
+    return {
+      status: roaming.status,
+      roaming: roaming.status === 'roaming' ? true : (roaming.status === 'not_roaming' ? false : undefined),
+      countryCode: roaming.roaming_country_code,
+      networkCode: roaming.roaming_network_code,
+      networkName: roaming.roaming_network_name
+    };
+  };
+
+  /**
+   * Build a typed result from a Number Insight response or callback
+   *
+   * @param {Object} raw - Response or callback body
+   * @param {string} level - Optional, `basic`, `standard` or `advanced` (Default: advanced, as for callbacks)
+   * @returns {Object} Typed lookup result, or null when the body is not a lookup
+   */
+  var parseInsight = function parseInsight (raw, level) {
+    if (!raw || raw.status === undefined) {
+      return null;
+    }
+
+    var valid = raw.valid_number;
+
+    return {
+      level: level || 'advanced',
+      requestId: raw.request_id,
+      status: parseInt(raw.status, 10),
+      statusMessage: raw.status_message,
+      number: raw.international_format_number || raw.number,
+      nationalNumber: raw.national_format_number,
+      country: {
+        code: raw.country_code,
+        code3: raw.country_code_iso3,
+        name: raw.country_name,
+        prefix: raw.country_prefix
+      },
+      carrier: parseCarrier(raw.current_carrier),
+      originalCarrier: parseCarrier(raw.original_carrier),
+      ported: raw.ported,
+      roaming: parseRoaming(raw.roaming),
+      valid: valid === 'valid' ? true : (valid === 'not_valid' ? false : undefined),
+      reachable: raw.reachable,
+      lookupOutcome: raw.lookup_outcome !== undefined ? parseInt(raw.lookup_outcome, 10) : undefined,
+      lookupOutcomeMessage: raw.lookup_outcome_message,
+      price: toNumber(raw.request_price),
+      remainingBalance: toNumber(raw.remaining_balance),
+      cached: false,
+      raw: raw
+    };
+  };
+
+  /**
+   * Create the error of a failed lookup
+   *
+   * @param {Object} raw - Response body
+   * @param {string} endpoint - API endpoint
+   * @returns {NexmoError} Error, or null when the lookup returned
+   */
+  var getError = function getError (raw, endpoint) {
+    var status = raw && raw.status !== undefined ? parseInt(raw.status, 10) : 0;
+
+    if (_OK_STATUS.indexOf(status) !== -1) {
+      return null;
+    }
+
+    return errors.fromStatus(status, raw.status_message || raw.error_text, {
+      endpoint: endpoint,
+      response: raw
+    });
+  };
+
+  /**
+   * Cache of lookups by number, so the same number is not paid for twice
+   *
+   * @param {Object} options - Optional, `{ store, ttl }`, ttl in milliseconds (Default: 1 day)
+   */
+  var InsightCache = function InsightCache (options) {
+    options = options || {};
+
+    this.store = options.store || new MemoryStore();
+    this.ttl = options.ttl || _DEFAULT_TTL;
+  };
+
+  /**
+   * Find a cached lookup of a number at a level, or a higher one
+   *
+   * @param {string} number - Number in international format
+   * @param {string} level - Lookup level
+   * @param {requestCallback} callback - Called with the cached result, or undefined
+   */
+  InsightCache.prototype.get = function get (number, level, callback) {
+    var self = this;
+    var levels = LEVELS.slice(LEVELS.indexOf(level));
+
+    var next = function next () {
+      if (!levels.length) {
+        return callback(null, undefined);
+      }
+
+      var key = 'insight:' + levels.shift() + ':' + number;
+
+      self.store.get(key, function (err, entry) {
+        if (err) {
+          return callback(err);
+        }
+
+        if (!entry) {
+          return next();
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+          return self.store.remove(key, function () {
+            next();
+          });
+        }
+
+        var result = {};
+
+        for (var name in entry.result) {
+          result[name] = entry.result[name];
+        }
+
+        result.cached = true;
+        callback(null, result);
+      });
+    };
+
+    next();
+  };
+
+  /**
+   * Cache a lookup; partial ones, whose live mobile lookup failed, are not kept
+   *
+   * @param {Object} result - Typed lookup result
+   * @param {requestCallback} callback - Optional, called once cached
+   */
+  InsightCache.prototype.set = function set (result, callback) {
+    callback = callback || function () {};
+
+    if (!result || !result.number || result.status !== 0) {
+      return process.nextTick(callback);
+    }
+
+    this.store.set('insight:' + result.level + ':' + result.number, {
+      expiresAt: Date.now() + this.ttl,
+      result: result
+    }, callback);
+  };
+
+  /**
+   * Webhook handler for advanced lookups requested with a callback url.
+   *
+   * Emits `insight` with the typed result of every callback, keeps the
+   * results by request id in `store`, and adds them to `cache` when given.
+   *
+   * @param {Object} options - Optional, `{ store, cache }`, cache being an `InsightCache` or its options
+   */
+  var InsightHandler = function InsightHandler (options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    this.store = options.store || new MemoryStore();
+    this.cache = options.cache ? (options.cache instanceof InsightCache ? options.cache : new InsightCache(options.cache)) : null;
+    this._waiters = new webhook.Waiters();
+
+    webhook.bindHandle(this);
+  };
+
+  util.inherits(InsightHandler, EventEmitter);
+
+  /**
+   * Handle a Number Insight callback request
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Server response
+   * @param {Function} next - Optional, Express/Connect next function
+   */
+  InsightHandler.prototype.handle = function handle (req, res, next) {
+    var self = this;
+
+    webhook.parseRequest(req, function (err, params) {
+      if (err) {
+        err.statusCode = 400;
+        return webhook.respond(res, next, err);
+      }
+
+      self.receive(params, function (err) {
+        webhook.respond(res, next, err);
+      });
+    });
+  };
+
+  /**
+   * Process an already parsed callback body
+   *
+   * @param {Object} params - Callback body
+   * @param {requestCallback} callback - Optional, called with the typed result, or null when not a lookup
+   */
+  InsightHandler.prototype.receive = function receive (params, callback) {
+    var self = this;
+    var result = parseInsight(params, 'advanced');
+
+    callback = callback || function () {};
+
+    if (!result || !result.requestId) {
+      return callback(null, null);
+    }
+
+    self.store.set('insight:' + result.requestId, result, function (err) {
+      if (err) {
+        return callback(err);
+      }
+
+      var done = function done (err) {
+        if (err) {
+          return callback(err);
+        }
+
+        self.emit('insight', result);
+        self._waiters.settle(result.requestId, null, result);
+        callback(null, result);
+      };
+
+      if (self.cache) {
+        self.cache.set(result, done);
+      } else {
+        done(null);
+      }
+    });
+  };
+
+  /**
+   * Wait for the callback of an advanced lookup
+   *
+   * @param {string} requestId - Request id returned when the lookup was requested
+   * @param {Object} options - Optional, `{ timeout }` in milliseconds
+   * @param {requestCallback} callback - Optional, called with the typed result
+   * @returns {Promise}
+   */
+  InsightHandler.prototype.waitFor = function waitFor (requestId, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    options = options || {};
+
+    var promise = self._waiters.wait(requestId, {
+      timeout: options.timeout,
+      timeoutMessage: 'Timed out waiting for Number Insight callback of ' + requestId,
+      // The callback may have arrived already
+      lookup: function (done) {
+        self.store.get('insight:' + requestId, function (err, result) {
+          done(err, result || undefined);
+        });
+      }
+    });
+
+    return nodeify(promise, callback);
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = InsightHandler;
+  module.exports.LEVELS = LEVELS;
+  module.exports.InsightCache = InsightCache;
+  module.exports.parseInsight = parseInsight;
+  module.exports.getError = getError;
+})();
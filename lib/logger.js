@@ -0,0 +1,254 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var util = require('util');
+
+  /**
+   * Log levels, lowest first, as used by pino and winston
+   *
+   * @constant
+   */
+  var LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+  /**
+   * Fields always replaced in logged parameters and responses
+   *
+   * @constant
+   */
+  var _SECRET_FIELDS = ['api_secret', 'sig', 'pin', 'secret', 'newSecret', 'password'];
+
+  /**
+   * Fields holding a message body
+   *
+   * @constant
+   */
+  var _BODY_FIELDS = ['text', 'body', 'udh', 'title', 'url'];
+
+  /**
+   * Fields holding a phone number
+   *
+   * @constant
+   */
+  var _PHONE_FIELDS = ['to', 'from', 'msisdn', 'recipient', 'sender'];
+
+  /**
+   * Replacement of redacted values
+   *
+   * @constant
+   */
+  var REDACTED = '[REDACTED]';
+
+  /**
+   * Logger writing to the console, used in debug mode when no logger is given
+   *
+   * @returns {Object} Logger with a method per level
+   */
+  var consoleLogger = function consoleLogger () {
+    var logger = {};
+
+    LEVELS.forEach(function (level) {
+      logger[level] = function (entry) {
+        var fields = {};
+
+        for (var key in entry) {
+          if (key !== 'msg') {
+            fields[key] = entry[key];
+          }
+        }
+
+        var line = '[nexmo] ' + level + ': ' + entry.msg;
+        (level === 'error' || level === 'fatal' || level === 'warn' ? console.error : console.log)(
+          Object.keys(fields).length ? line + ' ' + util.inspect(fields, { depth: 4, breakLength: Infinity }) : line);
+      };
+    });
+
+    return logger;
+  };
+
+  /**
+   * Mask all but the last 4 digits of a phone number
+   *
+   * @param {*} value - Phone number
+   * @returns {*} Masked number, or the value when it is not a number
+   * @private
+   */
+  var maskPhone = function maskPhone (value) {
+    var text = String(value);
+
+    if (!/^\+?\d{5,}$/.test(text)) {
+      return value;
+    }
+
+    return text.slice(0, -4).replace(/\d/g, '*') + text.slice(-4);
+  };
+
+  /**
+   * Build a redaction function for log fields
+   *
+   * @param {Object} options - Optional, `{ messages, phoneNumbers }` set to true to redact message bodies and phone numbers
+   * @returns {Function} Returns a redacted copy of a value; `redact.protect(value)` hides a value anywhere it appears until the returned function is called
+   */
+  var createRedactor = function createRedactor (options) {
+    options = options || {};
+
+    var protectedValues = [];
+
+    var hide = function hide (text) {
+      protectedValues.forEach(function (value) {
+        text = text.split(value).join(REDACTED);
+      });
+
+      return text;
+    };
+
+    var redact = function redact (value, key, depth) {
+      depth = depth || 0;
+
+      if (value === null || value === undefined) {
+        return value;
+      }
+
+      if (key !== undefined) {
+        if (_SECRET_FIELDS.indexOf(key) !== -1) {
+          return REDACTED;
+        } else if (options.messages && _BODY_FIELDS.indexOf(key) !== -1) {
+          return REDACTED;
+        } else if (options.phoneNumbers && _PHONE_FIELDS.indexOf(key) !== -1 && typeof value !== 'object') {
+          return maskPhone(value);
+        }
+      }
+
+      if (typeof value === 'string') {
+        return protectedValues.length ? hide(value) : value;
+      }
+
+      if (typeof value !== 'object' || depth > 8) {
+        return value;
+      }
+
+      if (value instanceof Error) {
+        return { name: value.name, message: hide(value.message), code: value.code };
+      }
+
+      if (Array.isArray(value)) {
+        return value.map(function (item) {
+          return redact(item, undefined, depth + 1);
+        });
+      }
+
+      var copy = {};
+
+      for (var name in value) {
+        if (Object.prototype.hasOwnProperty.call(value, name)) {
+          copy[name] = redact(value[name], name, depth + 1);
+        }
+      }
+
+      return copy;
+    };
+
+    var result = function (value) {
+      return redact(value);
+    };
+
+    result.protect = function protect (value) {
+      var text = String(value);
+
+      protectedValues.push(text);
+
+      return function release () {
+        var idx = protectedValues.indexOf(text);
+
+        if (idx !== -1) {
+          protectedValues.splice(idx, 1);
+        }
+      };
+    };
+
+    return result;
+  };
+
+  /**
+   * Wrap a logger so every level can be called, falling back to the closest level it has
+   *
+   * @param {Object} logger - Optional, pino, winston or any object with level methods
+   * @param {Object} options - Optional, `{ debug, redact }`
+   * @returns {Object} Logger with a `log(level, msg, fields)` method and a `redact` function
+   */
+  var createLogger = function createLogger (logger, options) {
+    options = options || {};
+
+    if (!logger && options.debug) {
+      logger = consoleLogger();
+    }
+
+    var redact = createRedactor(options.redact);
+
+    var method = function method (level) {
+      if (!logger) {
+        return null;
+      }
+
+      // e.g. winston has no `trace` or `fatal` by default
+      var idx = LEVELS.indexOf(level);
+      var candidates = LEVELS.slice(0, idx + 1).reverse().concat(LEVELS.slice(idx + 1));
+
+      for (var i = 0; i < candidates.length; i++) {
+        if (typeof logger[candidates[i]] === 'function') {
+          return candidates[i];
+        }
+      }
+
+      return null;
+    };
+
+    return {
+      redact: redact,
+
+      /**
+       * Write a structured entry, `fields` are redacted first
+       *
+       * @param {string} level - Log level
+       * @param {string} msg - Message
+       * @param {Object} fields - Optional, extra fields
+       */
+      log: function log (level, msg, fields) {
+        var name = method(level);
+
+        if (!name) {
+          return;
+        }
+
+        var entry = redact(fields || {});
+        entry.msg = redact(msg);
+
+        logger[name](entry);
+      }
+    };
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = {
+    LEVELS: LEVELS,
+    REDACTED: REDACTED,
+    consoleLogger: consoleLogger,
+    createRedactor: createRedactor,
+    createLogger: createLogger
+  };
+})();
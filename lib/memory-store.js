@@ -0,0 +1,73 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * In-memory key/value store, the default for every pluggable store.
+   *
+   * Stores share the same callback interface, so any object providing
+   * `get(key, callback)`, `set(key, value, callback)` and `remove(key, callback)`
+   * (for example a thin Redis wrapper) can be used in its place.
+   */
+  var MemoryStore = function MemoryStore () {
+    this._data = {};
+  };
+
+  /**
+   * Read a value
+   *
+   * @param {string} key - Entry key
+   * @param {requestCallback} callback - Called with the value, or undefined when missing
+   */
+  MemoryStore.prototype.get = function get (key, callback) {
+    var value = Object.prototype.hasOwnProperty.call(this._data, key) ? this._data[key] : undefined;
+
+    process.nextTick(function () {
+      callback(null, value);
+    });
+  };
+
+  /**
+   * Write a value
+   *
+   * @param {string} key - Entry key
+   * @param {*} value - Entry value
+   * @param {requestCallback} callback - Called once written
+   */
+  MemoryStore.prototype.set = function set (key, value, callback) {
+    this._data[key] = value;
+
+    process.nextTick(function () {
+      callback(null);
+    });
+  };
+
+  /**
+   * Delete a value
+   *
+   * @param {string} key - Entry key
+   * @param {requestCallback} callback - Called once deleted
+   */
+  MemoryStore.prototype.remove = function remove (key, callback) {
+    delete this._data[key];
+
+    process.nextTick(function () {
+      callback(null);
+    });
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = MemoryStore;
+})();
@@ -11,13 +11,27 @@
  */
 
 (function() {
-  var Nexmo = function () {
+  var Nexmo = function (clientOptions) {
     /**
      * Module dependencies.
      */
     var http = require('http');
     var https = require('https');
     var querystring = require('querystring');
+    var url = require('url');
+    var errors = require('./errors');
+    var throttle = require('./throttle');
+    var bulk = require('./bulk');
+    var encoding = require('./encoding');
+    var NumberManager = require('./numbers');
+    var signature = require('./signature');
+    var phone = require('./phone');
+    var paginate = require('./paginate');
+    var OtpManager = require('./otp');
+    var Scheduler = require('./scheduler');
+    var logging = require('./logger');
+    var insight = require('./insight');
+    var responses = require('./responses');
 
     /**
      * API version
@@ -43,6 +57,20 @@
      */
     var _BASE_URL = 'rest.nexmo.com';
 
+    /**
+     * Base url of the newer APIs, such as Number Insight
+     *
+     * @constant
+     */
+    var _API_BASE_URL = 'api.nexmo.com';
+
+    /**
+     * Default request timeout in milliseconds
+     *
+     * @constant
+     */
+    var _DEFAULT_TIMEOUT = 30000;
+
     /**
      * API endpoint
      *
@@ -52,7 +80,9 @@
       sms: '/sms/json',
       twoFA: '/sc/us/2fa/json',
       ussd: '/ussd/json',
+      ussdPrompt: '/ussd-prompt/json',
       tts: '/tts/json',
+      ttsPrompt: '/tts-prompt/json',
       accountGetBalance: '/account/get-balance',
       accountPricing: '/account/get-pricing/outbound',
       accountSettings: '/account/settings',
@@ -64,7 +94,129 @@
       numberUpdate: '/number/update',
       searchMessage: '/search/message',
       searchMessages: '/search/messages',
-      searchRejections: '/search/rejections'
+      searchRejections: '/search/rejections',
+      insightBasic: '/ni/basic/json',
+      insightStandard: '/ni/standard/json',
+      insightAdvanced: '/ni/advanced/json',
+      insightAdvancedAsync: '/ni/advanced/async/json'
+    };
+
+    /**
+     * Settings accepted by the number update endpoint
+     *
+     * @constant
+     */
+    var _NUMBER_SETTINGS = ['moHttpUrl', 'moSmppSysType', 'voiceCallbackType', 'voiceCallbackValue', 'voiceStatusCallback'];
+
+    /**
+     * Voice callback types accepted by the number update endpoint
+     *
+     * @constant
+     */
+    var _VOICE_CALLBACK_TYPES = ['app', 'sip', 'tel', 'vxml'];
+
+    /**
+     * Text-to-speech call options, with their API parameter and a value check
+     *
+     * @constant
+     */
+    var _TTS_OPTIONS = {
+      language: { param: 'lg', valid: function (value) { return /^[a-z]{2}-[a-z]{2}$/i.test(value); } },
+      voice: { param: 'voice', valid: function (value) { return value === 'male' || value === 'female'; } },
+      repeat: { param: 'repeat', valid: function (value) { return value % 1 === 0 && value >= 1 && value <= 10; } },
+      machineDetection: { param: 'machine_detection', valid: function (value) { return value === true || value === 'true' || value === 'hangup'; } },
+      machineTimeout: { param: 'machine_timeout', valid: function (value) { return value % 1 === 0 && value >= 400 && value <= 10000; } },
+      callback: { param: 'callback', valid: function (value) { return typeof value === 'string' && value.length > 0; } },
+      callbackMethod: { param: 'callback_method', valid: function (value) { return value === 'GET' || value === 'POST'; } }
+    };
+
+    /**
+     * Options only accepted by text-to-speech prompt calls
+     *
+     * @constant
+     */
+    var _TTS_PROMPT_OPTIONS = {
+      maxDigits: { param: 'max_digits', valid: function (value) { return value % 1 === 0 && value >= 1 && value <= 20; } },
+      byeText: { param: 'bye_text', valid: function (value) { return typeof value === 'string' && value.length > 0; } },
+      pin: { valid: function (value) { return /^\d{1,20}$/.test(String(value)); } }
+    };
+
+    /**
+     * Message options of text, binary, WAP push and USSD messages, with their API parameter and a value check
+     *
+     * @constant
+     */
+    var _MESSAGE_OPTIONS = {
+      clientRef: { param: 'client-ref', valid: function (value) { return typeof value === 'string' && value.length > 0 && value.length <= 40; } },
+      ttl: { param: 'ttl', valid: function (value) { return typeof value === 'number' && value % 1 === 0 && value >= 20000 && value <= 604800000; } },
+      statusReportReq: { param: 'status-report-req', valid: function (value) { return typeof value === 'boolean'; } },
+      callback: { param: 'callback', valid: function (value) { return typeof value === 'string' && value.length > 0; } },
+      messageClass: { param: 'message-class', valid: function (value) { return value === 0 || value === 1 || value === 2 || value === 3; } }
+    };
+
+    /**
+     * Options of a Number Insight lookup
+     *
+     * @constant
+     */
+    var _INSIGHT_OPTIONS = ['level', 'country', 'cnam', 'ip', 'callback', 'cache'];
+
+    /**
+     * Options of a bulk send
+     *
+     * @constant
+     */
+    var _BULK_OPTIONS = ['from', 'text', 'concurrency', 'onProgress'];
+
+    /**
+     * Type checks of the options object fields
+     *
+     * @constant
+     */
+    var _FIELD_TYPES = {
+      string: function (value) { return typeof value === 'string'; },
+      number: function (value) { return typeof value === 'number' && isFinite(value); },
+      stringOrNumber: function (value) { return typeof value === 'string' || (typeof value === 'number' && isFinite(value)); },
+      array: function (value) { return Array.isArray(value); }
+    };
+
+    /**
+     * Options object form of each method: the fields standing for its positional
+     * arguments, in order, with their type. With `options`, any other field goes
+     * to the trailing options argument of the method, which checks it.
+     *
+     * @constant
+     */
+    var _SIGNATURES = {
+      sendTextMessage: { fields: [['from', 'string'], ['to', 'stringOrNumber'], ['text', 'string'], ['type', 'string']], options: true },
+      sendBulk: { fields: [['messages', 'array']], options: true },
+      sendBinaryMessage: { fields: [['from', 'string'], ['to', 'stringOrNumber'], ['body', 'string'], ['udh', 'string']], options: true },
+      sendWapPushMessage: {
+        fields: [['from', 'string'], ['to', 'stringOrNumber'], ['title', 'string'], ['url', 'string'], ['validity', 'number']],
+        options: true
+      },
+      sendTTSMessage: { fields: [['from', 'string'], ['to', 'stringOrNumber'], ['text', 'string']], options: true },
+      sendTTSPrompt: { fields: [['from', 'string'], ['to', 'stringOrNumber'], ['text', 'string']], options: true },
+      send2FACode: { fields: [['to', 'stringOrNumber'], ['code', 'stringOrNumber']] },
+      sendUSSDPush: { fields: [['from', 'string'], ['to', 'stringOrNumber'], ['text', 'string']], options: true },
+      sendUSSDPrompt: { fields: [['from', 'string'], ['to', 'stringOrNumber'], ['text', 'string']], options: true },
+      getBalance: { fields: [] },
+      getPricing: { fields: [['country', 'string']] },
+      estimateCost: { fields: [['text', 'string'], ['country', 'string']] },
+      updateSecret: { fields: [['newSecret', 'string']] },
+      updateMoCallBackUrl: { fields: [['url', 'string']] },
+      updateDrCallBackUrl: { fields: [['url', 'string']] },
+      getTopUp: { fields: [['transactionId', 'stringOrNumber']] },
+      getNumbers: { fields: [] },
+      searchNumbers: { fields: [['country', 'string'], ['pattern', 'stringOrNumber'], ['index', 'number'], ['size', 'number']] },
+      buyNumber: { fields: [['country', 'string'], ['msisdn', 'stringOrNumber']] },
+      cancelNumber: { fields: [['country', 'string'], ['msisdn', 'stringOrNumber']] },
+      updateNumberCallback: { fields: [['country', 'string'], ['msisdn', 'stringOrNumber']], options: true },
+      searchMessage: { fields: [['id', 'string']] },
+      searchMessageByIds: { fields: [['ids', 'array']] },
+      searchMessagesByRecipient: { fields: [['date', 'string'], ['to', 'stringOrNumber']] },
+      searchRejections: { fields: [['date', 'string'], ['to', 'stringOrNumber']] },
+      getNumberInsight: { fields: [['number', 'stringOrNumber']], options: true }
     };
 
     /**
@@ -75,6 +227,8 @@
     var _ERROR_MESSAGES = {
       initializeRequired: 'nexmo not initialized, call nexmo.initialize(api_key, api_secret) first before calling any nexmo API',
       keyAndSecretRequired: 'Key and secret cannot be empty',
+      invalidSignatureMethod: 'Invalid signature method, use `md5hash`, `md5`, `sha1`, `sha256` or `sha512`',
+      invalidThrottleRate: 'Invalid throttle rate, use `{ messagesPerSecond: n }` with a positive number',
       invalidTextMessage: 'Invalid text message',
       invalid2FACode: 'Invalid authentication code',
       invalidBody: 'Invalid body value in binary message',
@@ -90,7 +244,17 @@
       invalidDate: 'Invalid date value',
       invalidNewSecret: 'Invalid new secret',
       invalidCallbackUrl: 'Invalid callback url',
-      invalidTransactionId: 'Invalid transaction id'
+      invalidTransactionId: 'Invalid transaction id',
+      invalidBulkMessages: 'Invalid bulk message list',
+      invalidConcurrency: 'Invalid concurrency, use a positive whole number',
+      invalidMessageType: 'Invalid message type, use `auto`, `text` or `unicode`',
+      invalidVoiceCallback: 'Invalid voice callback, set both type (`app`, `sip`, `tel` or `vxml`) and value',
+      invalidVoiceOption: 'Invalid voice call option',
+      unknownOption: 'Unknown option',
+      invalidOption: 'Invalid option value',
+      callsHandlerRequired: 'Comparing digits to a PIN needs a call status handler, set the `calls` option',
+      invalidInsightLevel: 'Invalid Number Insight level, use `basic`, `standard` or `advanced`',
+      invalidInsightCallback: 'A Number Insight callback url is only accepted by advanced lookups'
     };
 
     /**
@@ -100,27 +264,129 @@
      */
     var _apiKey = '';
     var _apiSecret = '';
+    var _signatureSecret = '';
+    var _signatureMethod = 'md5hash';
     var _useHttps = true;
-    var _debugMode = false;
+    var _logger = logging.createLogger();
     var _initialized = false;
+    var _host = _BASE_URL;
+    var _apiHost = _API_BASE_URL;
+    var _port = null;
+    var _timeout = _DEFAULT_TIMEOUT;
+    var _agent;
+    var _extraHeaders = {};
+    var _receipts = null;
+    var _spendGuard = null;
+    var _suppression = null;
+    var _calls = null;
+    var _limiter = null;
+    var _retry = null;
+    var _defaultCountry;
+    var _callContext = null;
+    var _insightCache = null;
+    var _normalize = false;
 
     /**
      * Initialize settings, protocol and debug are optional.
      *
-     * @param {string} key - Api key
+     * Settings may also be passed as a single options object:
+     * `{ key, secret, signatureSecret, signatureMethod, protocol, debug, baseUrl, port, timeout, agent, headers,
+     * receipts, spendGuard, suppression, throttle, retry, defaultCountry, sandbox, normalize }`. With `signatureSecret`, requests are signed instead of carrying
+     * the secret. With `defaultCountry`, recipients may be given as national numbers of that country. With `normalize`,
+     * responses come back camel cased and typed, see `responses.normalize`.
+     *
+     * @param {string|Object} key - Api key, or an options object
      * @param {string} secret - Api secret
      * @param {string} protocol - Optional, protocol `http` or `https`
      * @param {boolean} debug - Optional, show debug messages
      */
     var initialize = function initialize (key, secret, protocol, debug) {
-      if (!key || !secret) {
-        throw _ERROR_MESSAGES.keyAndSecretRequired;
+      var options = {};
+
+      if (key && typeof key === 'object') {
+        options = key;
+
+        // Sandbox mode: talk to a local Nexmo stand-in, with its credentials unless given
+        if (options.sandbox) {
+          var sandbox = options.sandbox;
+          var settings = {};
+
+          for (var name in options) {
+            settings[name] = options[name];
+          }
+
+          settings.baseUrl = typeof sandbox === 'string' ? sandbox : sandbox.url;
+          settings.key = settings.key || sandbox.apiKey || 'sandbox';
+          settings.secret = settings.secret || sandbox.apiSecret || 'sandbox';
+          options = settings;
+        }
+      } else {
+        options = {
+          key: key,
+          secret: secret,
+          protocol: protocol,
+          debug: debug
+        };
+      }
+
+      if (!options.key || !(options.secret || options.signatureSecret)) {
+        throw validationError('keyAndSecretRequired');
+      }
+
+      if (options.signatureMethod && !signature.isMethod(options.signatureMethod)) {
+        throw validationError('invalidSignatureMethod');
+      }
+
+      var rate = options.throttle && options.throttle.messagesPerSecond;
+
+      // e.g. `throttle: true` would otherwise send without any limit
+      if (options.throttle && !(typeof rate === 'number' && rate > 0 && isFinite(rate))) {
+        throw validationError('invalidThrottleRate');
+      }
+
+      _apiKey = options.key;
+      _apiSecret = options.secret || '';
+      _signatureSecret = options.signatureSecret || '';
+      _signatureMethod = options.signatureMethod || 'md5hash';
+      _useHttps = !(options.protocol === 'http');
+      _logger = logging.createLogger(options.logger, { debug: !!options.debug, redact: options.redact });
+      _host = _BASE_URL;
+      _apiHost = _API_BASE_URL;
+      _port = options.port || null;
+      _timeout = options.timeout !== undefined ? options.timeout : _DEFAULT_TIMEOUT;
+      _agent = options.agent;
+      _extraHeaders = options.headers || {};
+      _receipts = options.receipts || null;
+      _spendGuard = options.spendGuard || null;
+      _suppression = options.suppression || null;
+      _calls = options.calls || null;
+      _limiter = options.throttle ? new throttle.RateLimiter(options.throttle.messagesPerSecond) : null;
+      _retry = options.retry ? throttle.retryOptions(options.retry) : null;
+      _defaultCountry = options.defaultCountry;
+      _insightCache = options.insightCache ?
+        new insight.InsightCache(options.insightCache === true ? {} : options.insightCache) : null;
+      _normalize = !!options.normalize;
+
+      // A base url may carry its own protocol and port, e.g. `http://localhost:3000`
+      if (options.baseUrl) {
+        if (options.baseUrl.indexOf('://') === -1) {
+          _host = options.baseUrl;
+        } else {
+          var parsed = url.parse(options.baseUrl);
+          _host = parsed.hostname;
+          _useHttps = parsed.protocol !== 'http:';
+          _port = options.port || (parsed.port ? parseInt(parsed.port, 10) : null);
+        }
+
+        // Every API is served from the given host
+        _apiHost = _host;
+      }
+
+      // A suppression list without a client of its own replies to keywords with this one
+      if (_suppression && !_suppression.client && api) {
+        _suppression.client = api;
       }
 
-      _apiKey = key;
-      _apiSecret = secret;
-      _useHttps = !(protocol === 'http');
-      _debugMode = debug;
       _initialized = true;
     };
 
@@ -130,20 +396,87 @@
      * @param {string} sender - Sender address may be alphanumeric
      * @param {string} recipient - Mobile number in international format, and one recipient per request
      * @param {string} message - Body of the text message
+     * @param {string} type - Optional, `text`, `unicode` or `auto` to detect it from the message (default `auto`)
+     * @param {Object} options - Optional, `{ clientRef, ttl, statusReportReq, callback, messageClass }`
      * @param {requestCallback} callback - The callback that handles the response
      */
-    var sendSMSMessage = function sendSMSMessage (sender, recipient, message, callback) {
+    var sendSMSMessage = function sendSMSMessage (sender, recipient, message, type, options, callback) {
+      if (typeof type === 'function') {
+        callback = type;
+        type = 'auto';
+        options = undefined;
+      } else if (type && typeof type === 'object') {
+        callback = options;
+        options = type;
+        type = 'auto';
+      } else if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+      }
+
+      var data = {
+        from: sender,
+        to: recipient,
+        text: message
+      };
+      var invalid = messageOptions(data, options);
+
       if (!message) {
-        sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidTextMessage));
+        sendErrorResponse(callback, validationError('invalidTextMessage'));
+      } else if (type && ['auto', 'text', 'unicode'].indexOf(type) === -1) {
+        sendErrorResponse(callback, validationError('invalidMessageType'));
+      } else if (invalid) {
+        sendErrorResponse(callback, invalid);
       } else {
-        options = {
-          from: sender,
-          to: recipient,
-          type: 'unicode',
-          text: message
+        data.type = encoding.analyzeMessage(message, type).encoding;
+
+        sendTextMessage(data, _ENDPOINT.sms, callback);
+      }
+    };
+
+    /**
+     * Messaging SMS - Send a Plain text message to many recipients
+     *
+     * @param {Array} messages - Recipient numbers, or `{ from, to, text }` objects
+     * @param {Object} options - Optional, `{ from, text, concurrency, onProgress }`
+     * @param {requestCallback} callback - The callback that handles the summary
+     */
+    var sendBulk = function sendBulk (messages, options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      var unknown = unknownOption(options, _BULK_OPTIONS);
+
+      if (!Array.isArray(messages) || messages.length === 0) {
+        sendErrorResponse(callback, validationError('invalidBulkMessages'));
+      } else if (unknown) {
+        sendErrorResponse(callback, unknown);
+      } else if (options.concurrency !== undefined && !(Number.isInteger(options.concurrency) && options.concurrency > 0)) {
+        sendErrorResponse(callback, validationError('invalidConcurrency'));
+      } else {
+        var bulkOptions = {
+          recipientKey: function (to) {
+            return phone.normalize(to, _defaultCountry) || String(to);
+          }
+        };
+
+        for (var name in options) {
+          bulkOptions[name] = options[name];
+        }
+
+        // Messages are sent later on, keep the options of this call for them
+        var context = _callContext;
+        var sendOne = function sendOne () {
+          var args = arguments;
+
+          return inContext(context, function () {
+            return sendSMSMessage.apply(null, args);
+          });
         };
 
-        sendTextMessage(options, _ENDPOINT.sms, callback);
+        bulk.send(sendOne, messages, bulkOptions, callback);
       }
     };
 
@@ -154,23 +487,32 @@
      * @param {string} recipient - Mobile number in international format, and one recipient per request
      * @param {string} body - Hex encoded binary data
      * @param {string} udh - Hex encoded udh
+     * @param {Object} options - Optional, the `sendTextMessage` options
      * @param {requestCallback} callback - The callback that handles the response
      */
-    var sendBinaryMessage = function sendBinaryMessage (sender, recipient, body, udh, callback) {
-      var options;
+    var sendBinaryMessage = function sendBinaryMessage (sender, recipient, body, udh, options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+      }
+
+      var data = {
+        from: sender,
+        to: recipient,
+        type: 'binary',
+        body: body,
+        udh: udh
+      };
+      var invalid = messageOptions(data, options);
+
       if (!body) {
-        sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidBody));
+        sendErrorResponse(callback, validationError('invalidBody'));
       } else if (!udh) {
-        sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidUdh));
+        sendErrorResponse(callback, validationError('invalidUdh'));
+      } else if (invalid) {
+        sendErrorResponse(callback, invalid);
       } else {
-        options = {
-          from: sender,
-          to: recipient,
-          type: 'binary',
-          body: body,
-          udh: udh
-        };
-        sendTextMessage(options, _ENDPOINT.sms, callback);
+        sendTextMessage(data, _ENDPOINT.sms, callback);
       }
     };
 
@@ -181,32 +523,104 @@
      * @param {string} recipient - Mobile number in international format, and one recipient per request
      * @param {string} title - Title of WAP Push
      * @param {string} url - WAP Push URL
-     * @param {string} validity - Optional, set how long WAP Push is available in milliseconds
+     * @param {string} validity - Optional, set how long WAP Push is available in milliseconds (default 48 hours)
+     * @param {Object} options - Optional, the `sendTextMessage` options
      * @param {requestCallback} callback - The callback that handles the response
      */
-    var sendWapPushMessage = function sendWapPushMessage (sender, recipient, title, url, validity, callback) {
-      var options;
+    var sendWapPushMessage = function sendWapPushMessage (sender, recipient, title, url, validity, options, callback) {
+      if (typeof validity === 'function') {
+        callback = validity;
+        validity = undefined;
+        options = undefined;
+      } else if (validity && typeof validity === 'object') {
+        callback = options;
+        options = validity;
+        validity = undefined;
+      } else if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+      }
+
+      var data = {
+        from: sender,
+        to: recipient,
+        type: 'wappush',
+        title: title,
+        url: encodeURIComponent(url),
+        validity: validity === undefined ? 172800000 : validity
+      };
+      var invalid = messageOptions(data, options);
 
       if (!title) {
-        sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidTitle));
+        sendErrorResponse(callback, validationError('invalidTitle'));
       } else if (!url) {
-        sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidUrl));
+        sendErrorResponse(callback, validationError('invalidUrl'));
+      } else if (invalid) {
+        sendErrorResponse(callback, invalid);
       } else {
-        if (typeof validity === 'function') {
-          callback = validity;
-          validity = 172800000;
-        }
+        sendTextMessage(data, _ENDPOINT.sms, callback);
+      }
+    };
 
-        options = {
-          from: sender,
-          to: recipient,
-          type: 'wappush',
-          title: title,
-          url: encodeURIComponent(url),
-          validity: validity
-        };
+    /**
+     * USSD Push - Send a USSD message that needs no answer
+     *
+     * @param {string} sender - Sender address
+     * @param {string} recipient - Mobile number in international format, and one recipient per request
+     * @param {string} message - Body of the USSD message
+     * @param {Object} options - Optional, the `sendTextMessage` options
+     * @param {requestCallback} callback - The callback that handles the response
+     */
+    var sendUSSDPush = function sendUSSDPush (sender, recipient, message, options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+      }
+
+      var data = {
+        from: sender,
+        to: recipient,
+        text: message
+      };
+      var invalid = messageOptions(data, options);
 
-        sendTextMessage(options, _ENDPOINT.sms, callback);
+      if (!message) {
+        sendErrorResponse(callback, validationError('invalidTextMessage'));
+      } else if (invalid) {
+        sendErrorResponse(callback, invalid);
+      } else {
+        sendTextMessage(data, _ENDPOINT.ussd, callback);
+      }
+    };
+
+    /**
+     * USSD Prompt - Send a USSD message the subscriber answers, the answer comes to the inbound webhook
+     *
+     * @param {string} sender - Sender address
+     * @param {string} recipient - Mobile number in international format, and one recipient per request
+     * @param {string} message - Body of the USSD message
+     * @param {Object} options - Optional, the `sendTextMessage` options
+     * @param {requestCallback} callback - The callback that handles the response
+     */
+    var sendUSSDPrompt = function sendUSSDPrompt (sender, recipient, message, options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+      }
+
+      var data = {
+        from: sender,
+        to: recipient,
+        text: message
+      };
+      var invalid = messageOptions(data, options);
+
+      if (!message) {
+        sendErrorResponse(callback, validationError('invalidTextMessage'));
+      } else if (invalid) {
+        sendErrorResponse(callback, invalid);
+      } else {
+        sendTextMessage(data, _ENDPOINT.ussdPrompt, callback);
       }
     };
 
@@ -216,20 +630,139 @@
     * @param {string} sender - Sender address may be alphanumeric
     * @param {string} recipient - Mobile number in international format, and one recipient per request
     * @param {string} message - Body of the voice message
+    * @param {Object} options - Optional, `{ language, voice, repeat, machineDetection, machineTimeout, callback, callbackMethod }`
     * @param {requestCallback} callback - The callback that handles the response
     */
-    var sendTTSMessage = function sendTTSMessage (sender, recipient, message, callback) {
-      if (!message) {
-          sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidTextMessage));
+    var sendTTSMessage = function sendTTSMessage (sender, recipient, message, options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      sendVoiceCall(_ENDPOINT.tts, sender, recipient, message, options, callback);
+    };
+
+    /**
+    * Voice TTS Prompt - Play a text-to-speech prompt and collect the digits entered on the keypad
+    *
+    * The digits come back in the call status callback. With `pin`, a call
+    * status handler (the `calls` option) compares them to it.
+    *
+    * @param {string} sender - Sender address may be alphanumeric
+    * @param {string} recipient - Mobile number in international format, and one recipient per request
+    * @param {string} message - Body of the prompt
+    * @param {Object} options - Optional, the `sendTTSMessage` options and `{ maxDigits, byeText, pin }`
+    * @param {requestCallback} callback - The callback that handles the response
+    */
+    var sendTTSPrompt = function sendTTSPrompt (sender, recipient, message, options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      options = options || {};
+
+      if (options.pin !== undefined && !_calls) {
+        sendErrorResponse(callback, validationError('callsHandlerRequired'));
       } else {
-          options = {
-              from: sender,
-              to: recipient,
-              text: message
-          };
+        sendVoiceCall(_ENDPOINT.ttsPrompt, sender, recipient, message, options, callback);
+      }
+    };
+
+    /**
+     * Check message options and add them to the request parameters
+     *
+     * @param {Object} data - Request parameters
+     * @param {Object} options - Optional, `{ clientRef, ttl, statusReportReq, callback, messageClass }`
+     * @returns {NexmoError} Validation error for the first unknown or invalid option, or null
+     * @private
+     */
+    var messageOptions = function messageOptions (data, options) {
+      for (var name in options || {}) {
+        var option = _MESSAGE_OPTIONS[name];
+        var value = options[name];
+
+        if (value === undefined) {
+          continue;
+        }
+
+        if (!option) {
+          return validationError('unknownOption', '`' + name + '`');
+        }
+
+        if (!option.valid(value)) {
+          return validationError('invalidOption', '`' + name + '`');
+        }
+
+        data[option.param] = typeof value === 'boolean' ? (value ? '1' : '0') : String(value);
+      }
+
+      return null;
+    };
+
+    /**
+     * Check voice call options and request the call
+     *
+     * @param {string} endpoint - `tts` or `ttsPrompt` endpoint
+     * @param {string} sender - Sender address
+     * @param {string} recipient - Recipient number
+     * @param {string} message - Text to speak
+     * @param {Object} options - Call options
+     * @param {requestCallback} callback - The callback that handles the response
+     * @private
+     */
+    var sendVoiceCall = function sendVoiceCall (endpoint, sender, recipient, message, options, callback) {
+      var prompt = endpoint === _ENDPOINT.ttsPrompt;
+      var data = {
+        from: sender,
+        to: recipient,
+        text: message
+      };
+
+      if (!message) {
+        sendErrorResponse(callback, validationError('invalidTextMessage'));
+        return;
+      }
+
+      for (var name in options || {}) {
+        var option = _TTS_OPTIONS[name] || (prompt && _TTS_PROMPT_OPTIONS[name]);
+        var value = options[name];
+
+        if (value === undefined) {
+          continue;
+        }
+
+        if (!option || !option.valid(value)) {
+          sendErrorResponse(callback, validationError('invalidVoiceOption', '`' + name + '`'));
+          return;
+        }
 
-          sendTextMessage(options, _ENDPOINT.tts, callback);
+        if (option.param) {
+          data[option.param] = String(value);
+        }
+      }
+
+      if (prompt && options.pin !== undefined && data.max_digits === undefined) {
+        data.max_digits = String(String(options.pin).length);
       }
+
+      sendTextMessage(data, endpoint, function (err, apiResponse) {
+        if (err) {
+          return sendErrorResponse(callback, err, apiResponse);
+        }
+
+        if (!_calls) {
+          return callback && callback(null, apiResponse);
+        }
+
+        var pin = prompt && options.pin !== undefined ? { pin: String(options.pin) } : {};
+
+        _calls.track(apiResponse, pin, function (trackErr) {
+          if (callback) {
+            callback(trackErr || null, apiResponse);
+          }
+        });
+      });
     };
 
       /**
@@ -242,13 +775,13 @@
        */
       var send2FACode = function send2FACode (recipient, code, callback) {
           if (!code) {
-              sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalid2FACode));
+              sendErrorResponse(callback, validationError('invalid2FACode'));
           } else {
-              options = {
+              var options = {
                   to: recipient,
                   pin: code
               };
-              log('Sending 2FA message to ' + options.to + ' with code ' + options.pin);
+              log('debug', 'Sending 2FA message', { to: options.to });
               sendMessage(options, _ENDPOINT.twoFA, callback);
           }
       };
@@ -271,7 +804,7 @@
      */
     var getPricing = function getPricing (countryCode, callback) {
       if (!countryCode || countryCode.length !== 2) {
-        sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidCountryCode));
+        sendErrorResponse(callback, validationError('invalidCountryCode'));
       } else {
         var data = {
           country: countryCode
@@ -281,6 +814,45 @@
       }
     };
 
+    /**
+     * Account: Pricing - Estimate the cost of sending a text message to a given country
+     *
+     * @param {string} message - Body of the text message
+     * @param {string} countryCode - A 2 letter country code
+     * @param {requestCallback} callback - The callback that handles the estimate
+     */
+    var estimateCost = function estimateCost (message, countryCode, callback) {
+      if (!message) {
+        sendErrorResponse(callback, validationError('invalidTextMessage'));
+        return;
+      }
+
+      getPricing(countryCode, function (err, pricing) {
+        if (err) {
+          return sendErrorResponse(callback, err);
+        }
+
+        var analysis = encoding.analyzeMessage(message);
+        var price = parseFloat(pricing.mt) || 0;
+        var networkPrices = (pricing.networks || []).map(function (network) {
+          return parseFloat(network.mtPrice || network.price);
+        }).filter(function (value) {
+          return !isNaN(value);
+        });
+
+        analysis.country = pricing.country || countryCode;
+        analysis.pricePerSegment = price;
+        analysis.cost = price * analysis.segments;
+
+        if (networkPrices.length) {
+          analysis.minCost = Math.min.apply(null, networkPrices) * analysis.segments;
+          analysis.maxCost = Math.max.apply(null, networkPrices) * analysis.segments;
+        }
+
+        callback(null, analysis);
+      });
+    };
+
     /**
      * Account: Settings - Update API secret
      *
@@ -289,7 +861,7 @@
      */
     var updateSecret = function updateSecret (newSecret, callback) {
       if (!newSecret || newSecret.length > 8) {
-        sendError(callback, new Error(_ERROR_MESSAGES.invalidNewSecret));
+        sendErrorResponse(callback, validationError('invalidNewSecret'));
       } else {
         var data = {
           newSecret: encodeURIComponent(newSecret)
@@ -307,7 +879,7 @@
      */
     var updateMoCallBackUrl = function updateMoCallBackUrl (newUrl, callback) {
       if (!newUrl) {
-        sendError(callback, new Error(_ERROR_MESSAGES.invalidCallbackUrl));
+        sendErrorResponse(callback, validationError('invalidCallbackUrl'));
       } else {
         var data = {
           moCallBackUrl: encodeURIComponent(newUrl)
@@ -325,7 +897,7 @@
      */
     var updateDrCallBackUrl = function updateDrCallBackUrl (newUrl, callback) {
       if (!newUrl) {
-        sendError(callback, new Error(_ERROR_MESSAGES.invalidCallbackUrl));
+        sendErrorResponse(callback, validationError('invalidCallbackUrl'));
       } else {
         var data = {
           drCallBackUrl: encodeURIComponent(newUrl)
@@ -343,7 +915,7 @@
      */
     var getTopUp = function getTopUp (transactionId, callback) {
       if (!transactionId) {
-        sendError(callback, new Error(_ERROR_MESSAGES.invalidTransactionId));
+        sendErrorResponse(callback, validationError('invalidTransactionId'));
       } else {
         var data = {
           trx: transactionId
@@ -373,7 +945,7 @@
      */
     var searchNumbers = function searchNumbers (countryCode, pattern, index, size, callback) {
       if (!countryCode || countryCode.length !== 2) {
-        sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidCountryCode));
+        sendErrorResponse(callback, validationError('invalidCountryCode'));
       } else {
         var data = {
           country: countryCode
@@ -407,14 +979,16 @@
      * @param {requestCallback} callback - The callback that handles the response
      */
     var buyNumber = function buyNumber (countryCode, msisdn, callback) {
+      var number = phone.parse(msisdn);
+
       if (!countryCode || countryCode.length !== 2) {
-        sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidCountryCode));
-      } else if (!msisdn || msisdn.length < 10) {
-        sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidMsisdn));
+        sendErrorResponse(callback, validationError('invalidCountryCode'));
+      } else if (!number.valid) {
+        sendErrorResponse(callback, validationError('invalidMsisdn', number.reason));
       } else {
         var data = {
           country: countryCode,
-          msisdn: msisdn
+          msisdn: number.msisdn
         };
 
         sendRequest(_ENDPOINT.numberBuy, data, 'POST', callback);
@@ -429,14 +1003,16 @@
      * @param {requestCallback} callback - The callback that handles the response
      */
     var cancelNumber = function cancelNumber (countryCode, msisdn, callback) {
+      var number = phone.parse(msisdn);
+
       if (!countryCode || countryCode.length !== 2) {
-        sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidCountryCode));
-      } else if (!msisdn || msisdn.length < 10) {
-        sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidMsisdn));
+        sendErrorResponse(callback, validationError('invalidCountryCode'));
+      } else if (!number.valid) {
+        sendErrorResponse(callback, validationError('invalidMsisdn', number.reason));
       } else {
         var data = {
           country: countryCode,
-          msisdn: msisdn
+          msisdn: number.msisdn
         };
 
         sendRequest(_ENDPOINT.numberCancel, data, 'POST', callback);
@@ -446,14 +1022,63 @@
     /**
      * Number: Update - Update your number callback
      *
+     * Settings may also be passed as an object instead of `newUrl` and `sysType`:
+     * `{ moHttpUrl, moSmppSysType, voiceCallbackType, voiceCallbackValue, voiceStatusCallback }`
+     *
      * @param {string} countryCode - Country code
      * @param {string} msisdn - One of your inbound numbers
-     * @param {string} newUrl - Optional, number call back URL
+     * @param {string|Object} newUrl - Optional, number call back URL, or a settings object
      * @param {string} sysType - Optional, the associated system type for SMPP client only
      * @param {requestCallback} callback - The callback that handles the response
      */
     var updateNumberCallback = function updateNumberCallback (countryCode, msisdn, newUrl, sysType, callback) {
-      throw 'Not yet implemented!';
+      var settings;
+
+      if (newUrl && typeof newUrl === 'object') {
+        settings = newUrl;
+        callback = sysType;
+      } else {
+        if (typeof newUrl === 'function') {
+          callback = newUrl;
+          newUrl = undefined;
+        } else if (typeof sysType === 'function') {
+          callback = sysType;
+          sysType = undefined;
+        }
+
+        settings = {
+          moHttpUrl: newUrl,
+          moSmppSysType: sysType
+        };
+      }
+
+      var number = phone.parse(msisdn);
+      var unknown = unknownOption(settings, _NUMBER_SETTINGS);
+
+      if (!countryCode || countryCode.length !== 2) {
+        sendErrorResponse(callback, validationError('invalidCountryCode'));
+      } else if (!number.valid) {
+        sendErrorResponse(callback, validationError('invalidMsisdn', number.reason));
+      } else if (unknown) {
+        sendErrorResponse(callback, unknown);
+      } else if (settings.voiceCallbackType && _VOICE_CALLBACK_TYPES.indexOf(settings.voiceCallbackType) === -1) {
+        sendErrorResponse(callback, validationError('invalidVoiceCallback'));
+      } else if (!!settings.voiceCallbackType !== !!settings.voiceCallbackValue) {
+        sendErrorResponse(callback, validationError('invalidVoiceCallback'));
+      } else {
+        var data = {
+          country: countryCode,
+          msisdn: number.msisdn
+        };
+
+        for (var idx = 0, len = _NUMBER_SETTINGS.length; idx < len; idx++) {
+          if (settings[_NUMBER_SETTINGS[idx]] !== undefined) {
+            data[_NUMBER_SETTINGS[idx]] = settings[_NUMBER_SETTINGS[idx]];
+          }
+        }
+
+        sendRequest(_ENDPOINT.numberUpdate, data, 'POST', callback);
+      }
     };
 
     /**
@@ -464,7 +1089,7 @@
      */
     var searchMessage = function searchMessage (messageId, callback) {
       if (!messageId) {
-        sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidMessageId));
+        sendErrorResponse(callback, validationError('invalidMessageId'));
       } else {
         var data = {
           id: messageId
@@ -482,10 +1107,10 @@
      */
     var searchMessageByIds = function searchMessageByIds (messageIds, callback) {
       if (!messageIds || messageIds.length === 0) {
-        sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidMessageId));
+        sendErrorResponse(callback, validationError('invalidMessageId'));
       } else {
         if (messageIds.length > 10) {
-          sendErrorResponse(callback, new Error(_ERROR_MESSAGES.tooManyMessageId));
+          sendErrorResponse(callback, validationError('tooManyMessageId'));
         } else {
           var data = { ids: [] };
 
@@ -506,14 +1131,16 @@
      * @param {requestCallback} callback - The callback that handles the response
      */
     var searchMessagesByRecipient = function searchMessagesByRecipient (date, to, callback) {
+      var number = phone.parse(to, _defaultCountry);
+
       if (!date) {
-        sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidDate));
-      } else if (!to) {
-        sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidRecipient));
+        sendErrorResponse(callback, validationError('invalidDate'));
+      } else if (!number.valid) {
+        sendErrorResponse(callback, validationError('invalidRecipient', number.reason));
       } else {
         var data = {
           date: date,
-          to: to
+          to: number.msisdn
         };
 
         sendRequest(_ENDPOINT.searchMessages, data, callback);
@@ -529,7 +1156,7 @@
      */
     var searchRejections = function searchRejections (date, to, callback) {
       if (!date) {
-        sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidDate));
+        sendErrorResponse(callback, validationError('invalidDate'));
       } else {
         var data = {
           date: date
@@ -538,25 +1165,128 @@
         if (typeof to === 'function') {
           callback = to;
         } else if (to) {
-          data.to = to;
+          var number = phone.parse(to, _defaultCountry);
+
+          if (!number.valid) {
+            sendErrorResponse(callback, validationError('invalidRecipient', number.reason));
+            return;
+          }
+
+          data.to = number.msisdn;
         }
 
         sendRequest(_ENDPOINT.searchRejections, data, callback);
       }
     };
 
-      /**
-       * Check required parameter and send out WAP, SMS or TTS message
-       *
-       * @param {Object} data - Message object
-       * @param {requestCallback} callback - The callback that handles the response
-       * @private
-       */
-      var sendTextMessage = function sendTextMessage (data, endpoint, callback) {
+    /**
+     * Number Insight - Look up the validity, reachability, porting and carrier of a number
+     *
+     * An advanced lookup given a `callback` url is run asynchronously: the call
+     * answers with `{ requestId, pending: true }` and the result is posted to
+     * the url, see `Nexmo.createInsightHandler`.
+     *
+     * @param {string} number - Phone number
+     * @param {Object} options - Optional, `{ level, country, cnam, ip, callback, cache }`, level being `basic` (default), `standard` or `advanced`
+     * @param {requestCallback} callback - The callback that handles the typed result
+     */
+    var getNumberInsight = function getNumberInsight (number, options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      options = options || {};
+
+      var level = options.level || 'basic';
+      var parsed = phone.parse(number, _defaultCountry);
+      var unknown = unknownOption(options, _INSIGHT_OPTIONS);
+
+      if (!parsed.valid) {
+        sendErrorResponse(callback, validationError('invalidMsisdn', parsed.reason));
+      } else if (unknown) {
+        sendErrorResponse(callback, unknown);
+      } else if (insight.LEVELS.indexOf(level) === -1) {
+        sendErrorResponse(callback, validationError('invalidInsightLevel'));
+      } else if (options.callback && level !== 'advanced') {
+        sendErrorResponse(callback, validationError('invalidInsightCallback'));
+      } else {
+        var data = {
+          number: parsed.msisdn,
+          country: options.country,
+          cnam: options.cnam,
+          ip: options.ip,
+          callback: options.callback
+        };
+        var endpoint = options.callback ? _ENDPOINT.insightAdvancedAsync :
+          _ENDPOINT['insight' + level.charAt(0).toUpperCase() + level.slice(1)];
+        var cache = options.cache === false || options.callback ? null : _insightCache;
+        // The cache may answer later on, keep the options of this call for the lookup
+        var context = _callContext;
+
+        var lookup = function lookup () {
+          inContext(context, function () {
+            sendRequest(endpoint, data, handleResponse);
+          });
+        };
+
+        var handleResponse = function handleResponse (err, apiResponse) {
+          err = err || insight.getError(apiResponse, endpoint);
+
+          if (err) {
+            return sendErrorResponse(callback, err, apiResponse);
+          }
+
+          if (options.callback) {
+            return callback(null, {
+              requestId: apiResponse.request_id,
+              number: apiResponse.number,
+              status: parseInt(apiResponse.status, 10),
+              price: parseFloat(apiResponse.request_price) || 0,
+              remainingBalance: parseFloat(apiResponse.remaining_balance),
+              pending: true,
+              raw: apiResponse
+            });
+          }
+
+          var result = insight.parseInsight(apiResponse, level);
+
+          if (!cache) {
+            return callback(null, result);
+          }
+
+          cache.set(result, function () {
+            callback(null, result);
+          });
+        };
+
+        if (!cache) {
+          return lookup();
+        }
+
+        cache.get(parsed.msisdn, level, function (err, cached) {
+          if (err) {
+            // A failing cache must not fail the lookup itself
+            log('warn', 'Insight cache could not be read', { number: parsed.msisdn, err: err.message });
+          }
+
+          return cached ? callback(null, cached) : lookup();
+        });
+      }
+    };
+
+      /**
+       * Check required parameter and send out WAP, SMS or TTS message
+       *
+       * @param {Object} data - Message object
+       * @param {requestCallback} callback - The callback that handles the response
+       * @private
+       */
+      var sendTextMessage = function sendTextMessage (data, endpoint, callback) {
           if (!data.from) {
-              sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidSender));
+              sendErrorResponse(callback, validationError('invalidSender'));
           } else {
-              log('Sending' + endpoint.slice(1,4) + ' message from ' + data.from + ' to ' + data.to + ' with message ' + data.text);
+              log('debug', 'Sending ' + endpoint.slice(1, 4) + ' message', { from: data.from, to: data.to, text: data.text });
               sendMessage( data, endpoint, callback);
           }
       };
@@ -569,27 +1299,125 @@
       * @private
       */
       var sendMessage = function sendMessage (data, endpoint, callback) {
-          if (!data.to) {
-              sendErrorResponse(callback, new Error(_ERROR_MESSAGES.invalidRecipient));
+          var number = phone.parse(data.to, _defaultCountry);
+
+          if (!number.valid) {
+              sendErrorResponse(callback, validationError('invalidRecipient', number.reason));
           } else {
-              sendRequest( endpoint, data, 'POST', function(err, apiResponse) {
-                  if (!err && apiResponse.status && apiResponse['error-text']) {
-                      sendErrorResponse(callback, new Error(apiResponse['error-text'], apiResponse));
+              data.to = number.msisdn;
+
+              var context = _callContext;
+              var tag = context && context.tag;
+              var attempt = function attempt (done) {
+                  var run = function run () {
+                      httpRequest(endpoint, data, 'POST', context, function (err, apiResponse) {
+                          done(err || getApiError(apiResponse, endpoint), apiResponse);
+                      });
+                  };
+
+                  if (_limiter) {
+                      _limiter.schedule(run);
+                  } else {
+                      run();
                   }
-                  else if (!err && apiResponse.status && apiResponse.messages && apiResponse.messages[0].status > 0) {
-                      sendErrorResponse(callback, new Error(apiResponse.messages[0]['error-text'], apiResponse));
+              };
+
+              var settle = function settle (err, apiResponse) {
+                  if (err) {
+                      sendErrorResponse(callback, err, apiResponse);
                   } else {
+                      if (_receipts) {
+                          _receipts.track(apiResponse);
+                      }
+
                       if (callback) {
-                          callback(err, apiResponse);
+                          callback(null, apiResponse);
                       }
                   }
-              });
+              };
+
+              var send = function send () {
+                  withRetry(attempt, context, function (err, apiResponse) {
+                      // Parts sent before a failed one are paid for too
+                      if (!_spendGuard || !apiResponse || !apiResponse.messages) {
+                          return settle(err, apiResponse);
+                      }
+
+                      _spendGuard.record(apiResponse, tag, api, function (recordErr) {
+                          if (recordErr) {
+                              log('warn', 'Spend guard could not record a send', { endpoint: endpoint, err: recordErr.message });
+                          }
+
+                          settle(err, apiResponse);
+                      });
+                  });
+              };
+
+              var checkSpend = function checkSpend () {
+                  if (!_spendGuard) {
+                      return send();
+                  }
+
+                  _spendGuard.check(tag, api, function (err) {
+                      return err ? sendErrorResponse(callback, err) : send();
+                  });
+              };
+
+              if (!_suppression || (context && context.ignoreSuppression)) {
+                  checkSpend();
+              } else {
+                  // Already normalized, read as international whatever the list's default country
+                  _suppression.check('+' + data.to, function (err) {
+                      return err ? sendErrorResponse(callback, err) : checkSpend();
+                  });
+              }
+          }
+      };
+
+      /**
+      * Find the first failed status in a message response
+      *
+      * @param {Object} apiResponse - Parsed API response
+      * @param {string} endpoint - API endpoint
+      * @returns {NexmoError} Error for the failed status, or null
+      * @private
+      */
+      var getApiError = function getApiError (apiResponse, endpoint) {
+          var details = {
+              endpoint: endpoint,
+              response: apiResponse
+          };
+
+          if (!apiResponse) {
+              return null;
+          }
+
+          if (apiResponse.status && parseInt(apiResponse.status, 10) > 0) {
+              return errors.fromStatus(apiResponse.status, apiResponse['error-text'], details);
+          }
+
+          var messages = apiResponse.messages || [];
+          var apiError = null;
+          var sent = false;
+
+          for (var idx = 0, len = messages.length; idx < len; idx++) {
+              if (parseInt(messages[idx].status, 10) > 0) {
+                  apiError = apiError || errors.fromStatus(messages[idx].status, messages[idx]['error-text'], details);
+              } else {
+                  sent = true;
+              }
+          }
+
+          // Retrying would send the parts that did go through again
+          if (apiError && sent) {
+              apiError.retryable = false;
           }
+
+          return apiError;
       };
-      
-      
+
     /**
-     * Send HTTP/HTTPS request to nexmo
+     * Send request to nexmo, retrying when enabled
      *
      * @param {string} endpoint - API endpoint
      * @param {string} data - Stringify data
@@ -598,50 +1426,208 @@
      * @private
      */
     var sendRequest = function sendRequest (endpoint, data, method, callback) {
+      if (typeof method === 'function') {
+        callback = method;
+        method = 'GET';
+      }
+
+      var context = _callContext;
+
+      withRetry(function (done) {
+        httpRequest(endpoint, data, method, context, done);
+      }, context, callback);
+    };
+
+    /**
+     * Run a request attempt through the retry policy, if any
+     *
+     * An abort settles the call at once, even while it waits in the
+     * throttle queue or between retries.
+     *
+     * @param {Function} attempt - Called with a `done(err, result)` function
+     * @param {Object} context - Call options, `{ timeout, signal }`, or null
+     * @param {requestCallback} callback - The callback that handles the response
+     * @private
+     */
+    var withRetry = function withRetry (attempt, context, callback) {
+      var signal = context && context.signal;
+      var settled = false;
+
+      var finish = function finish (err, result) {
+        if (!settled) {
+          settled = true;
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          callback(err, result);
+        }
+      };
+
+      var onAbort = function onAbort () {
+        finish(abortError(signal));
+      };
+
+      if (signal) {
+        if (signal.aborted) {
+          return onAbort();
+        }
+        signal.addEventListener('abort', onAbort);
+      }
+
+      if (_retry) {
+        throttle.retry(attempt, _retry, finish);
+      } else {
+        attempt(finish);
+      }
+    };
+
+    /**
+     * Create the error of an aborted call
+     *
+     * @param {AbortSignal} signal - Aborted signal
+     * @param {string} endpoint - Optional, API endpoint
+     * @returns {AbortError}
+     * @private
+     */
+    var abortError = function abortError (signal, endpoint) {
+      return new errors.AbortError('Request aborted', {
+        code: 'ABORT_ERR',
+        endpoint: endpoint,
+        cause: signal.reason
+      });
+    };
+
+    /**
+     * Run a function with the options of a call, see `withOptions`
+     *
+     * @param {Object} context - Call options
+     * @param {Function} fn - Function to run
+     * @returns {*} Result of the function
+     * @private
+     */
+    var inContext = function inContext (context, fn) {
+      var previous = _callContext;
+
+      _callContext = context;
+
+      try {
+        return fn();
+      } finally {
+        _callContext = previous;
+      }
+    };
+
+    /**
+     * Send HTTP/HTTPS request to nexmo
+     *
+     * @param {string} endpoint - API endpoint
+     * @param {string} data - Stringify data
+     * @param {string} method - HTTP method
+     * @param {Object} context - Call options, `{ timeout, signal }`, or null
+     * @param {requestCallback} callback - The callback that handles the response
+     * @private
+     */
+    var httpRequest = function httpRequest (endpoint, data, method, context, callback) {
       if (!_initialized) {
-        throw _ERROR_MESSAGES.initializeRequired;
+        sendErrorResponse(callback, validationError('initializeRequired'));
+        return;
+      }
+
+      var signal = context && context.signal;
+      var timeout = context && context.timeout !== undefined ? context.timeout : _timeout;
+
+      if (signal && signal.aborted) {
+        callback(abortError(signal, endpoint));
+        return;
       }
 
-      var credentials = {
-        api_key: _apiKey,
-        api_secret: _apiSecret
+      var params = {
+        api_key: _apiKey
       };
+      var name;
 
-      var dataString = querystring.stringify(credentials);
+      for (name in data) {
+        if (data[name] !== undefined) {
+          params[name] = data[name];
+        }
+      }
 
-      if (data) {
-        dataString += '&' + querystring.stringify(data);
+      if (_signatureSecret) {
+        signature.signParams(params, _signatureSecret, _signatureMethod);
+      } else {
+        params.api_secret = _apiSecret;
       }
 
-      if (typeof method === 'function') {
-        callback = method;
-        method = 'GET';
+      var dataString = querystring.stringify(params);
+
+      var headers = {};
+
+      for (name in _HEADERS) {
+        headers[name] = _HEADERS[name];
+      }
+
+      for (name in _extraHeaders) {
+        headers[name] = _extraHeaders[name];
       }
 
       // Setting Content-Length header when using POST action
       if (method === 'POST') {
-        _HEADERS['Content-Length'] = dataString.length;
-      } else {
-        endpoint += '?' + dataString;
+        headers['Content-Length'] = Buffer.byteLength(dataString);
+      }
+
+      var path = endpoint;
+
+      if (method !== 'POST') {
+        path += '?' + dataString;
       }
 
       var options = {
-        host: _BASE_URL,
-        port: 443,
-        path: endpoint,
+        host: endpoint.indexOf('/ni/') === 0 ? _apiHost : _host,
+        port: _port || (_useHttps ? 443 : 80),
+        path: path,
         method: method,
-        headers: _HEADERS
+        headers: headers
       };
 
+      if (_agent) {
+        options.agent = _agent;
+      }
+
       var request;
       if (!_useHttps) {
-        options.port = 80;
         request = http.request(options);
       } else {
         request = https.request(options);
       }
 
-      log(options);
+      // A deadline for the whole exchange, a slow trickle of data does not reset it
+      var timer = null;
+
+      if (timeout) {
+        timer = setTimeout(function () {
+          request.destroy(new errors.TimeoutError('Request timed out after ' + timeout + 'ms', {
+            code: 'ETIMEDOUT',
+            endpoint: endpoint
+          }));
+        }, timeout);
+      }
+
+      var onAbort = function onAbort () {
+        request.destroy(abortError(signal, endpoint));
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+
+      var started = Date.now();
+
+      log('debug', 'Nexmo API request', {
+        event: 'request',
+        method: method,
+        endpoint: endpoint,
+        params: params
+      });
 
       if (method === 'POST') {
         request.write(dataString);
@@ -649,6 +1635,49 @@
 
       request.end();
 
+      // `close` follows `end` on a response, only the first outcome counts
+      var settled = false;
+      var finish = function finish (err, responseData, httpStatus) {
+        if (!settled) {
+          settled = true;
+
+          clearTimeout(timer);
+
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+
+          // A POST without a response, such as a send, may have gone through and retrying it could bill it twice
+          if (err && method === 'POST' && throttle.mayHaveReached(err) && !(_retry && _retry.unsafe)) {
+            err.retryable = false;
+          }
+
+          if (err) {
+            log('warn', 'Nexmo API request failed', {
+              event: 'error',
+              method: method,
+              endpoint: endpoint,
+              httpStatus: err.httpStatus,
+              durationMs: Date.now() - started,
+              err: err
+            });
+          } else {
+            log('debug', 'Nexmo API response', {
+              event: 'response',
+              method: method,
+              endpoint: endpoint,
+              httpStatus: httpStatus,
+              durationMs: Date.now() - started,
+              response: responseData
+            });
+          }
+
+          if (callback) {
+            callback(err, responseData);
+          }
+        }
+      };
+
       var buffer = '';
       request.on('response', function (response) {
         response.setEncoding('utf8');
@@ -660,35 +1689,63 @@
         response.on('end', function () {
           var responseData;
 
-          log('response ended');
-
-          if (callback) {
+          if (!settled) {
             var err = null;
 
             try {
               responseData = JSON.parse(buffer);
             } catch (_error) {
-              var parserError = _error;
-              log(parserError);
-              log('could not convert API response to JSON, above error is ignored and raw API response is returned to client');
-              err = parserError;
+              responseData = buffer;
+              err = new errors.ParseError('Could not parse API response as JSON', {
+                httpStatus: response.statusCode,
+                endpoint: endpoint,
+                response: buffer,
+                cause: _error
+              });
             }
 
-            callback(err, responseData);
+            if (response.statusCode < 200 || response.statusCode >= 300) {
+              err = errors.fromHttpStatus(response.statusCode, {
+                endpoint: endpoint,
+                response: responseData
+              });
+            }
+
+            finish(err, err ? undefined : responseData, response.statusCode);
           }
         });
 
         response.on('close', function (e) {
-          log('problem with API request detailed stacktrace below ');
-          log(e);
-          callback(e);
+          if (settled) {
+            return;
+          }
+
+          finish(transportError(e, endpoint));
         });
       });
 
       request.on('error', function (e) {
-        log('problem with API request detailed stacktrace below ');
-        log(e);
-        callback(e);
+        finish(transportError(e, endpoint));
+      });
+    };
+
+    /**
+     * Wrap a socket or request error into a HttpError
+     *
+     * @param {Error} err - Original error
+     * @param {string} endpoint - API endpoint
+     * @returns {NexmoError}
+     * @private
+     */
+    var transportError = function transportError (err, endpoint) {
+      if (err instanceof errors.NexmoError) {
+        return err;
+      }
+
+      return new errors.HttpError(err ? err.message : 'Connection closed', {
+        code: err && err.code,
+        endpoint: endpoint,
+        cause: err
       });
     };
 
@@ -709,53 +1766,474 @@
     };
 
     /**
-     * Logging messages
+     * Create a validation error from one of the API error messages
      *
-     * @param {Object} - Message object
+     * @param {string} key - Key in the API error messages
+     * @param {string} reason - Optional, detail appended to the message
+     * @returns {NexmoError} Error carrying the key as `code`
      * @private
      */
-    var log = function log (message) {
-      if (message instanceof Error) {
-        console.log(message.stack);
-      }
+    var validationError = function validationError (key, reason) {
+      var ErrorType = key === 'invalidRecipient' || key === 'invalidMsisdn' ?
+        errors.InvalidRecipientError : errors.ValidationError;
 
-      if (_debugMode) {
-        if (typeof message === 'object') {
-          console.dir(message);
-        } else {
-          console.log(message);
+      return new ErrorType(_ERROR_MESSAGES[key] + (reason ? ' (' + reason + ')' : ''), { code: key });
+    };
+
+    /**
+     * Find an option that is not one of the known ones
+     *
+     * @param {Object} options - Optional, options
+     * @param {Array} known - Known option names
+     * @returns {NexmoError} Validation error for the first unknown option, or null
+     * @private
+     */
+    var unknownOption = function unknownOption (options, known) {
+      for (var name in options || {}) {
+        if (known.indexOf(name) === -1) {
+          return validationError('unknownOption', '`' + name + '`');
         }
       }
+
+      return null;
+    };
+
+    /**
+     * Let an API method also take a single options object, e.g.
+     * `sendTextMessage({ from, to, text, clientRef }, callback)`, turned into
+     * its positional arguments after checking the fields
+     *
+     * @param {string} name - Method name in the signatures
+     * @param {Function} method - API method taking positional arguments
+     * @returns {Function} Method taking positional arguments or an options object
+     * @private
+     */
+    var overload = function overload (name, method) {
+      var signature = _SIGNATURES[name];
+      var fields = signature.fields.map(function (field) {
+        return field[0];
+      });
+
+      return function (options, callback) {
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+          return method.apply(null, arguments);
+        }
+
+        var args = [];
+        var rest = {};
+
+        for (var key in options) {
+          var index = fields.indexOf(key);
+
+          if (index === -1) {
+            if (!signature.options) {
+              return sendErrorResponse(callback, validationError('unknownOption', '`' + key + '`'));
+            }
+
+            rest[key] = options[key];
+          } else if (options[key] !== undefined && !_FIELD_TYPES[signature.fields[index][1]](options[key])) {
+            return sendErrorResponse(callback, validationError('invalidOption', '`' + key + '`'));
+          }
+        }
+
+        fields.forEach(function (field) {
+          args.push(options[field]);
+        });
+
+        if (signature.options) {
+          args.push(rest);
+        }
+
+        args.push(callback);
+
+        return method.apply(null, args);
+      };
+    };
+
+    /**
+     * Wrap an API method so it returns a Promise when no callback is given,
+     * normalizing its response when the client or call asks for it
+     *
+     * @param {Function} method - API method taking a trailing callback
+     * @param {Function} normalizer - Optional, response normalizer (Default: `responses.normalize`), or null when the
+     * method already answers with a typed result
+     * @returns {Function} Method accepting an optional trailing callback
+     * @private
+     */
+    var promisify = function promisify (method, normalizer) {
+      normalizer = normalizer === undefined ? responses.normalize : normalizer;
+
+      return function () {
+        var args = Array.prototype.slice.call(arguments);
+        var normalize = _callContext && _callContext.normalize !== undefined ? _callContext.normalize : _normalize;
+
+        // Trailing undefined arguments would push our callback out of place
+        while (args.length && args[args.length - 1] === undefined) {
+          args.pop();
+        }
+
+        var callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        var call = function call (done) {
+          args.push(!normalize || !normalizer ? done : function (err, response) {
+            done(err, err ? response : normalizer(response));
+          });
+
+          return method.apply(null, args);
+        };
+
+        if (callback) {
+          return call(callback);
+        }
+
+        return new Promise(function (resolve, reject) {
+          call(function (err, response) {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(response);
+            }
+          });
+        });
+      };
     };
 
-    return {
+    /**
+     * Logging messages, credentials and pins are always redacted
+     *
+     * @param {string} level - `trace`, `debug`, `info`, `warn`, `error` or `fatal`
+     * @param {string} message - Message
+     * @param {Object} fields - Optional, structured fields
+     * @private
+     */
+    var log = function log (level, message, fields) {
+      _logger.log(level, message, fields);
+    };
+
+    if (clientOptions) {
+      initialize(clientOptions);
+    }
+
+    var api = {
       VERSION: _VERSION,
       init: initialize,
-      sendTextMessage: sendSMSMessage,
-      sendBinaryMessage: sendBinaryMessage,
-      sendWapPushMessage: sendWapPushMessage,
-      sendTTSMessage: sendTTSMessage,
-      send2FACode: send2FACode,
-      getBalance: getBalance,
-      getPricing: getPricing,
-      updateSecret: updateSecret,
-      updateMoCallBackUrl: updateMoCallBackUrl,
-      updateDrCallBackUrl: updateDrCallBackUrl,
-      getTopUp: getTopUp,
-      getNumbers: getNumbers,
-      searchNumbers: searchNumbers,
-      buyNumber: buyNumber,
-      cancelNumber: cancelNumber,
-      updateNumberCallback: updateNumberCallback,
-      searchMessage: searchMessage,
-      searchMessageByIds: searchMessageByIds,
-      searchMessagesByRecipient: searchMessagesByRecipient,
-      searchRejections: searchRejections
+      sendTextMessage: promisify(overload('sendTextMessage', sendSMSMessage)),
+      sendBulk: promisify(overload('sendBulk', sendBulk), responses.normalizeSummary),
+      sendBinaryMessage: promisify(overload('sendBinaryMessage', sendBinaryMessage)),
+      sendWapPushMessage: promisify(overload('sendWapPushMessage', sendWapPushMessage)),
+      sendTTSMessage: promisify(overload('sendTTSMessage', sendTTSMessage)),
+      sendTTSPrompt: promisify(overload('sendTTSPrompt', sendTTSPrompt)),
+      send2FACode: promisify(overload('send2FACode', send2FACode)),
+      sendUSSDPush: promisify(overload('sendUSSDPush', sendUSSDPush)),
+      sendUSSDPrompt: promisify(overload('sendUSSDPrompt', sendUSSDPrompt)),
+      getBalance: promisify(overload('getBalance', getBalance)),
+      getPricing: promisify(overload('getPricing', getPricing)),
+      estimateCost: promisify(overload('estimateCost', estimateCost), null),
+      analyzeMessage: encoding.analyzeMessage,
+      updateSecret: promisify(overload('updateSecret', updateSecret)),
+      updateMoCallBackUrl: promisify(overload('updateMoCallBackUrl', updateMoCallBackUrl)),
+      updateDrCallBackUrl: promisify(overload('updateDrCallBackUrl', updateDrCallBackUrl)),
+      getTopUp: promisify(overload('getTopUp', getTopUp)),
+      getNumbers: promisify(overload('getNumbers', getNumbers)),
+      searchNumbers: promisify(overload('searchNumbers', searchNumbers)),
+      buyNumber: promisify(overload('buyNumber', buyNumber)),
+      cancelNumber: promisify(overload('cancelNumber', cancelNumber)),
+      updateNumberCallback: promisify(overload('updateNumberCallback', updateNumberCallback)),
+      searchMessage: promisify(overload('searchMessage', searchMessage)),
+      searchMessageByIds: promisify(overload('searchMessageByIds', searchMessageByIds)),
+      searchMessagesByRecipient: promisify(overload('searchMessagesByRecipient', searchMessagesByRecipient)),
+      searchRejections: promisify(overload('searchRejections', searchRejections)),
+      getNumberInsight: promisify(overload('getNumberInsight', getNumberInsight), null)
+    };
+
+    // Short name of sendTextMessage, e.g. `nexmo.sendSMS({ from, to, text })`
+    api.sendSMS = api.sendTextMessage;
+
+    if (_suppression && !_suppression.client) {
+      _suppression.client = api;
+    }
+
+    api.numbers = new NumberManager(api);
+
+    /**
+     * Number: Search - Iterate over available inbound numbers across every page
+     *
+     * @param {string} countryCode - Country code
+     * @param {Object} options - Optional, `{ pattern, pageSize, limit, until }`
+     * @returns {Object} Async iterator of numbers
+     */
+    api.iterateNumbers = function iterateNumbers (countryCode, options) {
+      return paginate.numbers(api, countryCode, options);
+    };
+
+    /**
+     * Search: Messages - Iterate over messages sent to a recipient, one day at a time
+     *
+     * @param {string} to - A recipient number
+     * @param {Object} options - `{ start, end, limit, until }`, days as `Date` or YYYY-MM-DD
+     * @returns {Object} Async iterator of messages
+     */
+    api.iterateMessagesByRecipient = function iterateMessagesByRecipient (to, options) {
+      return paginate.messages(api, to, options);
+    };
+
+    /**
+     * Search: Rejections - Iterate over rejected messages, one day at a time
+     *
+     * @param {Object} options - `{ start, end, to, limit, until }`, days as `Date` or YYYY-MM-DD
+     * @returns {Object} Async iterator of rejections
+     */
+    api.iterateRejections = function iterateRejections (options) {
+      return paginate.rejections(api, options);
+    };
+
+    /**
+     * Logging - Hide a value, e.g. a code inside a message body, from the logs
+     *
+     * @param {string} value - Value to hide
+     * @returns {Function} Call to stop hiding the value
+     */
+    api.hideFromLogs = function hideFromLogs (value) {
+      return _logger.redact.protect(value);
+    };
+
+    /**
+     * Verification - Create a one-time password manager sending codes with this client
+     *
+     * @param {Object} options - Optional, `{ store, length, alphabet, channel, from, text, speech, ttl, maxAttempts, maxSends, resendCooldown }`
+     * @returns {OtpManager}
+     */
+    api.createOtp = function createOtp (options) {
+      return otpManager(api, options);
+    };
+
+    /**
+     * Create a one-time password manager for a client
+     *
+     * @param {Object} client - Client sending the codes
+     * @param {Object} options - Optional, manager settings
+     * @returns {OtpManager}
+     * @private
+     */
+    var otpManager = function otpManager (client, options) {
+      var settings = { defaultCountry: _defaultCountry };
+
+      Object.keys(options || {}).forEach(function (key) {
+        settings[key] = options[key];
+      });
+
+      return new OtpManager(client, settings);
+    };
+
+    /**
+     * Scheduling - Create a scheduler sending text messages later with this client
+     *
+     * @param {Object} options - Optional, `{ store, file, quietHours, defaultTimezone, defaultCountry }`
+     * @returns {Scheduler}
+     */
+    api.createScheduler = function createScheduler (options) {
+      return scheduler(api, options);
+    };
+
+    /**
+     * Create a scheduler for a client
+     *
+     * @param {Object} client - Client sending the messages
+     * @param {Object} options - Optional, scheduler settings
+     * @returns {Scheduler}
+     * @private
+     */
+    var scheduler = function scheduler (client, options) {
+      var settings = { client: client, defaultCountry: _defaultCountry };
+
+      Object.keys(options || {}).forEach(function (key) {
+        if (key !== 'client') {
+          settings[key] = options[key];
+        }
+      });
+
+      return new Scheduler(settings);
+    };
+
+    /**
+     * Call options - Get a client whose calls use a timeout, abort signal, response format or spend tag of their own
+     *
+     * @param {Object} callOptions - `{ timeout, signal, normalize, tag, ignoreSuppression }`, timeout in milliseconds per
+     * request (0 for none), an `AbortSignal`, whether responses are normalized, the tag sends count against in the spend
+     * guard and whether to send to numbers on the suppression list
+     * @returns {Object} Client with the same methods
+     */
+    api.withOptions = function withOptions (callOptions) {
+      callOptions = callOptions || {};
+
+      if (callOptions.timeout !== undefined && !(callOptions.timeout >= 0)) {
+        throw new errors.ValidationError('Invalid timeout, use a number of milliseconds', { code: 'invalidTimeout' });
+      }
+
+      if (callOptions.signal && typeof callOptions.signal.addEventListener !== 'function') {
+        throw new errors.ValidationError('Invalid signal, use an AbortSignal', { code: 'invalidSignal' });
+      }
+
+      if (callOptions.normalize !== undefined && typeof callOptions.normalize !== 'boolean') {
+        throw new errors.ValidationError('Invalid normalize option, use true or false', { code: 'invalidNormalize' });
+      }
+
+      if (callOptions.tag !== undefined && (typeof callOptions.tag !== 'string' || !callOptions.tag)) {
+        throw new errors.ValidationError('Invalid tag, use a name such as `marketing`', { code: 'invalidTag' });
+      }
+
+      if (callOptions.ignoreSuppression !== undefined && typeof callOptions.ignoreSuppression !== 'boolean') {
+        throw new errors.ValidationError('Invalid ignoreSuppression option, use true or false', { code: 'invalidIgnoreSuppression' });
+      }
+
+      var scoped = {};
+
+      Object.keys(api).forEach(function (name) {
+        var method = api[name];
+
+        scoped[name] = typeof method !== 'function' ? method : function () {
+          var args = arguments;
+
+          return inContext(callOptions, function () {
+            return method.apply(null, args);
+          });
+        };
+      });
+
+      // Helpers that call the client later on must call this one
+      scoped.numbers = new NumberManager(scoped);
+      scoped.iterateNumbers = function iterateNumbers (countryCode, options) {
+        return paginate.numbers(scoped, countryCode, options);
+      };
+      scoped.iterateMessagesByRecipient = function iterateMessagesByRecipient (to, options) {
+        return paginate.messages(scoped, to, options);
+      };
+      scoped.iterateRejections = function iterateRejections (options) {
+        return paginate.rejections(scoped, options);
+      };
+      scoped.createOtp = function createOtp (options) {
+        return otpManager(scoped, options);
+      };
+      scoped.createScheduler = function createScheduler (options) {
+        return scheduler(scoped, options);
+      };
+      scoped.withOptions = function withOptions (moreOptions) {
+        var merged = {};
+
+        [callOptions, moreOptions || {}].forEach(function (source) {
+          Object.keys(source).forEach(function (key) {
+            merged[key] = source[key];
+          });
+        });
+
+        return api.withOptions(merged);
+      };
+
+      return scoped;
     };
+
+    return api;
   };
 
   /**
    * Module exports
    */
   module.exports = Nexmo;
+  module.exports.errors = require('./errors');
+  module.exports.MemoryStore = require('./memory-store');
+  module.exports.analyzeMessage = require('./encoding').analyzeMessage;
+  module.exports.normalizeResponse = require('./responses').normalize;
+  module.exports.signature = require('./signature');
+  module.exports.phone = require('./phone');
+  module.exports.Sandbox = require('./sandbox');
+  module.exports.OtpManager = require('./otp');
+  module.exports.Scheduler = require('./scheduler');
+  module.exports.FileStore = require('./file-store');
+  module.exports.InboundHandler = require('./inbound');
+  module.exports.DeliveryReceiptHandler = require('./receipts');
+  module.exports.InsightHandler = require('./insight');
+  module.exports.CallStatusHandler = require('./calls');
+  module.exports.UssdHandler = require('./ussd');
+  module.exports.InsightCache = require('./insight').InsightCache;
+  module.exports.SpendGuard = require('./spend');
+  module.exports.SuppressionList = require('./suppression');
+
+  /**
+   * Create an inbound SMS (MO) webhook handler
+   *
+   * @param {Object} options - Optional, `{ store, timeout }`
+   * @returns {InboundHandler}
+   */
+  module.exports.createInboundHandler = function createInboundHandler (options) {
+    return new module.exports.InboundHandler(options);
+  };
+
+  /**
+   * Create a delivery receipt (DLR) webhook handler
+   *
+   * @param {Object} options - Optional, `{ store }`
+   * @returns {DeliveryReceiptHandler}
+   */
+  module.exports.createReceiptHandler = function createReceiptHandler (options) {
+    return new module.exports.DeliveryReceiptHandler(options);
+  };
+
+  /**
+   * Create a Number Insight callback webhook handler
+   *
+   * @param {Object} options - Optional, `{ store, cache }`
+   * @returns {InsightHandler}
+   */
+  module.exports.createInsightHandler = function createInsightHandler (options) {
+    return new module.exports.InsightHandler(options);
+  };
+
+  /**
+   * Create a voice call status webhook handler
+   *
+   * @param {Object} options - Optional, `{ store }`
+   * @returns {CallStatusHandler}
+   */
+  module.exports.createCallStatusHandler = function createCallStatusHandler (options) {
+    return new module.exports.CallStatusHandler(options);
+  };
+
+  /**
+   * Create a spend guard, to give to a client as its `spendGuard` option
+   *
+   * @param {Object} options - Optional, `{ daily, monthly, tags, minBalance, lowBalance, topUp, store }`
+   * @returns {SpendGuard}
+   */
+  module.exports.createSpendGuard = function createSpendGuard (options) {
+    return new module.exports.SpendGuard(options);
+  };
+
+  /**
+   * Create a suppression list, to give to a client as its `suppression` option
+   *
+   * @param {Object} options - Optional, `{ store, keywords, replies, client, defaultCountry }`
+   * @returns {SuppressionList}
+   */
+  module.exports.createSuppressionList = function createSuppressionList (options) {
+    return new module.exports.SuppressionList(options);
+  };
+
+  /**
+   * Create an inbound USSD handler running a menu
+   *
+   * @param {Object} options - `{ client, states, initial, from, store, timeout }`
+   * @returns {UssdHandler}
+   */
+  module.exports.createUssdHandler = function createUssdHandler (options) {
+    return new module.exports.UssdHandler(options);
+  };
+
+  /**
+   * Create a local Nexmo sandbox server
+   *
+   * @param {Object} options - Optional, sandbox settings
+   * @returns {Sandbox}
+   */
+  module.exports.createSandbox = function createSandbox (options) {
+    return new module.exports.Sandbox(options);
+  };
 })();
\ No newline at end of file
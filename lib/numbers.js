@@ -0,0 +1,288 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var errors = require('./errors');
+  var nodeify = require('./util').nodeify;
+
+  /**
+   * Number settings compared when syncing
+   *
+   * @constant
+   */
+  var _SETTINGS = ['moHttpUrl', 'moSmppSysType', 'voiceCallbackType', 'voiceCallbackValue', 'voiceStatusCallback'];
+
+  /**
+   * Pick the number settings out of an object
+   *
+   * @param {Object} source - Declared number or account number
+   * @returns {Object} Settings that are set
+   * @private
+   */
+  var pickSettings = function pickSettings (source) {
+    var settings = {};
+
+    _SETTINGS.forEach(function (key) {
+      if (source[key] !== undefined) {
+        settings[key] = source[key];
+      }
+    });
+
+    return settings;
+  };
+
+  /**
+   * Tell whether an account number already has the declared settings
+   *
+   * @param {Object} owned - Account number
+   * @param {Object} settings - Declared settings
+   * @returns {boolean}
+   * @private
+   */
+  var hasSettings = function hasSettings (owned, settings) {
+    return Object.keys(settings).every(function (key) {
+      return (owned[key] || '') === (settings[key] || '');
+    });
+  };
+
+  /**
+   * Higher-level number lifecycle built on the Number and Account: Numbers APIs
+   *
+   * @param {Object} client - Initialized nexmo client
+   */
+  var NumberManager = function NumberManager (client) {
+    this.client = client;
+  };
+
+  /**
+   * List the numbers of the account
+   *
+   * @param {requestCallback} callback - Optional, called with the list of numbers
+   * @returns {Promise}
+   */
+  NumberManager.prototype.list = function list (callback) {
+    return nodeify(this.client.getNumbers().then(function (response) {
+      return response.numbers || [];
+    }), callback);
+  };
+
+  /**
+   * Set the callbacks of one of your numbers
+   *
+   * @param {string} countryCode - Country code
+   * @param {string} msisdn - One of your inbound numbers
+   * @param {Object} settings - `{ moHttpUrl, moSmppSysType, voiceCallbackType, voiceCallbackValue, voiceStatusCallback }`
+   * @param {requestCallback} callback - Optional, the callback that handles the response
+   * @returns {Promise}
+   */
+  NumberManager.prototype.configure = function configure (countryCode, msisdn, settings, callback) {
+    return nodeify(this.client.updateNumberCallback(countryCode, msisdn, settings || {}), callback);
+  };
+
+  /**
+   * Find an available number matching a pattern, buy it and set its callbacks
+   *
+   * @param {string} countryCode - Country code
+   * @param {Object} options - Optional, `{ pattern }` plus the settings accepted by `configure`
+   * @param {requestCallback} callback - Optional, called with `{ country, msisdn, cost, settings }`
+   * @returns {Promise}
+   */
+  NumberManager.prototype.findAndBuy = function findAndBuy (countryCode, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    options = options || {};
+
+    var settings = pickSettings(options);
+    var number;
+
+    var promise = self.client.searchNumbers(countryCode, options.pattern).then(function (response) {
+      number = (response.numbers || [])[0];
+
+      if (!number) {
+        throw new errors.NexmoError('No available number matches ' + (options.pattern || 'the search') + ' in ' + countryCode, {
+          code: 'numberNotFound'
+        });
+      }
+
+      return self.client.buyNumber(countryCode, number.msisdn);
+    }).then(function () {
+      if (Object.keys(settings).length) {
+        return self.configure(countryCode, number.msisdn, settings);
+      }
+    }).then(function () {
+      return {
+        country: countryCode,
+        msisdn: number.msisdn,
+        cost: number.cost,
+        settings: settings
+      };
+    });
+
+    return nodeify(promise, callback);
+  };
+
+  /**
+   * Work out the actions that bring the account in line with declared numbers
+   *
+   * @param {Array} declared - `{ country, msisdn, pattern }` plus settings, `msisdn` or `pattern` being optional
+   * @param {Array} owned - Account numbers
+   * @param {boolean} prune - Cancel account numbers that are not declared
+   * @returns {Array} Actions, each `{ action, country, msisdn, pattern, settings }`
+   */
+  var plan = function plan (declared, owned, prune) {
+    var claimed = {};
+    var actions = [];
+
+    var claim = function claim (number, entry) {
+      var settings = pickSettings(entry);
+
+      claimed[number.msisdn] = true;
+      actions.push({
+        action: hasSettings(number, settings) ? 'keep' : 'update',
+        country: number.country,
+        msisdn: number.msisdn,
+        settings: settings
+      });
+    };
+
+    // Exact numbers first, so patterns don't claim a number declared by msisdn
+    declared.filter(function (entry) { return entry.msisdn; }).forEach(function (entry) {
+      var number = owned.filter(function (n) { return n.msisdn === entry.msisdn; })[0];
+
+      if (number) {
+        claim(number, entry);
+      } else {
+        claimed[entry.msisdn] = true;
+        actions.push({ action: 'buy', country: entry.country, msisdn: entry.msisdn, settings: pickSettings(entry) });
+      }
+    });
+
+    declared.filter(function (entry) { return !entry.msisdn; }).forEach(function (entry) {
+      var number = owned.filter(function (n) {
+        return !claimed[n.msisdn] && n.country === entry.country &&
+          (!entry.pattern || n.msisdn.indexOf(entry.pattern) !== -1);
+      })[0];
+
+      if (number) {
+        claim(number, entry);
+      } else {
+        actions.push({ action: 'buy', country: entry.country, pattern: entry.pattern, settings: pickSettings(entry) });
+      }
+    });
+
+    if (prune) {
+      owned.forEach(function (number) {
+        if (!claimed[number.msisdn]) {
+          actions.push({ action: 'cancel', country: number.country, msisdn: number.msisdn });
+        }
+      });
+    }
+
+    return actions;
+  };
+
+  /**
+   * Bring the account's numbers in line with a declared list.
+   * Matching numbers are kept and reconfigured, missing ones are bought and,
+   * with `prune`, undeclared ones are cancelled.
+   *
+   * @param {Array} declared - `{ country, msisdn, pattern }` plus the settings accepted by `configure`
+   * @param {Object} options - Optional, `{ dryRun, prune }`
+   * @param {requestCallback} callback - Optional, called with the list of actions and their outcome
+   * @returns {Promise}
+   */
+  NumberManager.prototype.sync = function sync (declared, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    options = options || {};
+
+    var promise = self.list().then(function (owned) {
+      var actions = plan(declared || [], owned, options.prune);
+
+      if (options.dryRun) {
+        return actions;
+      }
+
+      // One at a time, a failed action is recorded and the rest still run
+      return actions.reduce(function (previous, action) {
+        return previous.then(function () {
+          return self._apply(action).then(function (result) {
+            action.result = result;
+          }, function (err) {
+            action.error = err;
+          });
+        });
+      }, Promise.resolve()).then(function () {
+        return actions;
+      });
+    });
+
+    return nodeify(promise, callback);
+  };
+
+  /**
+   * Carry out one sync action
+   *
+   * @param {Object} action - Sync action
+   * @returns {Promise}
+   * @private
+   */
+  NumberManager.prototype._apply = function _apply (action) {
+    var self = this;
+    var configured = Object.keys(action.settings || {}).length > 0;
+
+    switch (action.action) {
+      case 'update':
+        return self.configure(action.country, action.msisdn, action.settings);
+      case 'cancel':
+        return self.client.cancelNumber(action.country, action.msisdn);
+      case 'buy':
+        if (!action.msisdn) {
+          var options = { pattern: action.pattern };
+          Object.keys(action.settings).forEach(function (key) {
+            options[key] = action.settings[key];
+          });
+
+          return self.findAndBuy(action.country, options).then(function (result) {
+            action.msisdn = result.msisdn;
+            return result;
+          });
+        }
+
+        return self.client.buyNumber(action.country, action.msisdn).then(function (result) {
+          return configured ? self.configure(action.country, action.msisdn, action.settings) : result;
+        });
+      default:
+        return Promise.resolve();
+    }
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = NumberManager;
+  module.exports.plan = plan;
+})();
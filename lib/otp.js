@@ -0,0 +1,381 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var crypto = require('crypto');
+  var MemoryStore = require('./memory-store');
+  var phone = require('./phone');
+  var errors = require('./errors');
+  var nodeify = require('./util').nodeify;
+  var promiseStore = require('./util').promiseStore;
+  var createQueue = require('./util').createQueue;
+
+  /**
+   * Results of sending and checking a code
+   *
+   * @constant
+   */
+  var RESULT = {
+    sent: 'sent',
+    cooldown: 'cooldown',
+    tooManySends: 'too_many_sends',
+    valid: 'valid',
+    mismatch: 'mismatch',
+    expired: 'expired',
+    tooManyAttempts: 'too_many_attempts',
+    notFound: 'not_found'
+  };
+
+  /**
+   * Channels a code can be sent over
+   *
+   * @constant
+   */
+  var _CHANNELS = ['sms', '2fa', 'tts'];
+
+  /**
+   * Code alphabets
+   *
+   * @constant
+   */
+  var _ALPHABETS = {
+    numeric: '0123456789',
+    alphanumeric: '23456789ABCDEFGHJKLMNPQRSTUVWXYZ'
+  };
+
+  /**
+   * Default settings
+   *
+   * @constant
+   */
+  var _DEFAULTS = {
+    length: 6,
+    alphabet: 'numeric',
+    channel: 'sms',
+    ttl: 5 * 60 * 1000,
+    maxAttempts: 3,
+    maxSends: 3,
+    resendCooldown: 30 * 1000,
+    text: 'Your verification code is {code}',
+    speech: 'Your verification code is {code}'
+  };
+
+  /**
+   * Generate a random code, without modulo bias
+   *
+   * @param {number} length - Number of characters
+   * @param {string} alphabet - Optional, `numeric`, `alphanumeric` or the characters to use (Default: numeric)
+   * @returns {string}
+   */
+  var generateCode = function generateCode (length, alphabet) {
+    var chars = _ALPHABETS[alphabet || 'numeric'] || alphabet;
+    var limit = 256 - (256 % chars.length);
+    var code = '';
+
+    while (code.length < length) {
+      var bytes = crypto.randomBytes(length * 2);
+
+      for (var idx = 0; idx < bytes.length && code.length < length; idx++) {
+        if (bytes[idx] < limit) {
+          code += chars[bytes[idx] % chars.length];
+        }
+      }
+    }
+
+    return code;
+  };
+
+  /**
+   * Hash a code with a salt
+   *
+   * @param {string} code - Code
+   * @param {string} salt - Hex salt
+   * @returns {string} Hex digest
+   * @private
+   */
+  var hashCode = function hashCode (code, salt) {
+    return crypto.createHmac('sha256', salt).update(String(code).toUpperCase()).digest('hex');
+  };
+
+  /**
+   * Compare two hex digests in constant time
+   *
+   * @param {string} a - Digest
+   * @param {string} b - Digest
+   * @returns {boolean}
+   * @private
+   */
+  var sameHash = function sameHash (a, b) {
+    var left = Buffer.from(a, 'hex');
+    var right = Buffer.from(b, 'hex');
+
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  };
+
+  /**
+   * Fill a message template
+   *
+   * @param {string} template - Text with a `{code}` placeholder
+   * @param {string} code - Code, already formatted
+   * @returns {string}
+   * @private
+   */
+  var render = function render (template, code) {
+    return template.indexOf('{code}') === -1 ? template + ' ' + code : template.replace(/\{code\}/g, code);
+  };
+
+  /**
+   * One-time password (OTP) verification built on SMS, 2FA and TTS messages.
+   *
+   * Codes are kept in `store` as a salted hash with an expiry, never in clear
+   * text, under the recipient number and an optional `context` such as
+   * `login` or `reset`.
+   *
+   * @param {Object} client - Initialized nexmo client
+   * @param {Object} options - Optional, `{ store, length, alphabet, channel, from, text, speech, ttl, maxAttempts, maxSends, resendCooldown, defaultCountry }`
+   */
+  var OtpManager = function OtpManager (client, options) {
+    options = options || {};
+
+    this.client = client;
+    this.store = options.store || new MemoryStore();
+    this.options = {};
+    this._store = promiseStore(this.store);
+    this._serialize = createQueue();
+
+    for (var key in _DEFAULTS) {
+      this.options[key] = options[key] !== undefined ? options[key] : _DEFAULTS[key];
+    }
+
+    this.options.from = options.from;
+    this.options.defaultCountry = options.defaultCountry;
+  };
+
+  /**
+   * Generate a code, store its hash and send it to a recipient
+   *
+   * Resolves with `{ status: 'sent', to, channel, expiresAt, response }`, or
+   * with `{ status: 'cooldown' }`, `{ status: 'too_many_sends' }` or
+   * `{ status: 'too_many_attempts' }` and a `retryAfter` in milliseconds when
+   * no code was sent. Wrong codes entered are counted across resends.
+   *
+   * @param {string} to - Recipient number
+   * @param {Object} options - Optional, `{ context, channel, from }`
+   * @param {requestCallback} callback - Optional, called with the result
+   * @returns {Promise}
+   */
+  OtpManager.prototype.send = function send (to, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    options = options || {};
+
+    var channel = options.channel || self.options.channel;
+    var from = options.from || self.options.from;
+    var key = self._key(to, options.context);
+
+    if (_CHANNELS.indexOf(channel) === -1) {
+      return nodeify(Promise.reject(new errors.ValidationError('Invalid OTP channel, use `sms`, `2fa` or `tts`', {
+        code: 'invalidChannel'
+      })), callback);
+    } else if (channel !== '2fa' && !from) {
+      return nodeify(Promise.reject(new errors.ValidationError('Invalid from address', { code: 'invalidSender' })), callback);
+    }
+
+    return nodeify(self._serialize(key, function () {
+      return self._store.get(key).then(function (entry) {
+        var now = Date.now();
+
+        if (entry && entry.expiresAt > now) {
+          if (now - entry.sentAt < self.options.resendCooldown) {
+            return { status: RESULT.cooldown, to: to, retryAfter: entry.sentAt + self.options.resendCooldown - now };
+          } else if (entry.sends >= self.options.maxSends) {
+            return { status: RESULT.tooManySends, to: to, retryAfter: entry.expiresAt - now };
+          } else if (entry.attempts >= self.options.maxAttempts) {
+            return { status: RESULT.tooManyAttempts, to: to, retryAfter: entry.expiresAt - now };
+          }
+        } else {
+          entry = null;
+        }
+
+        var code = generateCode(self.options.length, self.options.alphabet);
+        var salt = crypto.randomBytes(16).toString('hex');
+
+        return self._deliver(channel, from, to, code).then(function (response) {
+          var sent = Date.now();
+          var record = {
+            hash: hashCode(code, salt),
+            salt: salt,
+            channel: channel,
+            sentAt: sent,
+            expiresAt: sent + self.options.ttl,
+            // A resend does not give more guesses, wrong codes count until the pending one expires
+            attempts: entry ? entry.attempts : 0,
+            sends: entry ? entry.sends + 1 : 1
+          };
+
+          return self._store.set(key, record).then(function () {
+            return {
+              status: RESULT.sent,
+              to: to,
+              channel: channel,
+              expiresAt: new Date(record.expiresAt),
+              response: response
+            };
+          });
+        });
+      });
+    }), callback);
+  };
+
+  /**
+   * Check a code sent to a recipient
+   *
+   * Resolves with `{ status, valid, attemptsLeft }`, where status is `valid`,
+   * `mismatch`, `expired`, `too_many_attempts` or `not_found`. A valid code
+   * can only be used once.
+   *
+   * @param {string} to - Recipient number
+   * @param {string} code - Code entered by the user
+   * @param {Object} options - Optional, `{ context }`
+   * @param {requestCallback} callback - Optional, called with the result
+   * @returns {Promise}
+   */
+  OtpManager.prototype.check = function check (to, code, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    options = options || {};
+
+    var key = self._key(to, options.context);
+    var result = function result (status, attemptsLeft) {
+      return { status: status, valid: status === RESULT.valid, to: to, attemptsLeft: attemptsLeft };
+    };
+
+    return nodeify(self._serialize(key, function () {
+      return self._store.get(key).then(function (entry) {
+        if (!entry) {
+          return result(RESULT.notFound, 0);
+        } else if (entry.expiresAt <= Date.now()) {
+          return self._store.remove(key).then(function () {
+            return result(RESULT.expired, 0);
+          });
+        } else if (entry.attempts >= self.options.maxAttempts) {
+          return result(RESULT.tooManyAttempts, 0);
+        }
+
+        if (typeof code === 'string' || typeof code === 'number') {
+          if (sameHash(hashCode(String(code).trim(), entry.salt), entry.hash)) {
+            return self._store.remove(key).then(function () {
+              return result(RESULT.valid, 0);
+            });
+          }
+        }
+
+        entry.attempts += 1;
+
+        return self._store.set(key, entry).then(function () {
+          var left = self.options.maxAttempts - entry.attempts;
+
+          return result(left > 0 ? RESULT.mismatch : RESULT.tooManyAttempts, left);
+        });
+      });
+    }), callback);
+  };
+
+  /**
+   * Drop the pending code of a recipient
+   *
+   * @param {string} to - Recipient number
+   * @param {Object} options - Optional, `{ context }`
+   * @param {requestCallback} callback - Optional, called once removed
+   * @returns {Promise}
+   */
+  OtpManager.prototype.cancel = function cancel (to, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    var key = self._key(to, (options || {}).context);
+
+    return nodeify(self._serialize(key, function () {
+      return self._store.remove(key);
+    }), callback);
+  };
+
+  /**
+   * Send a code over a channel
+   *
+   * @param {string} channel - `sms`, `2fa` or `tts`
+   * @param {string} from - Sender address
+   * @param {string} to - Recipient number
+   * @param {string} code - Code to send
+   * @returns {Promise} Resolved with the API response
+   * @private
+   */
+  OtpManager.prototype._deliver = function _deliver (channel, from, to, code) {
+    if (channel === '2fa') {
+      return this.client.send2FACode(to, code);
+    }
+
+    // Read the code one character at a time
+    var shown = channel === 'tts' ? code.split('').join(', ') : code;
+    var release = this.client.hideFromLogs ? this.client.hideFromLogs(shown) : function () {};
+    var sent = channel === 'tts' ?
+      this.client.sendTTSMessage(from, to, render(this.options.speech, shown)) :
+      this.client.sendTextMessage(from, to, render(this.options.text, shown));
+
+    return sent.then(function (response) {
+      release();
+      return response;
+    }, function (err) {
+      release();
+      throw err;
+    });
+  };
+
+  /**
+   * Store key of a recipient and context
+   *
+   * @param {string} to - Recipient number
+   * @param {string} context - Optional, verification context
+   * @returns {string}
+   * @private
+   */
+  OtpManager.prototype._key = function _key (to, context) {
+    var number = phone.normalize(to, this.options.defaultCountry) || String(to).replace(/\D/g, '');
+
+    return 'otp:' + (context ? context + ':' : '') + number;
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = OtpManager;
+  module.exports.RESULT = RESULT;
+  module.exports.generateCode = generateCode;
+})();
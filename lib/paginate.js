@@ -0,0 +1,227 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var errors = require('./errors');
+
+  /**
+   * Default and largest page size of number search
+   *
+   * @constant
+   */
+  var _DEFAULT_PAGE_SIZE = 10;
+  var _MAX_PAGE_SIZE = 100;
+
+  /**
+   * Length of a day in milliseconds
+   *
+   * @constant
+   */
+  var _DAY = 24 * 60 * 60 * 1000;
+
+  /**
+   * Create an async iterator over results fetched page by page.
+   *
+   * `fetchPage(page)` is called with a zero-based page number and resolves
+   * with `{ items, last }`. Iteration ends after the last page, after
+   * `options.limit` items, or before the first item `options.until(item)`
+   * returns true for.
+   *
+   * @param {Function} fetchPage - Page loader returning a Promise
+   * @param {Object} options - Optional, `{ limit, until }`
+   * @returns {Object} Async iterator, usable with `for await`
+   */
+  var createIterator = function createIterator (fetchPage, options) {
+    var buffer = [];
+    var page = 0;
+    var yielded = 0;
+    var finished = false;
+
+    options = options || {};
+
+    var end = function end () {
+      finished = true;
+      buffer = [];
+      return { value: undefined, done: true };
+    };
+
+    var next = function next () {
+      if (finished || (options.limit && yielded >= options.limit)) {
+        return Promise.resolve(end());
+      }
+
+      if (buffer.length) {
+        var item = buffer.shift();
+
+        if (options.until && options.until(item)) {
+          return Promise.resolve(end());
+        }
+
+        yielded++;
+        return Promise.resolve({ value: item, done: false });
+      }
+
+      if (buffer.last) {
+        return Promise.resolve(end());
+      }
+
+      return fetchPage(page++).then(function (result) {
+        buffer = (result.items || []).slice();
+        buffer.last = result.last;
+
+        if (!buffer.length && result.last) {
+          return end();
+        }
+
+        return next();
+      });
+    };
+
+    var iterator = {
+      next: next,
+      return: function () {
+        return Promise.resolve(end());
+      }
+    };
+
+    iterator[Symbol.asyncIterator] = function () {
+      return iterator;
+    };
+
+    return iterator;
+  };
+
+  /**
+   * Turn a `Date` or `YYYY-MM-DD` string into a UTC day timestamp
+   *
+   * @param {Date|string} value - Day
+   * @returns {number}
+   * @private
+   */
+  var toDay = function toDay (value) {
+    var date = value instanceof Date ? value : new Date(String(value) + 'T00:00:00Z');
+
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  };
+
+  /**
+   * Format a UTC day timestamp as `YYYY-MM-DD`
+   *
+   * @param {number} day - UTC day timestamp
+   * @returns {string}
+   * @private
+   */
+  var formatDay = function formatDay (day) {
+    return new Date(day).toISOString().slice(0, 10);
+  };
+
+  /**
+   * Iterate over available numbers across every page of number search
+   *
+   * @param {Object} client - Nexmo client
+   * @param {string} countryCode - Country code
+   * @param {Object} options - Optional, `{ pattern, pageSize, limit, until }`
+   * @returns {Object} Async iterator of numbers
+   */
+  var numbers = function numbers (client, countryCode, options) {
+    options = options || {};
+
+    var size = Math.min(options.pageSize || _DEFAULT_PAGE_SIZE, _MAX_PAGE_SIZE);
+
+    return createIterator(function (page) {
+      return client.searchNumbers(countryCode, options.pattern, page + 1, size).then(function (response) {
+        var items = response.numbers || [];
+
+        return {
+          items: items,
+          last: items.length < size || (page + 1) * size >= (parseInt(response.count, 10) || 0)
+        };
+      });
+    }, options);
+  };
+
+  /**
+   * Iterate over the days of a date range, one search per day
+   *
+   * @param {Function} search - Called with a `YYYY-MM-DD` day, resolves with the search response
+   * @param {Object} options - `{ start, end, limit, until }`, `end` defaults to today
+   * @returns {Object} Async iterator of search items, failing with a `ValidationError` on an invalid date
+   * @private
+   */
+  var days = function days (search, options) {
+    var start = toDay(options.start);
+    var end = toDay(options.end || new Date());
+    var invalid = isNaN(start) ? 'start' : (isNaN(end) ? 'end' : null);
+
+    return createIterator(function (page) {
+      var day = start + page * _DAY;
+
+      if (invalid) {
+        return Promise.reject(new errors.ValidationError('Invalid date value (`' + invalid + '`)', { code: 'invalidDate' }));
+      }
+
+      if (day > end) {
+        return Promise.resolve({ items: [], last: true });
+      }
+
+      return search(formatDay(day)).then(function (response) {
+        return {
+          items: (response && response.items) || [],
+          last: day + _DAY > end
+        };
+      });
+    }, options);
+  };
+
+  /**
+   * Iterate over messages sent to a recipient across a date range
+   *
+   * @param {Object} client - Nexmo client
+   * @param {string} to - A recipient number
+   * @param {Object} options - `{ start, end, limit, until }`
+   * @returns {Object} Async iterator of messages
+   */
+  var messages = function messages (client, to, options) {
+    return days(function (date) {
+      return client.searchMessagesByRecipient(date, to);
+    }, options || {});
+  };
+
+  /**
+   * Iterate over rejected messages across a date range
+   *
+   * @param {Object} client - Nexmo client
+   * @param {Object} options - `{ start, end, to, limit, until }`
+   * @returns {Object} Async iterator of rejections
+   */
+  var rejections = function rejections (client, options) {
+    options = options || {};
+
+    return days(function (date) {
+      return client.searchRejections(date, options.to);
+    }, options);
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = {
+    createIterator: createIterator,
+    numbers: numbers,
+    messages: messages,
+    rejections: rejections
+  };
+})();
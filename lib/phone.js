@@ -0,0 +1,272 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Assigned country calling codes
+   *
+   * @constant
+   */
+  var _CALLING_CODES = (
+    '1 7 20 27 30 31 32 33 34 36 39 40 41 43 44 45 46 47 48 49 51 52 53 54 55 56 57 58 60 61 62 63 64 65 66 ' +
+    '81 82 84 86 90 91 92 93 94 95 98 211 212 213 216 218 220 221 222 223 224 225 226 227 228 229 230 231 ' +
+    '232 233 234 235 236 237 238 239 240 241 242 243 244 245 246 247 248 249 250 251 252 253 254 255 256 ' +
+    '257 258 260 261 262 263 264 265 266 267 268 269 290 291 297 298 299 350 351 352 353 354 355 356 357 ' +
+    '358 359 370 371 372 373 374 375 376 377 378 380 381 382 383 385 386 387 389 420 421 423 500 501 502 ' +
+    '503 504 505 506 507 508 509 590 591 592 593 594 595 596 597 598 599 670 672 673 674 675 676 677 678 ' +
+    '679 680 681 682 683 685 686 687 688 689 690 691 692 800 808 850 852 853 855 856 870 880 881 882 883 ' +
+    '886 888 960 961 962 963 964 965 966 967 968 970 971 972 973 974 975 976 977 992 993 994 995 996 998'
+  ).split(' ');
+
+  /**
+   * Numbering plans: calling code, trunk prefix, national number length range and mobile prefixes.
+   * A null `mobile` means mobile numbers cannot be told apart by prefix.
+   *
+   * @constant
+   */
+  var _COUNTRIES = {
+    US: { code: '1', trunk: '1', length: [10, 10], mobile: null },
+    CA: { code: '1', trunk: '1', length: [10, 10], mobile: null },
+    RU: { code: '7', trunk: '8', length: [10, 10], mobile: ['9'] },
+    EG: { code: '20', trunk: '0', length: [8, 10], mobile: ['1'] },
+    ZA: { code: '27', trunk: '0', length: [9, 9], mobile: ['6', '7', '8'] },
+    NL: { code: '31', trunk: '0', length: [9, 9], mobile: ['6'] },
+    BE: { code: '32', trunk: '0', length: [8, 9], mobile: ['4'] },
+    FR: { code: '33', trunk: '0', length: [9, 9], mobile: ['6', '7'] },
+    ES: { code: '34', trunk: '', length: [9, 9], mobile: ['6', '7'] },
+    IT: { code: '39', trunk: '', length: [6, 11], mobile: ['3'] },
+    CH: { code: '41', trunk: '0', length: [9, 9], mobile: ['7'] },
+    AT: { code: '43', trunk: '0', length: [4, 13], mobile: ['6'] },
+    GB: { code: '44', trunk: '0', length: [10, 10], mobile: ['71', '72', '73', '74', '75', '77', '78', '79'] },
+    DK: { code: '45', trunk: '', length: [8, 8], mobile: null },
+    SE: { code: '46', trunk: '0', length: [7, 9], mobile: ['7'] },
+    NO: { code: '47', trunk: '', length: [8, 8], mobile: ['4', '9'] },
+    PL: { code: '48', trunk: '', length: [9, 9], mobile: ['45', '5', '6', '7', '88'] },
+    DE: { code: '49', trunk: '0', length: [6, 13], mobile: ['15', '16', '17'] },
+    MX: { code: '52', trunk: '', length: [10, 10], mobile: null },
+    AR: { code: '54', trunk: '0', length: [10, 10], mobile: null },
+    BR: { code: '55', trunk: '0', length: [10, 11], mobile: null },
+    MY: { code: '60', trunk: '0', length: [8, 10], mobile: ['1'] },
+    AU: { code: '61', trunk: '0', length: [9, 9], mobile: ['4'] },
+    ID: { code: '62', trunk: '0', length: [8, 12], mobile: ['8'] },
+    PH: { code: '63', trunk: '0', length: [10, 10], mobile: ['9'] },
+    NZ: { code: '64', trunk: '0', length: [8, 10], mobile: ['2'] },
+    SG: { code: '65', trunk: '', length: [8, 8], mobile: ['8', '9'] },
+    TH: { code: '66', trunk: '0', length: [8, 9], mobile: ['6', '8', '9'] },
+    JP: { code: '81', trunk: '0', length: [9, 10], mobile: ['70', '80', '90'] },
+    KR: { code: '82', trunk: '0', length: [8, 10], mobile: ['1'] },
+    VN: { code: '84', trunk: '0', length: [9, 10], mobile: ['3', '5', '7', '8', '9'] },
+    CN: { code: '86', trunk: '0', length: [9, 11], mobile: ['1'] },
+    TR: { code: '90', trunk: '0', length: [10, 10], mobile: ['5'] },
+    IN: { code: '91', trunk: '0', length: [10, 10], mobile: ['6', '7', '8', '9'] },
+    NG: { code: '234', trunk: '0', length: [8, 10], mobile: ['70', '80', '81', '90', '91'] },
+    KE: { code: '254', trunk: '0', length: [9, 9], mobile: ['1', '7'] },
+    PT: { code: '351', trunk: '', length: [9, 9], mobile: ['9'] },
+    IE: { code: '353', trunk: '0', length: [7, 9], mobile: ['8'] },
+    FI: { code: '358', trunk: '0', length: [5, 12], mobile: ['4', '50'] },
+    HK: { code: '852', trunk: '', length: [8, 8], mobile: ['5', '6', '9'] },
+    TW: { code: '886', trunk: '0', length: [8, 9], mobile: ['9'] },
+    SA: { code: '966', trunk: '0', length: [9, 9], mobile: ['5'] },
+    AE: { code: '971', trunk: '0', length: [8, 9], mobile: ['5'] },
+    IL: { code: '972', trunk: '0', length: [8, 9], mobile: ['5'] }
+  };
+
+  /**
+   * Shortest and longest full international number allowed by E.164
+   *
+   * @constant
+   */
+  var _E164_LENGTH = [8, 15];
+
+  /**
+   * Find the calling code an international number starts with
+   *
+   * @param {string} digits - International number, digits only
+   * @returns {string} Calling code, or undefined when not assigned
+   * @private
+   */
+  var findCallingCode = function findCallingCode (digits) {
+    for (var len = 1; len <= 3; len++) {
+      if (_CALLING_CODES.indexOf(digits.slice(0, len)) !== -1) {
+        return digits.slice(0, len);
+      }
+    }
+
+    return undefined;
+  };
+
+  /**
+   * Find the country of a calling code, preferring the default country
+   *
+   * @param {string} callingCode - Calling code
+   * @param {string} defaultCountry - Optional, 2 letter country code
+   * @returns {string} 2 letter country code, or undefined when not known
+   * @private
+   */
+  var findCountry = function findCountry (callingCode, defaultCountry) {
+    if (defaultCountry && _COUNTRIES[defaultCountry] && _COUNTRIES[defaultCountry].code === callingCode) {
+      return defaultCountry;
+    }
+
+    for (var country in _COUNTRIES) {
+      if (_COUNTRIES[country].code === callingCode) {
+        return country;
+      }
+    }
+
+    return undefined;
+  };
+
+  /**
+   * Check an international number against its numbering plan
+   *
+   * @param {string} digits - International number, digits only
+   * @param {string} defaultCountry - Optional, 2 letter country code
+   * @returns {Object} Parse result
+   * @private
+   */
+  var check = function check (digits, defaultCountry) {
+    var callingCode = findCallingCode(digits);
+
+    if (!callingCode) {
+      return { valid: false, reason: 'unknown country calling code' };
+    }
+
+    var country = findCountry(callingCode, defaultCountry);
+    var plan = _COUNTRIES[country];
+    var national = digits.slice(callingCode.length);
+
+    // `+44 07700 900123`: a trunk prefix that should have been dropped
+    if (plan && plan.trunk && national.indexOf(plan.trunk) === 0 && national.length > plan.length[1]) {
+      national = national.slice(plan.trunk.length);
+      digits = callingCode + national;
+    }
+
+    var result = {
+      valid: true,
+      e164: '+' + digits,
+      msisdn: digits,
+      callingCode: callingCode,
+      country: country,
+      national: national,
+      type: 'unknown'
+    };
+
+    if (plan) {
+      if (national.length < plan.length[0]) {
+        return { valid: false, reason: 'too short for ' + country };
+      } else if (national.length > plan.length[1]) {
+        return { valid: false, reason: 'too long for ' + country };
+      }
+
+      if (plan.mobile) {
+        result.type = plan.mobile.some(function (prefix) { return national.indexOf(prefix) === 0; }) ? 'mobile' : 'fixed';
+      }
+    } else if (digits.length < _E164_LENGTH[0]) {
+      return { valid: false, reason: 'too short' };
+    } else if (digits.length > _E164_LENGTH[1]) {
+      return { valid: false, reason: 'too long' };
+    }
+
+    return result;
+  };
+
+  /**
+   * Parse a phone number written in local or international format.
+   *
+   * Numbers starting with `+` or `00`, or any number when no known default
+   * country is given, are read as international; others are read as national
+   * numbers of `defaultCountry`, with the trunk prefix dropped.
+   *
+   * @param {string} input - Phone number, e.g. `+44 (0)7700 900123` or `07700 900123`
+   * @param {string} defaultCountry - Optional, 2 letter country code for national numbers
+   * @returns {Object} `{ valid, e164, msisdn, callingCode, country, national, type, reason }`
+   */
+  var parse = function parse (input, defaultCountry) {
+    var raw = String(input === undefined || input === null ? '' : input).trim();
+    var result;
+
+    defaultCountry = defaultCountry ? String(defaultCountry).toUpperCase() : undefined;
+
+    if (!raw) {
+      result = { valid: false, reason: 'empty' };
+    } else if (/[^\d+\s\-().\/]/.test(raw) || raw.lastIndexOf('+') > 0) {
+      result = { valid: false, reason: 'invalid characters' };
+    } else {
+      var international = raw.charAt(0) === '+';
+      var digits = raw.replace(/\(0\)/g, '').replace(/\D/g, '');
+      var plan = _COUNTRIES[defaultCountry];
+
+      if (!international && digits.indexOf('00') === 0) {
+        international = true;
+        digits = digits.slice(2);
+      } else if (!international && plan && plan.code === '1' && digits.indexOf('011') === 0) {
+        international = true;
+        digits = digits.slice(3);
+      }
+
+      if (international || !plan) {
+        result = check(digits, defaultCountry);
+      } else {
+        var national = plan.trunk && digits.indexOf(plan.trunk) === 0 && digits.length > plan.length[0] ?
+          digits.slice(plan.trunk.length) : digits;
+
+        result = check(plan.code + national, defaultCountry);
+
+        // Already international, just without the `+`
+        if (!result.valid && digits.indexOf(plan.code) === 0) {
+          var asInternational = check(digits, defaultCountry);
+          result = asInternational.valid ? asInternational : result;
+        }
+      }
+    }
+
+    result.input = input;
+
+    return result;
+  };
+
+  /**
+   * Normalize a phone number to the international format Nexmo expects, digits without `+`
+   *
+   * @param {string} input - Phone number
+   * @param {string} defaultCountry - Optional, 2 letter country code for national numbers
+   * @returns {string} Normalized number, or null when not valid
+   */
+  var normalize = function normalize (input, defaultCountry) {
+    var result = parse(input, defaultCountry);
+
+    return result.valid ? result.msisdn : null;
+  };
+
+  /**
+   * Calling code of a country
+   *
+   * @param {string} country - 2 letter country code
+   * @returns {string} Calling code, or undefined when the country is not known
+   */
+  var callingCode = function callingCode (country) {
+    var plan = _COUNTRIES[String(country || '').toUpperCase()];
+
+    return plan ? plan.code : undefined;
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = {
+    parse: parse,
+    normalize: normalize,
+    callingCode: callingCode
+  };
+})();
@@ -0,0 +1,318 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var util = require('util');
+  var EventEmitter = require('events').EventEmitter;
+  var MemoryStore = require('./memory-store');
+  var webhook = require('./webhook');
+  var signature = require('./signature');
+  var nodeify = require('./util').nodeify;
+  var asCallback = require('./util').asCallback;
+  var promiseStore = require('./util').promiseStore;
+  var createQueue = require('./util').createQueue;
+
+  /**
+   * Receipt statuses after which no further receipt is expected, and the event each one emits
+   *
+   * @constant
+   */
+  var _FINAL_STATUS = {
+    delivered: 'delivered',
+    expired: 'expired',
+    failed: 'failed',
+    rejected: 'failed'
+  };
+
+  /**
+   * Parse a receipt `scts` value, `YYMMDDHHMM` in UTC
+   *
+   * @param {string} value - Service center timestamp
+   * @returns {Date} Parsed date, or undefined when not valid
+   * @private
+   */
+  var parseScts = function parseScts (value) {
+    var match = /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(value || '');
+
+    if (!match) {
+      return undefined;
+    }
+
+    return new Date(Date.UTC(2000 + parseInt(match[1], 10), parseInt(match[2], 10) - 1,
+      parseInt(match[3], 10), parseInt(match[4], 10), parseInt(match[5], 10)));
+  };
+
+  /**
+   * Build a delivery receipt from Nexmo callback parameters
+   *
+   * @param {Object} params - Callback parameters
+   * @returns {Object} Delivery receipt, or null when required parameters are missing
+   */
+  var parseReceipt = function parseReceipt (params) {
+    if (!params || !params.messageId || !params.status) {
+      return null;
+    }
+
+    return {
+      messageId: params.messageId,
+      status: params.status,
+      errCode: params['err-code'] !== undefined ? parseInt(params['err-code'], 10) : undefined,
+      to: params.msisdn,
+      from: params.to,
+      networkCode: params['network-code'],
+      price: params.price !== undefined ? parseFloat(params.price) : undefined,
+      scts: parseScts(params.scts),
+      timestamp: webhook.parseTimestamp(params['message-timestamp']),
+      clientRef: params['client-ref'],
+      final: _FINAL_STATUS.hasOwnProperty(params.status),
+      raw: params
+    };
+  };
+
+  /**
+   * Delivery receipt (DLR) webhook handler.
+   *
+   * Keeps the latest status of every message id in `store`, a final status
+   * is never replaced by a late non-final one. Emits `receipt`
+   * for every receipt and `delivered`, `failed` or `expired` for final ones.
+   * With `signatureSecret`, receipts with a bad, expired or replayed
+   * signature are refused.
+   *
+   * @param {Object} options - Optional, `{ store, signatureSecret, signatureMethod, maxAge }`
+   */
+  var DeliveryReceiptHandler = function DeliveryReceiptHandler (options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    this.store = options.store || new MemoryStore();
+    this._store = promiseStore(this.store);
+    this._serialize = createQueue();
+    this._verify = options.signatureSecret ? signature.createVerifier(options) : null;
+    this._waiters = new webhook.Waiters();
+
+    webhook.bindHandle(this);
+  };
+
+  util.inherits(DeliveryReceiptHandler, EventEmitter);
+
+  /**
+   * Handle a delivery receipt webhook request
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Server response
+   * @param {Function} next - Optional, Express/Connect next function
+   */
+  DeliveryReceiptHandler.prototype.handle = function handle (req, res, next) {
+    var self = this;
+
+    webhook.parseRequest(req, function (err, params) {
+      if (err) {
+        err.statusCode = 400;
+        return webhook.respond(res, next, err);
+      }
+
+      self.receive(params, function (err) {
+        webhook.respond(res, next, err);
+      });
+    });
+  };
+
+  /**
+   * Record the messages of a send response as submitted
+   *
+   * @param {Object} apiResponse - Response of sendTextMessage and friends
+   * @param {requestCallback} callback - Optional, called once recorded
+   */
+  DeliveryReceiptHandler.prototype.track = function track (apiResponse, callback) {
+    var self = this;
+    var messages = (apiResponse && apiResponse.messages) || [];
+    var pending = 0;
+    var failed = null;
+
+    callback = callback || function () {};
+
+    var finish = function finish (err) {
+      failed = failed || err;
+
+      if (--pending === 0) {
+        callback(failed);
+      }
+    };
+
+    messages.forEach(function (message) {
+      if (!message['message-id'] || parseInt(message.status, 10) > 0) {
+        return;
+      }
+
+      pending++;
+
+      var record = {
+        messageId: message['message-id'],
+        status: 'submitted',
+        to: message.to,
+        price: message['message-price'] !== undefined ? parseFloat(message['message-price']) : undefined,
+        clientRef: message['client-ref'],
+        final: false,
+        updatedAt: new Date()
+      };
+
+      // A receipt may beat the send response back, never overwrite it
+      asCallback(self._serialize(record.messageId, function () {
+        return self._store.get(record.messageId).then(function (existing) {
+          return existing ? undefined : self._store.set(record.messageId, record);
+        });
+      }), finish);
+    });
+
+    if (pending === 0) {
+      process.nextTick(function () {
+        callback(null);
+      });
+    }
+  };
+
+  /**
+   * Process already parsed callback parameters
+   *
+   * @param {Object} params - Callback parameters
+   * @param {requestCallback} callback - Called with the receipt, or null when not a receipt
+   */
+  DeliveryReceiptHandler.prototype.receive = function receive (params, callback) {
+    var self = this;
+    var receipt = parseReceipt(params);
+
+    callback = callback || function () {};
+
+    var invalid = self._verify && self._verify(params || {});
+
+    if (invalid) {
+      return callback(invalid);
+    }
+
+    if (!receipt) {
+      return callback(null, null);
+    }
+
+    asCallback(self._serialize(receipt.messageId, function () {
+      return self._store.get(receipt.messageId).then(function (existing) {
+        // Receipts may come out of order, a late `buffered` never undoes a final status
+        if (existing && existing.final && !receipt.final) {
+          return { record: existing, stale: true };
+        }
+
+        var record = {
+          messageId: receipt.messageId,
+          status: receipt.status,
+          errCode: receipt.errCode,
+          to: receipt.to || (existing && existing.to),
+          from: receipt.from,
+          networkCode: receipt.networkCode,
+          price: receipt.price !== undefined ? receipt.price : (existing && existing.price),
+          scts: receipt.scts,
+          clientRef: receipt.clientRef || (existing && existing.clientRef),
+          final: receipt.final,
+          updatedAt: new Date()
+        };
+
+        return self._store.set(record.messageId, record).then(function () {
+          return { record: record, stale: false };
+        });
+      });
+    }), function (err, outcome) {
+      if (err) {
+          if (self._verify) {
+          self._verify.forget(params || {});
+        }
+        return callback(err);
+      }
+
+      var record = outcome.record;
+
+      self.emit('receipt', record, receipt);
+
+      if (record.final && !outcome.stale) {
+        self.emit(_FINAL_STATUS[record.status], record, receipt);
+        self._waiters.settle(record.messageId, null, record);
+      }
+
+      callback(null, record);
+    });
+  };
+
+  /**
+   * Get the latest known status of a message
+   *
+   * @param {string} messageId - Message id returned at submission time
+   * @param {requestCallback} callback - Called with the status record, or undefined when unknown
+   */
+  DeliveryReceiptHandler.prototype.get = function get (messageId, callback) {
+    this.store.get(messageId, callback);
+  };
+
+  /**
+   * Wait for the final status of one or more messages
+   *
+   * @param {string|Array} messageId - Message id, or a list of ids for a multipart message
+   * @param {Object} options - Optional, `{ timeout }` in milliseconds
+   * @param {requestCallback} callback - Optional, called with the final status record(s)
+   * @returns {Promise} Resolved with the final status record(s)
+   */
+  DeliveryReceiptHandler.prototype.waitFor = function waitFor (messageId, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    options = options || {};
+
+    var promise = Array.isArray(messageId) ?
+      Promise.all(messageId.map(function (id) { return self._waitForOne(id, options.timeout); })) :
+      self._waitForOne(messageId, options.timeout);
+
+    return nodeify(promise, callback);
+  };
+
+  /**
+   * Wait for the final status of a single message
+   *
+   * @param {string} messageId - Message id
+   * @param {number} timeout - Optional, milliseconds to wait
+   * @returns {Promise}
+   * @private
+   */
+  DeliveryReceiptHandler.prototype._waitForOne = function _waitForOne (messageId, timeout) {
+    var self = this;
+
+    return self._waiters.wait(messageId, {
+      timeout: timeout,
+      timeoutMessage: 'Timed out waiting for delivery receipt of ' + messageId,
+      lookup: function (done) {
+        self.store.get(messageId, function (err, record) {
+          done(err, record && record.final ? record : undefined);
+        });
+      }
+    });
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = DeliveryReceiptHandler;
+  module.exports.parseReceipt = parseReceipt;
+})();
@@ -0,0 +1,174 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var webhook = require('./webhook');
+
+  /**
+   * Fields holding numbers, once camel cased
+   *
+   * @constant
+   */
+  var _NUMBER_FIELDS = [
+    'status', 'messageCount', 'remainingBalance', 'messagePrice', 'price', 'value', 'mt', 'mtPrice', 'cost',
+    'count', 'latency', 'errorCode', 'maxOutboundRequest', 'maxInboundRequest', 'maxCallsPerSecond'
+  ];
+
+  /**
+   * Fields holding `YYYY-MM-DD HH:MM:SS` UTC timestamps, once camel cased
+   *
+   * @constant
+   */
+  var _DATE_FIELDS = ['dateReceived', 'dateClosed', 'messageTimestamp'];
+
+  /**
+   * Camel case a hyphenated or snake cased key, e.g. `remaining-balance`
+   *
+   * @param {string} key - Key
+   * @returns {string}
+   */
+  var camelCase = function camelCase (key) {
+    return String(key).replace(/[-_]+([a-z0-9])/gi, function (match, letter) {
+      return letter.toUpperCase();
+    });
+  };
+
+  /**
+   * Camel case the keys of a value, typing the known number and date fields
+   *
+   * @param {*} value - Parsed JSON value
+   * @param {string} key - Camel cased key holding the value, if any
+   * @returns {*} Normalized copy
+   * @private
+   */
+  var convert = function convert (value, key) {
+    if (Array.isArray(value)) {
+      return value.map(function (item) {
+        return convert(item);
+      });
+    }
+
+    if (value && typeof value === 'object') {
+      var result = {};
+
+      for (var name in value) {
+        var field = camelCase(name);
+        result[field] = convert(value[name], field);
+      }
+
+      return result;
+    }
+
+    if (_NUMBER_FIELDS.indexOf(key) !== -1 && value !== null && value !== '') {
+      var number = Number(value);
+      return isNaN(number) ? value : number;
+    }
+
+    if (_DATE_FIELDS.indexOf(key) !== -1) {
+      return webhook.parseTimestamp(value);
+    }
+
+    return value;
+  };
+
+  /**
+   * Round a sum of prices to the 8 decimals prices come with
+   *
+   * @param {number} value - Price
+   * @returns {number}
+   * @private
+   */
+  var roundPrice = function roundPrice (value) {
+    return Math.round(value * 1e8) / 1e8;
+  };
+
+  /**
+   * Normalize an API response: camel cased fields, numbers for prices,
+   * balances, counts and statuses, and dates for timestamps.
+   *
+   * A send response (SMS, USSD, 2FA) also gets `parts`, one result per
+   * message part in place of `messages`, with `messageIds`, the `totalCost`
+   * of every part and the `remainingBalance` after the last one.
+   *
+   * The response as received stays in `raw`.
+   *
+   * @param {Object} apiResponse - Parsed API response
+   * @returns {Object} Normalized response, or the value itself when not an object
+   */
+  var normalize = function normalize (apiResponse) {
+    if (!apiResponse || typeof apiResponse !== 'object' || Array.isArray(apiResponse)) {
+      return apiResponse;
+    }
+
+    var result = convert(apiResponse);
+
+    if (Array.isArray(result.messages) && result.messageCount !== undefined) {
+      var parts = result.messages;
+
+      delete result.messages;
+
+      result.parts = parts;
+      result.messageIds = parts.map(function (part) {
+        return part.messageId;
+      }).filter(Boolean);
+      result.totalCost = roundPrice(parts.reduce(function (total, part) {
+        return total + (part.messagePrice || 0);
+      }, 0));
+
+      if (parts.length && parts[parts.length - 1].remainingBalance !== undefined) {
+        result.remainingBalance = parts[parts.length - 1].remainingBalance;
+      }
+    }
+
+    result.raw = apiResponse;
+
+    return result;
+  };
+
+  /**
+   * Normalize the responses of a bulk send summary
+   *
+   * @param {Object} summary - `sendBulk` summary
+   * @returns {Object} Copy of the summary
+   */
+  var normalizeSummary = function normalizeSummary (summary) {
+    var result = {};
+
+    for (var name in summary) {
+      result[name] = summary[name];
+    }
+
+    result.succeeded = (summary.succeeded || []).map(function (entry) {
+      return {
+        to: entry.to,
+        messageIds: entry.messageIds,
+        cost: entry.cost,
+        response: normalize(entry.response)
+      };
+    });
+
+    return result;
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = {
+    camelCase: camelCase,
+    normalize: normalize,
+    normalizeSummary: normalizeSummary
+  };
+})();
@@ -0,0 +1,1107 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var http = require('http');
+  var https = require('https');
+  var url = require('url');
+  var querystring = require('querystring');
+  var crypto = require('crypto');
+  var util = require('util');
+  var EventEmitter = require('events').EventEmitter;
+  var webhook = require('./webhook');
+  var signature = require('./signature');
+  var encoding = require('./encoding');
+  var phone = require('./phone');
+  var nodeify = require('./util').nodeify;
+
+  /**
+   * Error texts of the simulated message statuses
+   *
+   * @constant
+   */
+  var _STATUS_TEXT = {
+    1: 'Throughput Rate Exceeded - please wait [ 1000 ] and retry',
+    2: 'Missing params',
+    3: 'Invalid params',
+    4: 'Bad Credentials',
+    5: 'Internal Error',
+    6: 'Invalid Message',
+    7: 'Number barred',
+    8: 'Partner account barred',
+    9: 'Partner quota exceeded',
+    14: 'Invalid Signature',
+    15: 'Illegal Sender Address - rejected',
+    29: 'Non White-listed Destination - rejected'
+  };
+
+  /**
+   * Price of a Number Insight lookup at each level
+   *
+   * @constant
+   */
+  var _INSIGHT_PRICE = {
+    basic: 0,
+    standard: 0.005,
+    advanced: 0.03
+  };
+
+  /**
+   * Default sandbox settings
+   *
+   * @constant
+   */
+  var _DEFAULTS = {
+    apiKey: 'sandbox',
+    apiSecret: 'sandbox',
+    balance: 10,
+    price: 0.05,
+    topUpAmount: 10,
+    numberCost: 1,
+    messagesPerSecond: 0,
+    autoDeliver: false
+  };
+
+  /**
+   * Format a date the way Nexmo does, `YYYY-MM-DD HH:MM:SS` in UTC
+   *
+   * @param {Date} date - Date to format
+   * @returns {string}
+   * @private
+   */
+  var formatDate = function formatDate (date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+  };
+
+  /**
+   * Format a date as a receipt `scts`, `YYMMDDHHMM` in UTC
+   *
+   * @param {Date} date - Date to format
+   * @returns {string}
+   * @private
+   */
+  var formatScts = function formatScts (date) {
+    return date.toISOString().slice(2, 16).replace(/[-T:]/g, '');
+  };
+
+  /**
+   * Format an amount the way Nexmo does
+   *
+   * @param {number} value - Amount
+   * @returns {string}
+   * @private
+   */
+  var formatPrice = function formatPrice (value) {
+    return value.toFixed(8);
+  };
+
+  /**
+   * Subtract an amount from a balance without floating point drift
+   *
+   * @param {number} balance - Balance
+   * @param {number} amount - Amount to subtract
+   * @returns {number}
+   * @private
+   */
+  var debit = function debit (balance, amount) {
+    return Math.round((balance - amount) * 1e8) / 1e8;
+  };
+
+  /**
+   * Create a random hex id
+   *
+   * @param {number} length - Id length
+   * @returns {string}
+   * @private
+   */
+  var randomId = function randomId (length) {
+    return crypto.randomBytes(Math.ceil(length / 2)).toString('hex').slice(0, length).toUpperCase();
+  };
+
+  /**
+   * Split a text into the parts it is sent as
+   *
+   * @param {string} text - Message body
+   * @param {string} type - `text` or `unicode`
+   * @returns {Array} Text of each part
+   * @private
+   */
+  var splitText = function splitText (text, type) {
+    var analysis = encoding.analyzeMessage(text, type);
+    var parts = [];
+
+    if (analysis.segments === 1) {
+      return [text];
+    }
+
+    for (var idx = 0; idx < text.length; idx += analysis.charactersPerSegment) {
+      parts.push(text.slice(idx, idx + analysis.charactersPerSegment));
+    }
+
+    return parts;
+  };
+
+  /**
+   * Local stand-in for the Nexmo REST API.
+   *
+   * Keeps sent messages in memory, simulates balance, pricing, throttling and
+   * error statuses, and fires delivery receipt and inbound webhooks.
+   * Emits `request` for every API call and `message` for every message part sent.
+   *
+   * @param {Object} options - Optional, `{ apiKey, apiSecret, signatureSecret, signatureMethod, balance, price,
+   * pricing, topUpAmount, numberCost, messagesPerSecond, autoDeliver, moCallBackUrl, drCallBackUrl, numbers,
+   * availableNumbers }`
+   */
+  var Sandbox = function Sandbox (options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    for (var key in _DEFAULTS) {
+      this[key] = options[key] !== undefined ? options[key] : _DEFAULTS[key];
+    }
+
+    this.signatureSecret = options.signatureSecret;
+    this.signatureMethod = options.signatureMethod || 'md5hash';
+    this.pricing = options.pricing || {};
+    this.moCallBackUrl = options.moCallBackUrl;
+    this.drCallBackUrl = options.drCallBackUrl;
+    this.availableNumbers = options.availableNumbers || [];
+    this.url = null;
+    this._initialBalance = this.balance;
+    this._initialNumbers = options.numbers || [];
+
+    this._server = http.createServer(this.handle.bind(this));
+    this.reset();
+  };
+
+  util.inherits(Sandbox, EventEmitter);
+
+  /**
+   * Forget everything sent and received, and restore the starting balance and numbers
+   */
+  Sandbox.prototype.reset = function reset () {
+    this.balance = this._initialBalance;
+    this.messages = [];
+    this.calls = [];
+    this.rejections = [];
+    this.requests = [];
+    this.lookups = [];
+    this.numbers = this._initialNumbers.map(function (number) {
+      var copy = {};
+      for (var key in number) {
+        copy[key] = number[key];
+      }
+      return copy;
+    });
+    this._failures = [];
+    this._recipientFailures = {};
+    this._sentAt = [];
+  };
+
+  /**
+   * Start listening, on a random port unless one is given
+   *
+   * @param {number} port - Optional, port to listen on
+   * @param {requestCallback} callback - Optional, called with the sandbox url
+   * @returns {Promise} Resolved with the sandbox url, e.g. `http://127.0.0.1:49152`
+   */
+  Sandbox.prototype.listen = function listen (port, callback) {
+    var self = this;
+
+    if (typeof port === 'function') {
+      callback = port;
+      port = 0;
+    }
+
+    var promise = new Promise(function (resolve, reject) {
+      self._server.once('error', reject);
+      self._server.listen(port || 0, '127.0.0.1', function () {
+        self._server.removeListener('error', reject);
+        self.url = 'http://127.0.0.1:' + self._server.address().port;
+        resolve(self.url);
+      });
+    });
+
+    return nodeify(promise, callback);
+  };
+
+  /**
+   * Stop listening
+   *
+   * @param {requestCallback} callback - Optional, called once closed
+   * @returns {Promise}
+   */
+  Sandbox.prototype.close = function close (callback) {
+    var self = this;
+
+    var promise = new Promise(function (resolve) {
+      self._server.close(function () {
+        resolve();
+      });
+    });
+
+    return nodeify(promise, callback);
+  };
+
+  /**
+   * Make the next message sends fail with a given status
+   *
+   * @param {number} status - Nexmo status code
+   * @param {number} count - Optional, number of sends to fail (default 1)
+   */
+  Sandbox.prototype.failNext = function failNext (status, count) {
+    for (var idx = 0; idx < (count || 1); idx++) {
+      this._failures.push(status);
+    }
+  };
+
+  /**
+   * Make every message send to a recipient fail with a given status
+   *
+   * @param {string} to - Recipient number
+   * @param {number} status - Nexmo status code, or null to stop failing
+   */
+  Sandbox.prototype.failFor = function failFor (to, status) {
+    var key = phone.normalize(to) || String(to);
+
+    if (status) {
+      this._recipientFailures[key] = status;
+    } else {
+      delete this._recipientFailures[key];
+    }
+  };
+
+  /**
+   * Find sent message parts matching every given field
+   *
+   * @param {Object} filter - Optional, e.g. `{ to: '447700900123' }`
+   * @returns {Array} Matching message parts
+   */
+  Sandbox.prototype.find = function find (filter) {
+    filter = filter || {};
+
+    return this.messages.filter(function (message) {
+      return Object.keys(filter).every(function (key) {
+        return message[key] === filter[key];
+      });
+    });
+  };
+
+  /**
+   * Last message part sent
+   *
+   * @returns {Object} Message part, or undefined when none was sent
+   */
+  Sandbox.prototype.last = function last () {
+    return this.messages[this.messages.length - 1];
+  };
+
+  /**
+   * Send a delivery receipt for a message to the DLR call back URL
+   *
+   * @param {string} messageId - Message id
+   * @param {string} status - Optional, receipt status (default `delivered`)
+   * @param {number} errCode - Optional, receipt error code (default 0)
+   * @param {requestCallback} callback - Optional, called once the webhook answered
+   * @returns {Promise}
+   */
+  Sandbox.prototype.deliver = function deliver (messageId, status, errCode, callback) {
+    if (typeof status === 'function') {
+      callback = status;
+      status = undefined;
+    } else if (typeof errCode === 'function') {
+      callback = errCode;
+      errCode = undefined;
+    }
+
+    var message = this.find({ messageId: messageId })[0];
+
+    if (!message) {
+      return nodeify(Promise.reject(new Error('Unknown message id ' + messageId)), callback);
+    }
+
+    var now = new Date();
+
+    message.status = status || 'delivered';
+
+    var params = {
+      msisdn: message.to,
+      to: message.from,
+      'network-code': message.network,
+      messageId: messageId,
+      price: formatPrice(message.price),
+      status: message.status,
+      scts: formatScts(now),
+      'err-code': String(errCode || 0),
+      'message-timestamp': formatDate(now)
+    };
+
+    if (message.clientRef) {
+      params['client-ref'] = message.clientRef;
+    }
+
+    return nodeify(this._callWebhook(message.callback || this.drCallBackUrl, params), callback);
+  };
+
+  /**
+   * End a call and fire its status callback
+   *
+   * @param {string} callId - Call id
+   * @param {Object} result - Optional, `{ status, digits }`, status being `answered` (default), `machine`,
+   * `busy`, `unanswered` or `failed`, and digits the keys pressed during a prompt
+   * @param {requestCallback} callback - Optional, called once the webhook answered
+   * @returns {Promise}
+   */
+  Sandbox.prototype.answerCall = function answerCall (callId, result, callback) {
+    if (typeof result === 'function') {
+      callback = result;
+      result = undefined;
+    }
+
+    result = result || {};
+
+    var call = this.calls.filter(function (c) { return c.callId === callId; })[0];
+
+    if (!call) {
+      return nodeify(Promise.reject(new Error('Unknown call id ' + callId)), callback);
+    }
+
+    var now = new Date();
+    var picked = !result.status || result.status === 'answered' || result.status === 'machine';
+
+    call.status = result.status || 'answered';
+    call.digits = result.digits;
+
+    var params = {
+      call_id: callId,
+      to: call.to,
+      call_status: (picked ? 'ANSWERED' : call.status).toUpperCase(),
+      call_request: formatDate(call.createdAt),
+      call_start: picked ? formatDate(call.createdAt) : undefined,
+      call_end: picked ? formatDate(now) : undefined,
+      call_duration: picked ? String(Math.round((now - call.createdAt) / 1000)) : undefined,
+      call_price: formatPrice(this._priceFor(call.to)),
+      machine_detection: result.status === 'machine' ? 'MACHINE' : undefined,
+      digits: result.digits
+    };
+
+    for (var key in params) {
+      if (params[key] === undefined) {
+        delete params[key];
+      }
+    }
+
+    return nodeify(this._callWebhook(call.callback, params), callback);
+  };
+
+  /**
+   * Send an inbound message to the number's MO URL, or the account's inbound call back URL.
+   * Texts longer than one part are sent as a concatenated message.
+   *
+   * @param {Object} message - `{ from, to, text, keyword }`
+   * @param {requestCallback} callback - Optional, called once every part was answered
+   * @returns {Promise}
+   */
+  Sandbox.prototype.sendInbound = function sendInbound (message, callback) {
+    var self = this;
+    var to = phone.normalize(message.to) || message.to;
+    var number = self.numbers.filter(function (n) { return n.msisdn === to; })[0];
+    var target = (number && number.moHttpUrl) || self.moCallBackUrl;
+    var type = encoding.analyzeMessage(message.text).encoding;
+    var parts = splitText(message.text || '', type);
+    var ref = randomId(4);
+    var now = formatDate(new Date());
+
+    var promise = parts.reduce(function (previous, text, idx) {
+      return previous.then(function () {
+        var params = {
+          msisdn: phone.normalize(message.from) || message.from,
+          to: to,
+          messageId: randomId(16),
+          text: text,
+          type: type,
+          keyword: (message.keyword || text.split(/\s+/)[0] || '').toUpperCase(),
+          'message-timestamp': now
+        };
+
+        if (parts.length > 1) {
+          params.concat = 'true';
+          params['concat-ref'] = ref;
+          params['concat-total'] = String(parts.length);
+          params['concat-part'] = String(idx + 1);
+        }
+
+        return self._callWebhook(target, params);
+      });
+    }, Promise.resolve());
+
+    return nodeify(promise, callback);
+  };
+
+  /**
+   * Call a webhook with GET, signing it when a signature secret is set
+   *
+   * @param {string} target - Webhook url
+   * @param {Object} params - Webhook parameters
+   * @returns {Promise} Resolved with the webhook HTTP status
+   * @private
+   */
+  Sandbox.prototype._callWebhook = function _callWebhook (target, params) {
+    var self = this;
+
+    if (!target) {
+      return Promise.reject(new Error('No webhook url configured'));
+    }
+
+    if (self.signatureSecret) {
+      params.nonce = randomId(8);
+      signature.signParams(params, self.signatureSecret, self.signatureMethod);
+    }
+
+    return new Promise(function (resolve, reject) {
+      var options = url.parse(target);
+      options.path = (options.pathname || '/') + (options.search ? options.search + '&' : '?') + querystring.stringify(params);
+      options.method = 'GET';
+
+      var request = (options.protocol === 'https:' ? https : http).request(options, function (response) {
+        response.resume();
+        response.on('end', function () {
+          if (response.statusCode >= 300) {
+            reject(new Error('Webhook answered with HTTP ' + response.statusCode));
+          } else {
+            resolve(response.statusCode);
+          }
+        });
+      });
+
+      request.on('error', reject);
+      request.end();
+    });
+  };
+
+  /**
+   * Post a JSON body to a webhook, the way Number Insight callbacks are sent
+   *
+   * @param {string} target - Webhook url
+   * @param {Object} body - Webhook body
+   * @returns {Promise} Resolved with the webhook HTTP status
+   * @private
+   */
+  Sandbox.prototype._postWebhook = function _postWebhook (target, body) {
+    var data = JSON.stringify(body);
+
+    return new Promise(function (resolve, reject) {
+      var options = url.parse(target);
+      options.method = 'POST';
+      options.headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) };
+
+      var request = (options.protocol === 'https:' ? https : http).request(options, function (response) {
+        response.resume();
+        response.on('end', function () {
+          if (response.statusCode >= 300) {
+            reject(new Error('Webhook answered with HTTP ' + response.statusCode));
+          } else {
+            resolve(response.statusCode);
+          }
+        });
+      });
+
+      request.on('error', reject);
+      request.end(data);
+    });
+  };
+
+  /**
+   * Run a Number Insight lookup
+   *
+   * @param {string} level - `basic`, `standard` or `advanced`
+   * @param {Object} params - Request parameters
+   * @returns {Object} Response body
+   * @private
+   */
+  Sandbox.prototype._lookup = function _lookup (level, params) {
+    var number = phone.parse(params.number);
+    var price = _INSIGHT_PRICE[level];
+    var body = {
+      status: 0,
+      status_message: 'Success',
+      request_id: randomId(32).toLowerCase(),
+      international_format_number: number.msisdn || params.number,
+      national_format_number: number.national,
+      country_code: number.country,
+      country_name: number.country,
+      country_prefix: number.callingCode
+    };
+
+    if (!number.valid && level === 'basic') {
+      return { status: 3, status_message: 'Invalid number format', request_id: body.request_id };
+    }
+
+    this.lookups.push({ level: level, number: body.international_format_number, createdAt: new Date() });
+
+    if (level !== 'basic') {
+      var carrier = {
+        network_code: '23410',
+        name: 'Sandbox Mobile',
+        country: number.country,
+        network_type: number.type === 'fixed' ? 'landline' : 'mobile'
+      };
+
+      this.balance = debit(this.balance, price);
+
+      body.request_price = formatPrice(price);
+      body.remaining_balance = formatPrice(this.balance);
+      body.current_carrier = carrier;
+      body.original_carrier = carrier;
+      body.ported = 'not_ported';
+      body.roaming = { status: 'not_roaming' };
+    }
+
+    if (level === 'advanced') {
+      body.lookup_outcome = 0;
+      body.lookup_outcome_message = 'Success';
+      body.valid_number = number.valid ? 'valid' : 'not_valid';
+      body.reachable = number.valid ? 'reachable' : 'bad_number';
+    }
+
+    return body;
+  };
+
+  /**
+   * Handle an API request
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Server response
+   */
+  Sandbox.prototype.handle = function handle (req, res) {
+    var self = this;
+    var endpoint = url.parse(req.url).pathname;
+
+    webhook.parseRequest(req, function (err, params) {
+      if (err) {
+        return self._send(res, 400, {});
+      }
+
+      // `ids` may be repeated in the query string
+      if (params.ids && !Array.isArray(params.ids)) {
+        params.ids = [params.ids];
+      }
+
+      self.requests.push({ method: req.method, endpoint: endpoint, params: params });
+      self.emit('request', endpoint, params);
+
+      var route = self._routes[endpoint];
+
+      if (!route) {
+        return self._send(res, 404, {});
+      }
+
+      if (!self._authorized(params)) {
+        return /json$/.test(endpoint) ?
+          self._send(res, 200, self._messageError(params, 4)) :
+          self._send(res, 401, {});
+      }
+
+      route.call(self, params, function (status, body) {
+        self._send(res, status, body);
+      });
+    });
+  };
+
+  /**
+   * Check the credentials or signature of a request
+   *
+   * @param {Object} params - Request parameters
+   * @returns {boolean}
+   * @private
+   */
+  Sandbox.prototype._authorized = function _authorized (params) {
+    if (params.api_key !== this.apiKey) {
+      return false;
+    }
+
+    if (params.sig) {
+      return !!this.signatureSecret &&
+        signature.sign(params, this.signatureSecret, this.signatureMethod).toLowerCase() === String(params.sig).toLowerCase();
+    }
+
+    return params.api_secret === this.apiSecret;
+  };
+
+  /**
+   * Write a JSON response
+   *
+   * @param {http.ServerResponse} res - Server response
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body
+   * @private
+   */
+  Sandbox.prototype._send = function _send (res, status, body) {
+    var data = JSON.stringify(body);
+
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(data)
+    });
+    res.end(data);
+  };
+
+  /**
+   * Price of one message part to a recipient
+   *
+   * @param {string} to - Recipient number
+   * @returns {number}
+   * @private
+   */
+  Sandbox.prototype._priceFor = function _priceFor (to) {
+    var country = phone.parse(to).country;
+
+    return country && this.pricing[country] !== undefined ? this.pricing[country] : this.price;
+  };
+
+  /**
+   * Pick the status a message send should fail with, if any
+   *
+   * @param {Object} params - Request parameters
+   * @param {number} parts - Number of parts to send
+   * @returns {number} Nexmo status code, 0 when the send goes through
+   * @private
+   */
+  Sandbox.prototype._statusFor = function _statusFor (params, parts) {
+    var now = Date.now();
+
+    if (this._failures.length) {
+      return this._failures.shift();
+    }
+
+    if (this._recipientFailures[params.to]) {
+      return this._recipientFailures[params.to];
+    }
+
+    if (!params.to || (params.from === undefined && params.pin === undefined)) {
+      return 2;
+    }
+
+    if (!phone.parse(params.to).valid) {
+      return 3;
+    }
+
+    if (this.messagesPerSecond) {
+      this._sentAt = this._sentAt.filter(function (at) { return at > now - 1000; });
+
+      if (this._sentAt.length >= this.messagesPerSecond) {
+        return 1;
+      }
+
+      this._sentAt.push(now);
+    }
+
+    if (this._priceFor(params.to) * parts > this.balance) {
+      return 9;
+    }
+
+    return 0;
+  };
+
+  /**
+   * Build a failed message response and record the rejection
+   *
+   * @param {Object} params - Request parameters
+   * @param {number} status - Nexmo status code
+   * @returns {Object} Response body
+   * @private
+   */
+  Sandbox.prototype._messageError = function _messageError (params, status) {
+    var rejection = {
+      'date-received': formatDate(new Date()),
+      from: params.from,
+      to: params.to,
+      'error-code': String(status),
+      'error-code-label': _STATUS_TEXT[status] || 'Error',
+      status: String(status)
+    };
+
+    this.rejections.push(rejection);
+
+    return {
+      'message-count': '1',
+      messages: [{
+        to: params.to,
+        status: String(status),
+        'error-text': _STATUS_TEXT[status] || 'Error'
+      }]
+    };
+  };
+
+  /**
+   * Record and answer a message send, one entry per part
+   *
+   * @param {string} type - `sms`, `2fa`, `ussd` or `ussd-prompt`
+   * @param {Object} params - Request parameters
+   * @param {Function} reply - Called with HTTP status and body
+   * @private
+   */
+  Sandbox.prototype._sendMessage = function _sendMessage (type, params, reply) {
+    var self = this;
+    var text = params.text !== undefined ? params.text : (params.pin !== undefined ? params.pin : params.body || '');
+    var parts = params.type === 'binary' || params.type === 'wappush' ? [text] : splitText(text, params.type);
+    var status = self._statusFor(params, parts.length);
+
+    if (status) {
+      return reply(200, self._messageError(params, status));
+    }
+
+    var price = self._priceFor(params.to);
+    var now = new Date();
+
+    var messages = parts.map(function (part) {
+      self.balance = debit(self.balance, price);
+
+      var message = {
+        messageId: randomId(16),
+        kind: type,
+        type: params.type,
+        from: params.from,
+        to: params.to,
+        text: part,
+        params: params,
+        price: price,
+        network: '23410',
+        clientRef: params['client-ref'],
+        callback: params.callback,
+        status: 'submitted',
+        createdAt: now
+      };
+
+      self.messages.push(message);
+      self.emit('message', message);
+
+      return {
+        to: params.to,
+        'message-id': message.messageId,
+        status: '0',
+        'remaining-balance': formatPrice(self.balance),
+        'message-price': formatPrice(price),
+        network: message.network
+      };
+    });
+
+    reply(200, { 'message-count': String(messages.length), messages: messages });
+
+    if (self.autoDeliver && params['status-report-req'] !== '0') {
+      messages.forEach(function (message) {
+        self.deliver(message['message-id']).catch(function () {});
+      });
+    }
+  };
+
+  /**
+   * Place a text-to-speech call
+   *
+   * @param {string} type - `tts` or `prompt`
+   * @param {Object} params - Request parameters
+   * @param {Function} reply - Called with the HTTP status and body
+   * @private
+   */
+  Sandbox.prototype._call = function _call (type, params, reply) {
+    var status = this._statusFor(params, 1);
+
+    if (status) {
+      return reply(200, { status: String(status), 'error-text': _STATUS_TEXT[status] || 'Error' });
+    }
+
+    var call = {
+      callId: randomId(32),
+      type: type,
+      to: params.to,
+      from: params.from,
+      text: params.text,
+      callback: params.callback,
+      params: params,
+      status: 'requested',
+      createdAt: new Date()
+    };
+
+    this.balance = debit(this.balance, this._priceFor(params.to));
+    this.calls.push(call);
+    this.emit('call', call);
+
+    reply(200, { 'call-id': call.callId, to: params.to, status: '0', 'error-text': '' });
+  };
+
+  /**
+   * Find a number of the account
+   *
+   * @param {Object} params - Request parameters with `country` and `msisdn`
+   * @returns {Object} Account number, or undefined
+   * @private
+   */
+  Sandbox.prototype._ownedNumber = function _ownedNumber (params) {
+    return this.numbers.filter(function (number) {
+      return number.msisdn === params.msisdn && number.country === params.country;
+    })[0];
+  };
+
+  /**
+   * Numbers available to buy in a country
+   *
+   * @param {string} country - 2 letter country code
+   * @returns {Array}
+   * @private
+   */
+  Sandbox.prototype._availableIn = function _availableIn (country) {
+    var self = this;
+    var owned = self.numbers.map(function (number) { return number.msisdn; });
+    var available = self.availableNumbers.filter(function (number) {
+      return number.country === country;
+    });
+
+    // Make some up when none were configured for that country
+    if (!available.length) {
+      var prefix = phone.callingCode(country) || '1';
+
+      for (var idx = 0; idx < 30; idx++) {
+        available.push({ country: country, msisdn: prefix + String(7700900100 + idx) });
+      }
+    }
+
+    return available.filter(function (number) {
+      return owned.indexOf(number.msisdn) === -1;
+    }).map(function (number) {
+      return {
+        country: number.country,
+        msisdn: number.msisdn,
+        type: number.type || 'mobile-lvn',
+        features: number.features || ['SMS', 'VOICE'],
+        cost: formatPrice(number.cost !== undefined ? number.cost : self.numberCost).slice(0, 4)
+      };
+    });
+  };
+
+  /**
+   * Public search record of a message part
+   *
+   * @param {Object} message - Message part
+   * @returns {Object}
+   * @private
+   */
+  var searchRecord = function searchRecord (message) {
+    return {
+      'message-id': message.messageId,
+      'account-id': 'sandbox',
+      network: message.network,
+      from: message.from,
+      to: message.to,
+      body: message.text,
+      price: formatPrice(message.price),
+      'date-received': formatDate(message.createdAt),
+      'final-status': message.status === 'submitted' ? undefined : message.status.toUpperCase(),
+      type: 'MT'
+    };
+  };
+
+  /**
+   * API routes, called with the request parameters and a `reply(status, body)` function
+   *
+   * @private
+   */
+  Sandbox.prototype._routes = {
+    '/sms/json': function (params, reply) {
+      this._sendMessage('sms', params, reply);
+    },
+
+    '/sc/us/2fa/json': function (params, reply) {
+      this._sendMessage('2fa', params, reply);
+    },
+
+    '/ussd/json': function (params, reply) {
+      this._sendMessage('ussd', params, reply);
+    },
+
+    '/ussd-prompt/json': function (params, reply) {
+      this._sendMessage('ussd-prompt', params, reply);
+    },
+
+    '/tts/json': function (params, reply) {
+      this._call('tts', params, reply);
+    },
+
+    '/tts-prompt/json': function (params, reply) {
+      this._call('prompt', params, reply);
+    },
+
+    '/account/get-balance': function (params, reply) {
+      reply(200, { value: this.balance, autoReload: false });
+    },
+
+    '/account/get-pricing/outbound': function (params, reply) {
+      var price = this.pricing[params.country] !== undefined ? this.pricing[params.country] : this.price;
+
+      reply(200, {
+        country: params.country,
+        name: params.country,
+        prefix: phone.callingCode(params.country),
+        mt: formatPrice(price),
+        networks: [{ code: '23410', network: 'Sandbox', mtPrice: formatPrice(price) }]
+      });
+    },
+
+    '/account/settings': function (params, reply) {
+      if (params.newSecret) {
+        this.apiSecret = params.newSecret;
+      }
+
+      if (params.moCallBackUrl !== undefined) {
+        this.moCallBackUrl = params.moCallBackUrl;
+      }
+
+      if (params.drCallBackUrl !== undefined) {
+        this.drCallBackUrl = params.drCallBackUrl;
+      }
+
+      reply(200, {
+        'mo-callback-url': this.moCallBackUrl || '',
+        'dr-callback-url': this.drCallBackUrl || '',
+        'max-outbound-request': this.messagesPerSecond || 30,
+        'max-inbound-request': 30
+      });
+    },
+
+    '/account/top-up': function (params, reply) {
+      this.balance = debit(this.balance, -this.topUpAmount);
+      reply(200, {});
+    },
+
+    '/account/numbers': function (params, reply) {
+      reply(200, { count: this.numbers.length, numbers: this.numbers });
+    },
+
+    '/number/search': function (params, reply) {
+      var available = this._availableIn(params.country).filter(function (number) {
+        return !params.pattern || number.msisdn.indexOf(params.pattern) !== -1;
+      });
+      var size = parseInt(params.size, 10) || 10;
+      var index = parseInt(params.index, 10) || 1;
+
+      reply(200, { count: available.length, numbers: available.slice((index - 1) * size, index * size) });
+    },
+
+    '/number/buy': function (params, reply) {
+      var number = this._availableIn(params.country).filter(function (n) { return n.msisdn === params.msisdn; })[0];
+
+      if (!number || this.balance < parseFloat(number.cost)) {
+        return reply(420, { 'error-code': '420', 'error-code-label': 'method failed' });
+      }
+
+      this.balance = debit(this.balance, parseFloat(number.cost));
+      this.numbers.push({ country: number.country, msisdn: number.msisdn, type: number.type, features: number.features });
+      reply(200, { 'error-code': '200', 'error-code-label': 'success' });
+    },
+
+    '/number/cancel': function (params, reply) {
+      var number = this._ownedNumber(params);
+
+      if (!number) {
+        return reply(420, { 'error-code': '420', 'error-code-label': 'method failed' });
+      }
+
+      this.numbers.splice(this.numbers.indexOf(number), 1);
+      reply(200, { 'error-code': '200', 'error-code-label': 'success' });
+    },
+
+    '/number/update': function (params, reply) {
+      var number = this._ownedNumber(params);
+
+      if (!number) {
+        return reply(420, { 'error-code': '420', 'error-code-label': 'method failed' });
+      }
+
+      ['moHttpUrl', 'moSmppSysType', 'voiceCallbackType', 'voiceCallbackValue', 'voiceStatusCallback'].forEach(function (key) {
+        if (params[key] !== undefined) {
+          number[key] = params[key];
+        }
+      });
+
+      reply(200, { 'error-code': '200', 'error-code-label': 'success' });
+    },
+
+    '/search/message': function (params, reply) {
+      var message = this.find({ messageId: params.id })[0];
+
+      reply(message ? 200 : 404, message ? searchRecord(message) : {});
+    },
+
+    '/search/messages': function (params, reply) {
+      var items = this.messages.filter(function (message) {
+        if (params.ids) {
+          return params.ids.indexOf(message.messageId) !== -1;
+        }
+
+        return message.to === params.to && formatDate(message.createdAt).slice(0, 10) === params.date;
+      }).map(searchRecord);
+
+      reply(200, { count: items.length, items: items });
+    },
+
+    '/ni/basic/json': function (params, reply) {
+      reply(200, this._lookup('basic', params));
+    },
+
+    '/ni/standard/json': function (params, reply) {
+      reply(200, this._lookup('standard', params));
+    },
+
+    '/ni/advanced/json': function (params, reply) {
+      reply(200, this._lookup('advanced', params));
+    },
+
+    '/ni/advanced/async/json': function (params, reply) {
+      var self = this;
+
+      if (!params.callback) {
+        return reply(200, { status: 3, status_message: 'Missing callback' });
+      }
+
+      var body = self._lookup('advanced', params);
+
+      reply(200, {
+        request_id: body.request_id,
+        number: body.international_format_number,
+        remaining_balance: body.remaining_balance,
+        request_price: body.request_price,
+        status: 0
+      });
+
+      setImmediate(function () {
+        self._postWebhook(params.callback, body).catch(function () {});
+      });
+    },
+
+    '/search/rejections': function (params, reply) {
+      var items = this.rejections.filter(function (rejection) {
+        return rejection['date-received'].slice(0, 10) === params.date && (!params.to || rejection.to === params.to);
+      });
+
+      reply(200, { count: items.length, items: items });
+    }
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = Sandbox;
+})();
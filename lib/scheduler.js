@@ -0,0 +1,581 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var path = require('path');
+  var crypto = require('crypto');
+  var util = require('util');
+  var EventEmitter = require('events').EventEmitter;
+  var FileStore = require('./file-store');
+  var phone = require('./phone');
+  var errors = require('./errors');
+  var nodeify = require('./util').nodeify;
+  var promiseStore = require('./util').promiseStore;
+  var createQueue = require('./util').createQueue;
+
+  /**
+   * Time zones of each country; quiet hours must hold in all of them
+   *
+   * @constant
+   */
+  var _TIMEZONES = {
+    US: ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'America/Anchorage', 'Pacific/Honolulu'],
+    CA: ['America/St_Johns', 'America/Halifax', 'America/Toronto', 'America/Winnipeg', 'America/Edmonton', 'America/Vancouver'],
+    RU: ['Europe/Kaliningrad', 'Europe/Moscow', 'Asia/Yekaterinburg', 'Asia/Novosibirsk', 'Asia/Irkutsk', 'Asia/Vladivostok', 'Asia/Kamchatka'],
+    EG: ['Africa/Cairo'],
+    ZA: ['Africa/Johannesburg'],
+    NL: ['Europe/Amsterdam'],
+    BE: ['Europe/Brussels'],
+    FR: ['Europe/Paris'],
+    ES: ['Europe/Madrid', 'Atlantic/Canary'],
+    IT: ['Europe/Rome'],
+    CH: ['Europe/Zurich'],
+    AT: ['Europe/Vienna'],
+    GB: ['Europe/London'],
+    DK: ['Europe/Copenhagen'],
+    SE: ['Europe/Stockholm'],
+    NO: ['Europe/Oslo'],
+    PL: ['Europe/Warsaw'],
+    DE: ['Europe/Berlin'],
+    MX: ['America/Mexico_City', 'America/Cancun', 'America/Chihuahua', 'America/Tijuana'],
+    AR: ['America/Argentina/Buenos_Aires'],
+    BR: ['America/Noronha', 'America/Sao_Paulo', 'America/Manaus', 'America/Rio_Branco'],
+    MY: ['Asia/Kuala_Lumpur'],
+    AU: ['Australia/Sydney', 'Australia/Adelaide', 'Australia/Brisbane', 'Australia/Darwin', 'Australia/Perth'],
+    ID: ['Asia/Jakarta', 'Asia/Makassar', 'Asia/Jayapura'],
+    PH: ['Asia/Manila'],
+    NZ: ['Pacific/Auckland'],
+    SG: ['Asia/Singapore'],
+    TH: ['Asia/Bangkok'],
+    JP: ['Asia/Tokyo'],
+    KR: ['Asia/Seoul'],
+    VN: ['Asia/Ho_Chi_Minh'],
+    CN: ['Asia/Shanghai'],
+    TR: ['Europe/Istanbul'],
+    IN: ['Asia/Kolkata'],
+    NG: ['Africa/Lagos'],
+    KE: ['Africa/Nairobi'],
+    PT: ['Europe/Lisbon', 'Atlantic/Azores'],
+    IE: ['Europe/Dublin'],
+    FI: ['Europe/Helsinki'],
+    HK: ['Asia/Hong_Kong'],
+    TW: ['Asia/Taipei'],
+    SA: ['Asia/Riyadh'],
+    AE: ['Asia/Dubai'],
+    IL: ['Asia/Jerusalem']
+  };
+
+  /**
+   * Default quiet hours, local time of the recipient
+   *
+   * @constant
+   */
+  var _QUIET_HOURS = { start: '21:00', end: '08:00' };
+
+  /**
+   * Step used to look for the end of quiet hours, in milliseconds
+   *
+   * @constant
+   */
+  var _STEP = 5 * 60 * 1000;
+
+  /**
+   * Longest delay a timer accepts
+   *
+   * @constant
+   */
+  var _MAX_TIMER = 0x7fffffff;
+
+  /**
+   * Store key of the list of scheduled message ids
+   *
+   * @constant
+   */
+  var _INDEX_KEY = 'scheduled:index';
+
+  /**
+   * Parse a `HH:MM` time into minutes after midnight
+   *
+   * @param {string} value - Time of day
+   * @returns {number} Minutes, or NaN when not valid
+   * @private
+   */
+  var toMinutes = function toMinutes (value) {
+    var match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value));
+
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : NaN;
+  };
+
+  /**
+   * Minutes after midnight of a moment in a time zone
+   *
+   * @param {number} time - Timestamp in milliseconds
+   * @param {string} timezone - IANA time zone
+   * @returns {number}
+   * @private
+   */
+  var localMinutes = function localMinutes (time, timezone) {
+    var parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(time));
+    var hour = 0;
+    var minute = 0;
+
+    parts.forEach(function (part) {
+      if (part.type === 'hour') {
+        hour = parseInt(part.value, 10) % 24;
+      } else if (part.type === 'minute') {
+        minute = parseInt(part.value, 10);
+      }
+    });
+
+    return hour * 60 + minute;
+  };
+
+  /**
+   * Tell whether a moment falls in quiet hours in any of the given time zones
+   *
+   * @param {number} time - Timestamp in milliseconds
+   * @param {Object} quietHours - `{ start, end }` as `HH:MM`, may wrap past midnight
+   * @param {Array} timezones - IANA time zones
+   * @returns {boolean}
+   */
+  var isQuiet = function isQuiet (time, quietHours, timezones) {
+    var start = toMinutes(quietHours.start);
+    var end = toMinutes(quietHours.end);
+
+    return timezones.some(function (timezone) {
+      var now = localMinutes(time, timezone);
+
+      return start <= end ? now >= start && now < end : now >= start || now < end;
+    });
+  };
+
+  /**
+   * First moment from a given time outside quiet hours in every time zone
+   *
+   * @param {number} time - Timestamp in milliseconds
+   * @param {Object} quietHours - `{ start, end }` as `HH:MM`
+   * @param {Array} timezones - IANA time zones
+   * @returns {number} Timestamp, or NaN when there is no such moment within two days
+   */
+  var nextAllowed = function nextAllowed (time, quietHours, timezones) {
+    if (!isQuiet(time, quietHours, timezones)) {
+      return time;
+    }
+
+    // Quiet hours end on a whole minute, start looking from the next step boundary
+    var candidate = Math.ceil(time / _STEP) * _STEP;
+    var limit = time + 2 * 24 * 60 * 60 * 1000;
+
+    for (; candidate <= limit; candidate += _STEP) {
+      if (!isQuiet(candidate, quietHours, timezones)) {
+        return candidate;
+      }
+    }
+
+    return NaN;
+  };
+
+  /**
+   * Time zones of a recipient
+   *
+   * @param {string} to - Recipient number, international digits
+   * @param {string} fallback - Time zone used when the country is not known
+   * @param {string} defaultCountry - Optional, country preferred among those sharing a calling code
+   * @returns {Array} IANA time zones
+   * @private
+   */
+  var timezonesFor = function timezonesFor (to, fallback, defaultCountry) {
+    var country = phone.parse('+' + to, defaultCountry).country;
+
+    return _TIMEZONES[country] || [fallback];
+  };
+
+  /**
+   * Check an IANA time zone name
+   *
+   * @param {string} timezone - Time zone
+   * @returns {boolean}
+   * @private
+   */
+  var isTimezone = function isTimezone (timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (err) {
+      return false;
+    }
+  };
+
+  /**
+   * Copy of a stored job for callers, with dates
+   *
+   * @param {Object} job - Stored job
+   * @returns {Object}
+   * @private
+   */
+  var publicJob = function publicJob (job) {
+    var copy = {};
+
+    for (var key in job) {
+      copy[key] = job[key];
+    }
+
+    copy.sendAt = new Date(job.sendAt);
+    copy.createdAt = new Date(job.createdAt);
+
+    return copy;
+  };
+
+  /**
+   * Text message scheduler, holding pending messages in a durable store.
+   *
+   * Messages are sent with `client.sendTextMessage` at their `sendAt` time,
+   * or later when it falls in the quiet hours of the recipient. Pending
+   * messages survive restarts: `start()` picks them up again, sending the
+   * overdue ones at once (quiet hours permitting).
+   *
+   * Emits `sent` with the job and API response, `failed` with the job and error,
+   * and `error` when the store cannot be read or written while sending.
+   *
+   * @param {Object} options - `{ client, store, file, quietHours, defaultTimezone, defaultCountry }`
+   */
+  var Scheduler = function Scheduler (options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    if (!options.client) {
+      throw new Error('A scheduler needs a `client`');
+    }
+
+    this.client = options.client;
+    this.store = options.store || new FileStore(options.file || path.join(process.cwd(), '.nexmo-schedule.json'));
+    this.quietHours = options.quietHours || _QUIET_HOURS;
+    this.defaultTimezone = options.defaultTimezone || 'UTC';
+    this.defaultCountry = options.defaultCountry;
+
+    this._timer = null;
+    this._started = false;
+    this._store = promiseStore(this.store);
+    this._serialize = createQueue();
+  };
+
+  util.inherits(Scheduler, EventEmitter);
+
+  /**
+   * Schedule a text message
+   *
+   * @param {Object} message - `{ from, to, text, type, sendAt, quietHours, timezone }`; sendAt as `Date`,
+   * timestamp or ISO string (Default: now), quietHours `true` for the scheduler ones or `{ start, end }`,
+   * and timezone an IANA name overriding the one of the recipient's country
+   * @param {requestCallback} callback - Optional, called with the scheduled job
+   * @returns {Promise}
+   */
+  Scheduler.prototype.schedule = function schedule (message, callback) {
+    var self = this;
+
+    message = message || {};
+
+    var now = Date.now();
+    var sendAt = message.sendAt === undefined ? now : new Date(message.sendAt).getTime();
+    var quietHours = message.quietHours === true ? self.quietHours : (message.quietHours || null);
+    var invalid = null;
+
+    if (!message.from) {
+      invalid = ['invalidSender', 'Invalid from address'];
+    } else if (!message.to || !phone.parse(message.to, self.defaultCountry).valid) {
+      invalid = ['invalidRecipient', 'Invalid to address'];
+    } else if (!message.text) {
+      invalid = ['invalidTextMessage', 'Invalid text message'];
+    } else if (isNaN(sendAt)) {
+      invalid = ['invalidDate', 'Invalid sendAt date'];
+    } else if (quietHours && (isNaN(toMinutes(quietHours.start)) || isNaN(toMinutes(quietHours.end)))) {
+      invalid = ['invalidQuietHours', 'Invalid quiet hours, use `{ start: \'21:00\', end: \'08:00\' }`'];
+    } else if (message.timezone && !isTimezone(message.timezone)) {
+      invalid = ['invalidTimezone', 'Invalid time zone ' + message.timezone];
+    }
+
+    if (invalid) {
+      return nodeify(Promise.reject(new errors.ValidationError(invalid[1], { code: invalid[0] })), callback);
+    }
+
+    var job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      from: message.from,
+      to: phone.normalize(message.to, self.defaultCountry),
+      text: message.text,
+      type: message.type,
+      requestedAt: sendAt,
+      sendAt: sendAt,
+      quietHours: quietHours,
+      timezone: message.timezone,
+      status: 'scheduled',
+      createdAt: now
+    };
+
+    if (quietHours) {
+      job.sendAt = nextAllowed(sendAt, quietHours, self._timezones(job));
+
+      if (isNaN(job.sendAt)) {
+        return nodeify(Promise.reject(new errors.ValidationError('Quiet hours leave no time to send', {
+          code: 'invalidQuietHours'
+        })), callback);
+      }
+    }
+
+    return nodeify(self._serialize(_INDEX_KEY, function () {
+      return self._store.get(_INDEX_KEY).then(function (index) {
+        index = index || [];
+        index.push(job.id);
+
+        return self._store.set('scheduled:' + job.id, job).then(function () {
+          return self._store.set(_INDEX_KEY, index);
+        });
+      });
+    }).then(function () {
+      self._rearm();
+      return publicJob(job);
+    }), callback);
+  };
+
+  /**
+   * List the scheduled messages, soonest first
+   *
+   * @param {requestCallback} callback - Optional, called with the jobs
+   * @returns {Promise}
+   */
+  Scheduler.prototype.list = function list (callback) {
+    return nodeify(this._jobs().then(function (jobs) {
+      return jobs.map(publicJob);
+    }), callback);
+  };
+
+  /**
+   * Cancel a scheduled message
+   *
+   * @param {string} id - Job id
+   * @param {requestCallback} callback - Optional, called with true when cancelled, false when not found
+   * @returns {Promise}
+   */
+  Scheduler.prototype.cancel = function cancel (id, callback) {
+    var self = this;
+
+    return nodeify(self._serialize(_INDEX_KEY, function () {
+      return self._store.get(_INDEX_KEY).then(function (index) {
+        index = index || [];
+
+        if (index.indexOf(id) === -1) {
+          return false;
+        }
+
+        index.splice(index.indexOf(id), 1);
+
+        return self._store.remove('scheduled:' + id).then(function () {
+          return self._store.set(_INDEX_KEY, index);
+        }).then(function () {
+          return true;
+        });
+      });
+    }).then(function (cancelled) {
+      self._rearm();
+      return cancelled;
+    }), callback);
+  };
+
+  /**
+   * Start sending scheduled messages, including those left by a previous process
+   *
+   * @param {requestCallback} callback - Optional, called once the pending messages are loaded
+   * @returns {Promise}
+   */
+  Scheduler.prototype.start = function start (callback) {
+    this._started = true;
+
+    return nodeify(this._arm(), callback);
+  };
+
+  /**
+   * Stop sending; scheduled messages stay in the store
+   */
+  Scheduler.prototype.stop = function stop () {
+    this._started = false;
+    clearTimeout(this._timer);
+    this._timer = null;
+  };
+
+  /**
+   * Time zones a job's quiet hours apply in
+   *
+   * @param {Object} job - Job
+   * @returns {Array}
+   * @private
+   */
+  Scheduler.prototype._timezones = function _timezones (job) {
+    return job.timezone ? [job.timezone] : timezonesFor(job.to, this.defaultTimezone, this.defaultCountry);
+  };
+
+  /**
+   * Set the timer again in the background, emitting `error` when the store fails
+   *
+   * @param {Error} err - Optional, error of the work done before
+   * @private
+   */
+  Scheduler.prototype._rearm = function _rearm (err) {
+    var self = this;
+    var fail = function fail (err) {
+      process.nextTick(function () {
+        self.emit('error', err);
+      });
+    };
+
+    if (err) {
+      fail(err);
+    }
+
+    self._arm().catch(fail);
+  };
+
+  /**
+   * Set the timer for the next due message
+   *
+   * @returns {Promise}
+   * @private
+   */
+  Scheduler.prototype._arm = function _arm () {
+    var self = this;
+
+    if (!self._started) {
+      return Promise.resolve();
+    }
+
+    return self._jobs().then(function (jobs) {
+      clearTimeout(self._timer);
+      self._timer = null;
+
+      if (!jobs.length || !self._started) {
+        return;
+      }
+
+      var delay = Math.max(0, Math.min(jobs[0].sendAt - Date.now(), _MAX_TIMER));
+
+      self._timer = setTimeout(function () {
+        self._timer = null;
+        self._run().then(function () {
+          self._rearm();
+        }, function (err) {
+          self._rearm(err);
+        });
+      }, delay);
+
+      // Do not keep the process alive only for this, messages are durable
+      if (self._timer.unref) {
+        self._timer.unref();
+      }
+    });
+  };
+
+  /**
+   * Send every due message
+   *
+   * @returns {Promise}
+   * @private
+   */
+  Scheduler.prototype._run = function _run () {
+    var self = this;
+    var now = Date.now();
+
+    return self._jobs().then(function (jobs) {
+      var due = jobs.filter(function (job) {
+        return job.sendAt <= now;
+      });
+
+      return due.reduce(function (previous, job) {
+        return previous.then(function () {
+          return self._send(job);
+        });
+      }, Promise.resolve());
+    });
+  };
+
+  /**
+   * Send one due message, or push it past quiet hours that started meanwhile
+   *
+   * @param {Object} job - Job
+   * @returns {Promise}
+   * @private
+   */
+  Scheduler.prototype._send = function _send (job) {
+    var self = this;
+
+    if (job.quietHours) {
+      var allowed = nextAllowed(Date.now(), job.quietHours, self._timezones(job));
+
+      // NaN when quiet hours changed to cover the whole day, send anyway rather than never
+      if (allowed > Date.now()) {
+        job.sendAt = allowed;
+        return self._serialize(_INDEX_KEY, function () {
+          return self._store.set('scheduled:' + job.id, job);
+        });
+      }
+    }
+
+    // Take it off the schedule first, so a crash never sends it twice
+    return self.cancel(job.id).then(function (cancelled) {
+      if (!cancelled) {
+        return;
+      }
+
+      // Stored numbers are international, whatever the default country of the client
+      return self.client.sendTextMessage(job.from, '+' + job.to, job.text, job.type).then(function (response) {
+        self.emit('sent', publicJob(job), response);
+      }, function (err) {
+        self.emit('failed', publicJob(job), err);
+      });
+    });
+  };
+
+  /**
+   * Read every stored job, soonest first
+   *
+   * @returns {Promise}
+   * @private
+   */
+  Scheduler.prototype._jobs = function _jobs () {
+    var self = this;
+
+    return self._store.get(_INDEX_KEY).then(function (index) {
+      return Promise.all((index || []).map(function (id) {
+        return self._store.get('scheduled:' + id);
+      }));
+    }).then(function (jobs) {
+      return jobs.filter(Boolean).sort(function (a, b) {
+        return a.sendAt - b.sendAt;
+      });
+    });
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = Scheduler;
+  module.exports.isQuiet = isQuiet;
+  module.exports.nextAllowed = nextAllowed;
+})();
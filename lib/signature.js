@@ -0,0 +1,183 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var crypto = require('crypto');
+  var errors = require('./errors');
+
+  /**
+   * Supported signature methods, `md5hash` appends the secret, the others are HMACs
+   *
+   * @constant
+   */
+  var _METHODS = ['md5hash', 'md5', 'sha1', 'sha256', 'sha512'];
+
+  /**
+   * Default age after which a signed webhook is refused, in seconds
+   *
+   * @constant
+   */
+  var _DEFAULT_MAX_AGE = 300;
+
+  /**
+   * Tell whether a signature method is supported
+   *
+   * @param {string} method - Signature method
+   * @returns {boolean}
+   */
+  var isMethod = function isMethod (method) {
+    return _METHODS.indexOf(method) !== -1;
+  };
+
+  /**
+   * Compute the signature of a set of parameters.
+   *
+   * Parameters other than `sig` are sorted by name and joined as `&name=value`,
+   * with `&` and `=` in values replaced by `_`.
+   *
+   * @param {Object} params - Request parameters, including `timestamp`
+   * @param {string} secret - Signature secret
+   * @param {string} method - Optional, signature method (default `md5hash`)
+   * @returns {string} Hex signature
+   */
+  var sign = function sign (params, secret, method) {
+    var input = '';
+
+    method = method || 'md5hash';
+
+    Object.keys(params).sort().forEach(function (key) {
+      if (key !== 'sig' && params[key] !== undefined) {
+        input += '&' + key + '=' + String(params[key]).replace(/[&=]/g, '_');
+      }
+    });
+
+    if (method === 'md5hash') {
+      return crypto.createHash('md5').update(input + secret, 'utf8').digest('hex');
+    }
+
+    return crypto.createHmac(method, secret).update(input, 'utf8').digest('hex').toUpperCase();
+  };
+
+  /**
+   * Add `timestamp` and `sig` to a set of request parameters
+   *
+   * @param {Object} params - Request parameters
+   * @param {string} secret - Signature secret
+   * @param {string} method - Optional, signature method (default `md5hash`)
+   * @returns {Object} The same parameters, signed
+   */
+  var signParams = function signParams (params, secret, method) {
+    params.timestamp = Math.floor(Date.now() / 1000);
+    params.sig = sign(params, secret, method);
+
+    return params;
+  };
+
+  /**
+   * Compare two signatures in constant time, ignoring case
+   *
+   * @param {string} expected - Computed signature
+   * @param {string} actual - Received signature
+   * @returns {boolean}
+   * @private
+   */
+  var matches = function matches (expected, actual) {
+    var a = Buffer.from(String(expected).toLowerCase());
+    var b = Buffer.from(String(actual).toLowerCase());
+
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  };
+
+  /**
+   * Create a verifier for signed webhook callbacks.
+   *
+   * The verifier refuses callbacks with a missing or wrong signature, a
+   * timestamp older than `maxAge` seconds, or a signature already seen
+   * within that window. Call `verify.forget(params)` when a verified callback
+   * could not be processed, so that Nexmo's retry of it is accepted.
+   *
+   * @param {Object} options - `{ signatureSecret, signatureMethod, maxAge }`
+   * @returns {Function} `verify(params)` returning an error, or null when valid
+   * @throws {ValidationError} On an unsupported signature method
+   */
+  var createVerifier = function createVerifier (options) {
+    var secret = options.signatureSecret;
+    var method = options.signatureMethod || 'md5hash';
+    var maxAge = options.maxAge || _DEFAULT_MAX_AGE;
+    var seen = {};
+
+    if (!isMethod(method)) {
+      throw new errors.ValidationError('Invalid signature method, use `md5hash`, `md5`, `sha1`, `sha256` or `sha512`',
+        { code: 'invalidSignatureMethod' });
+    }
+
+    var reject = function reject (message) {
+      var err = new errors.AuthenticationError(message, { code: 'invalidSignature' });
+      err.statusCode = 401;
+      return err;
+    };
+
+    var verify = function verify (params) {
+      var now = Math.floor(Date.now() / 1000);
+      var timestamp = parseInt(params.timestamp, 10);
+
+      if (!params.sig || isNaN(timestamp)) {
+        return reject('Webhook is not signed');
+      }
+
+      if (Math.abs(now - timestamp) > maxAge) {
+        return reject('Webhook signature has expired');
+      }
+
+      if (!matches(sign(params, secret, method), params.sig)) {
+        return reject('Webhook signature does not match');
+      }
+
+      // Forget signatures that are too old to pass the timestamp check anyway
+      Object.keys(seen).forEach(function (sig) {
+        if (seen[sig] < now - maxAge) {
+          delete seen[sig];
+        }
+      });
+
+      var key = String(params.sig).toLowerCase();
+
+      if (seen[key]) {
+        return reject('Webhook has already been received');
+      }
+
+      seen[key] = timestamp;
+
+      return null;
+    };
+
+    verify.forget = function forget (params) {
+      delete seen[String(params.sig).toLowerCase()];
+    };
+
+    return verify;
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = {
+    isMethod: isMethod,
+    sign: sign,
+    signParams: signParams,
+    createVerifier: createVerifier
+  };
+})();
@@ -0,0 +1,393 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var util = require('util');
+  var EventEmitter = require('events').EventEmitter;
+  var MemoryStore = require('./memory-store');
+  var errors = require('./errors');
+  var nodeify = require('./util').nodeify;
+  var promiseStore = require('./util').promiseStore;
+  var createQueue = require('./util').createQueue;
+
+  /**
+   * Budget periods, with the part of an ISO date naming the current one (UTC)
+   *
+   * @constant
+   */
+  var _PERIODS = {
+    daily: 10,
+    monthly: 7
+  };
+
+  /**
+   * Check a budget or balance level
+   *
+   * @param {*} value - Level
+   * @returns {boolean}
+   * @private
+   */
+  var isAmount = function isAmount (value) {
+    return typeof value === 'number' && isFinite(value) && value >= 0;
+  };
+
+  /**
+   * Check the budgets of a client or tag, `{ daily, monthly }`
+   *
+   * @param {Object} budgets - Budgets
+   * @param {string} name - Owner of the budgets, for the error message
+   * @private
+   */
+  var checkBudgets = function checkBudgets (budgets, name) {
+    Object.keys(_PERIODS).forEach(function (period) {
+      if (budgets[period] !== undefined && !isAmount(budgets[period])) {
+        throw new Error('Invalid ' + period + ' budget of ' + name + ', use an amount in the account currency');
+      }
+    });
+  };
+
+  /**
+   * Total price of the parts of a send response
+   *
+   * @param {Object} apiResponse - Send response
+   * @returns {number}
+   * @private
+   */
+  var responseCost = function responseCost (apiResponse) {
+    var total = ((apiResponse && apiResponse.messages) || []).reduce(function (sum, message) {
+      return sum + (parseFloat(message['message-price']) || 0);
+    }, 0);
+
+    return Math.round(total * 1e8) / 1e8;
+  };
+
+  /**
+   * Balance left after the last part of a send response
+   *
+   * @param {Object} apiResponse - Send response
+   * @returns {number} Balance, or undefined when not given
+   * @private
+   */
+  var responseBalance = function responseBalance (apiResponse) {
+    var messages = (apiResponse && apiResponse.messages) || [];
+    var balance = messages.length ? parseFloat(messages[messages.length - 1]['remaining-balance']) : NaN;
+
+    return isNaN(balance) ? undefined : balance;
+  };
+
+  /**
+   * Spend guard, tracking what sends cost and refusing them past a budget.
+   *
+   * Given to a client as its `spendGuard` option, it is checked before every
+   * send and told the `message-price` and `remaining-balance` of every
+   * response. Budgets run per UTC day and month, for the whole client and
+   * for the tags set with `nexmo.withOptions({ tag })`. Sends running at the
+   * same time are checked before their cost is known, so a budget may be
+   * overshot by the sends in flight when it is reached.
+   *
+   * Emits `refused` with the error of a refused send, `lowBalance` with
+   * `{ balance, threshold }` when the balance falls below `lowBalance`,
+   * `topUp` with the API response after a top-up and `topUpFailed` with the
+   * error of a failed one.
+   *
+   * @param {Object} options - `{ daily, monthly, tags, minBalance, lowBalance, topUp, store }`
+   */
+  var SpendGuard = function SpendGuard (options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    var tags = options.tags || {};
+
+    checkBudgets(options, 'the client');
+    Object.keys(tags).forEach(function (tag) {
+      checkBudgets(tags[tag], 'tag ' + tag);
+    });
+
+    ['minBalance', 'lowBalance'].forEach(function (name) {
+      if (options[name] !== undefined && !isAmount(options[name])) {
+        throw new Error('Invalid ' + name + ', use an amount in the account currency');
+      }
+    });
+
+    if (options.topUp && (!isAmount(options.topUp.below) || !options.topUp.transactionId)) {
+      throw new Error('A top-up needs `below`, the balance to top up under, and the `transactionId` of the first auto-reload');
+    }
+
+    this.budgets = { daily: options.daily, monthly: options.monthly };
+    this.tags = tags;
+    this.minBalance = options.minBalance;
+    this.lowBalance = options.lowBalance;
+    this.topUp = options.topUp || null;
+    this.store = options.store || new MemoryStore();
+    this.balance = undefined;
+
+    this._lowBalanceSent = false;
+    this._toppingUp = false;
+    this._toppedUp = false;
+    this._balanceRequest = null;
+    this._store = promiseStore(this.store);
+    this._serialize = createQueue();
+  };
+
+  util.inherits(SpendGuard, EventEmitter);
+
+  /**
+   * Check that a send may go out
+   *
+   * @param {string} tag - Optional, tag of the send
+   * @param {Object} client - Client, to read the balance when not known yet
+   * @param {requestCallback} callback - Optional, called with a `SpendLimitError` when the send is refused
+   * @returns {Promise}
+   */
+  SpendGuard.prototype.check = function check (tag, client, callback) {
+    var self = this;
+    var needsBalance = self.minBalance !== undefined || self.lowBalance !== undefined || self.topUp;
+    var ready = self.balance === undefined && needsBalance && client ?
+      self._readBalance(client) : Promise.resolve();
+
+    var promise = ready.then(function () {
+      if (self.minBalance !== undefined && self.balance !== undefined && self.balance <= self.minBalance) {
+        throw self._refuse('Balance of ' + self.balance + ' is at or under the minimum of ' + self.minBalance, {
+          code: 'minimumBalance',
+          limit: self.minBalance,
+          balance: self.balance
+        });
+      }
+
+      return self.spent(tag).then(function (spent) {
+        var owners = [{ budgets: self.budgets, spent: spent.client, tag: undefined }];
+
+        if (tag && self.tags[tag]) {
+          owners.push({ budgets: self.tags[tag], spent: spent.tag, tag: tag });
+        }
+
+        owners.forEach(function (owner) {
+          Object.keys(_PERIODS).forEach(function (period) {
+            var limit = owner.budgets[period];
+
+            if (limit !== undefined && owner.spent[period] >= limit) {
+              throw self._refuse('The ' + period + ' budget of ' + (owner.tag ? 'tag ' + owner.tag : 'the client') +
+                ' is spent (' + owner.spent[period] + ' of ' + limit + ')', {
+                code: 'budgetExceeded',
+                period: period,
+                tag: owner.tag,
+                limit: limit,
+                spent: owner.spent[period]
+              });
+            }
+          });
+        });
+      });
+    });
+
+    return nodeify(promise, callback);
+  };
+
+  /**
+   * Record the cost of a send and the balance left
+   *
+   * @param {Object} apiResponse - Send response
+   * @param {string} tag - Optional, tag of the send
+   * @param {Object} client - Client, to top up the account
+   * @param {requestCallback} callback - Optional, called with `{ cost, balance }`
+   * @returns {Promise}
+   */
+  SpendGuard.prototype.record = function record (apiResponse, tag, client, callback) {
+    var self = this;
+    var cost = responseCost(apiResponse);
+    var balance = responseBalance(apiResponse);
+    var keys = Object.keys(_PERIODS).map(function (period) {
+      return self._key(period);
+    });
+
+    if (tag) {
+      keys = keys.concat(Object.keys(_PERIODS).map(function (period) {
+        return self._key(period, tag);
+      }));
+    }
+
+    var promise = !cost ? Promise.resolve() : self._serialize('spent', function () {
+      return keys.reduce(function (previous, key) {
+        return previous.then(function () {
+          return self._store.get(key).then(function (spent) {
+            return self._store.set(key, Math.round(((spent || 0) + cost) * 1e8) / 1e8);
+          });
+        });
+      }, Promise.resolve());
+    });
+
+    return nodeify(promise.then(function () {
+      if (balance !== undefined) {
+        self._updateBalance(balance, client);
+      }
+
+      return { cost: cost, balance: self.balance };
+    }), callback);
+  };
+
+  /**
+   * Amount spent in the current day and month
+   *
+   * @param {string} tag - Optional, a tag to also read the spend of
+   * @param {requestCallback} callback - Optional, called with `{ client: { daily, monthly }, tag: { daily, monthly } }`
+   * @returns {Promise}
+   */
+  SpendGuard.prototype.spent = function spent (tag, callback) {
+    var self = this;
+
+    if (typeof tag === 'function') {
+      callback = tag;
+      tag = undefined;
+    }
+
+    var read = function read (owner) {
+      var periods = Object.keys(_PERIODS);
+
+      return Promise.all(periods.map(function (period) {
+        return self._store.get(self._key(period, owner));
+      })).then(function (values) {
+        var result = {};
+
+        periods.forEach(function (period, idx) {
+          result[period] = values[idx] || 0;
+        });
+
+        return result;
+      });
+    };
+
+    return nodeify(Promise.all([read(), tag ? read(tag) : undefined]).then(function (values) {
+      var result = { client: values[0] };
+
+      if (tag) {
+        result.tag = values[1];
+      }
+
+      return result;
+    }), callback);
+  };
+
+  /**
+   * Read the balance once, sends waiting for it share the same request.
+   * A failed read is not tried again, the next send responses tell the balance.
+   *
+   * @param {Object} client - Client
+   * @returns {Promise} Resolved once the balance is read or failed
+   * @private
+   */
+  SpendGuard.prototype._readBalance = function _readBalance (client) {
+    var self = this;
+
+    if (!self._balanceRequest) {
+      self._balanceRequest = client.getBalance().then(function (response) {
+        self._updateBalance(parseFloat(response.value), client);
+      }, function () {});
+    }
+
+    return self._balanceRequest;
+  };
+
+  /**
+   * Take in a new balance, warning and topping up under the thresholds
+   *
+   * @param {number} balance - Balance
+   * @param {Object} client - Client, to top up the account
+   * @private
+   */
+  SpendGuard.prototype._updateBalance = function _updateBalance (balance, client) {
+    var self = this;
+
+    if (isNaN(balance)) {
+      return;
+    }
+
+    self.balance = balance;
+
+    if (self.lowBalance !== undefined) {
+      if (balance < self.lowBalance && !self._lowBalanceSent) {
+        self._lowBalanceSent = true;
+        self.emit('lowBalance', { balance: balance, threshold: self.lowBalance });
+      } else if (balance >= self.lowBalance) {
+        self._lowBalanceSent = false;
+      }
+    }
+
+    if (!self.topUp) {
+      return;
+    }
+
+    // One top-up per dip under the level, until the balance is back over it
+    if (balance >= self.topUp.below) {
+      self._toppedUp = false;
+    } else if (!self._toppedUp && !self._toppingUp && client) {
+      self._toppingUp = true;
+
+      client.getTopUp(self.topUp.transactionId).then(function (response) {
+        self._toppingUp = false;
+        self._toppedUp = true;
+        self.emit('topUp', response);
+
+        return client.getBalance().then(function (balanceResponse) {
+          self._updateBalance(parseFloat(balanceResponse.value), client);
+        }, function () {});
+      }, function (err) {
+        self._toppingUp = false;
+        self._toppedUp = true;
+        self.emit('topUpFailed', err);
+      });
+    }
+  };
+
+  /**
+   * Build the error of a refused send and tell the listeners
+   *
+   * @param {string} message - Error message
+   * @param {Object} details - `{ code, period, tag, limit, spent, balance }`
+   * @returns {SpendLimitError}
+   * @private
+   */
+  SpendGuard.prototype._refuse = function _refuse (message, details) {
+    var err = new errors.SpendLimitError(message, { code: details.code });
+
+    err.period = details.period;
+    err.tag = details.tag;
+    err.limit = details.limit;
+    err.spent = details.spent;
+    err.balance = details.balance;
+
+    this.emit('refused', err);
+
+    return err;
+  };
+
+  /**
+   * Store key of the spend of a period, for the client or a tag
+   *
+   * @param {string} period - `daily` or `monthly`
+   * @param {string} tag - Optional, tag
+   * @returns {string}
+   * @private
+   */
+  SpendGuard.prototype._key = function _key (period, tag) {
+    return 'spend:' + (tag ? 'tag:' + tag : 'client') + ':' + new Date().toISOString().slice(0, _PERIODS[period]);
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = SpendGuard;
+})();
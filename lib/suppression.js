@@ -0,0 +1,358 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var util = require('util');
+  var EventEmitter = require('events').EventEmitter;
+  var MemoryStore = require('./memory-store');
+  var phone = require('./phone');
+  var errors = require('./errors');
+  var nodeify = require('./util').nodeify;
+  var promiseStore = require('./util').promiseStore;
+  var createQueue = require('./util').createQueue;
+
+  /**
+   * Default inbound keywords, matched against the whole message, case insensitive
+   *
+   * @constant
+   */
+  var _KEYWORDS = {
+    stop: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'],
+    start: ['START', 'UNSTOP'],
+    help: ['HELP', 'INFO']
+  };
+
+  /**
+   * Default confirmation replies
+   *
+   * @constant
+   */
+  var _REPLIES = {
+    stop: 'You are unsubscribed and will get no more messages. Reply START to subscribe again.',
+    start: 'You are subscribed again. Reply STOP to unsubscribe.',
+    help: 'Reply STOP to unsubscribe, or START to subscribe again.'
+  };
+
+  /**
+   * Store key of the list of suppressed numbers
+   *
+   * @constant
+   */
+  var _INDEX_KEY = 'suppression:index';
+
+  /**
+   * Error of a number that cannot be normalized
+   *
+   * @param {string} number - Phone number
+   * @returns {InvalidRecipientError}
+   * @private
+   */
+  var invalidNumber = function invalidNumber (number) {
+    return new errors.InvalidRecipientError('Invalid number ' + number, { code: 'invalidRecipient' });
+  };
+
+  /**
+   * Suppression list: numbers that asked to get no more messages.
+   *
+   * Given to a client as its `suppression` option, it is checked before
+   * every send, and sends to a listed number fail with a
+   * `SuppressedRecipientError` without a request. Inbound messages given to
+   * `receive`, or coming from a watched inbound handler, update it: a stop
+   * keyword adds the sender, a start keyword removes it and a help keyword
+   * only gets a reply. With a `client`, each keyword is confirmed by SMS.
+   *
+   * Emits `suppressed` with the record of an added number, `unsuppressed`
+   * with a removed number, `help` with the inbound message asking for it,
+   * `replyFailed` with the error and the inbound message of a failed reply
+   * and `error` with the error and the inbound message of a watched keyword
+   * that could not be acted on.
+   *
+   * @param {Object} options - Optional, `{ store, keywords, replies, client, defaultCountry }`
+   */
+  var SuppressionList = function SuppressionList (options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    var keywords = options.keywords || {};
+    var replies = options.replies === false ? {} : (options.replies || {});
+
+    this.store = options.store || new MemoryStore();
+    this.client = options.client || null;
+    this.defaultCountry = options.defaultCountry;
+    this.keywords = {};
+    this.replies = {};
+
+    for (var action in _KEYWORDS) {
+      this.keywords[action] = (keywords[action] || _KEYWORDS[action]).map(function (keyword) {
+        return String(keyword).trim().toUpperCase();
+      });
+      this.replies[action] = options.replies === false || replies[action] === false ? null :
+        (replies[action] || _REPLIES[action]);
+    }
+
+    this._store = promiseStore(this.store);
+    this._serialize = createQueue();
+  };
+
+  util.inherits(SuppressionList, EventEmitter);
+
+  /**
+   * Add a number to the list
+   *
+   * @param {string} number - Phone number
+   * @param {Object} options - Optional, `{ reason, source }` kept with the number
+   * @param {requestCallback} callback - Optional, called with the record `{ number, reason, source, addedAt }`
+   * @returns {Promise}
+   */
+  SuppressionList.prototype.add = function add (number, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    options = options || {};
+
+    var msisdn = phone.normalize(number, self.defaultCountry);
+
+    if (!msisdn) {
+      return nodeify(Promise.reject(invalidNumber(number)), callback);
+    }
+
+    var record = {
+      number: msisdn,
+      reason: options.reason,
+      source: options.source || 'manual',
+      addedAt: new Date().toISOString()
+    };
+
+    return nodeify(self._serialize(_INDEX_KEY, function () {
+      return self._store.get(_INDEX_KEY).then(function (index) {
+        index = index || [];
+
+        if (index.indexOf(msisdn) === -1) {
+          index.push(msisdn);
+        }
+
+        return self._store.set('suppression:' + msisdn, record).then(function () {
+          return self._store.set(_INDEX_KEY, index);
+        });
+      });
+    }).then(function () {
+      self.emit('suppressed', record);
+      return record;
+    }), callback);
+  };
+
+  /**
+   * Remove a number from the list
+   *
+   * @param {string} number - Phone number
+   * @param {requestCallback} callback - Optional, called with true when removed, false when not listed
+   * @returns {Promise}
+   */
+  SuppressionList.prototype.remove = function remove (number, callback) {
+    var self = this;
+    var msisdn = phone.normalize(number, self.defaultCountry);
+
+    if (!msisdn) {
+      return nodeify(Promise.reject(invalidNumber(number)), callback);
+    }
+
+    return nodeify(self._serialize(_INDEX_KEY, function () {
+      return self._store.get(_INDEX_KEY).then(function (index) {
+        index = index || [];
+
+        if (index.indexOf(msisdn) === -1) {
+          return false;
+        }
+
+        index.splice(index.indexOf(msisdn), 1);
+
+        return self._store.remove('suppression:' + msisdn).then(function () {
+          return self._store.set(_INDEX_KEY, index);
+        }).then(function () {
+          return true;
+        });
+      });
+    }).then(function (removed) {
+      if (removed) {
+        self.emit('unsuppressed', msisdn);
+      }
+
+      return removed;
+    }), callback);
+  };
+
+  /**
+   * Read the record of a listed number
+   *
+   * @param {string} number - Phone number
+   * @param {requestCallback} callback - Optional, called with the record, or null when not listed
+   * @returns {Promise}
+   */
+  SuppressionList.prototype.get = function get (number, callback) {
+    var msisdn = phone.normalize(number, this.defaultCountry);
+
+    // A number that cannot be read must not pass as one that is not listed
+    if (!msisdn) {
+      return nodeify(Promise.reject(invalidNumber(number)), callback);
+    }
+
+    return nodeify(this._store.get('suppression:' + msisdn).then(function (record) {
+      return record || null;
+    }), callback);
+  };
+
+  /**
+   * List the suppressed numbers
+   *
+   * @param {requestCallback} callback - Optional, called with the records
+   * @returns {Promise}
+   */
+  SuppressionList.prototype.list = function list (callback) {
+    var self = this;
+
+    return nodeify(self._store.get(_INDEX_KEY).then(function (index) {
+      return Promise.all((index || []).map(function (msisdn) {
+        return self._store.get('suppression:' + msisdn);
+      }));
+    }).then(function (records) {
+      return records.filter(Boolean);
+    }), callback);
+  };
+
+  /**
+   * Check that a number may be sent to
+   *
+   * @param {string} number - Phone number
+   * @param {requestCallback} callback - Optional, called with a `SuppressedRecipientError` when the number is listed
+   * @returns {Promise}
+   */
+  SuppressionList.prototype.check = function check (number, callback) {
+    return nodeify(this.get(number).then(function (record) {
+      if (record) {
+        var err = new errors.SuppressedRecipientError('Recipient ' + record.number + ' opted out of messages', {
+          code: 'suppressed'
+        });
+
+        err.number = record.number;
+        err.suppressedAt = record.addedAt;
+
+        throw err;
+      }
+    }), callback);
+  };
+
+  /**
+   * Act on the keyword of an inbound message, if any
+   *
+   * @param {Object} message - Inbound message `{ from, to, text }`, as emitted by an inbound handler
+   * @param {requestCallback} callback - Optional, called with `stop`, `start`, `help`, or null without a keyword
+   * @returns {Promise}
+   */
+  SuppressionList.prototype.receive = function receive (message, callback) {
+    var self = this;
+    var word = String((message && message.text) || '').trim().toUpperCase();
+    var action = null;
+
+    for (var name in self.keywords) {
+      if (word && self.keywords[name].indexOf(word) !== -1) {
+        action = name;
+        break;
+      }
+    }
+
+    // Inbound senders are international numbers without the `+`, whatever the default country
+    var from = /^\d+$/.test(String(message && message.from)) ? '+' + message.from : message && message.from;
+    var promise;
+
+    if (action === 'stop') {
+      promise = self.add(from, { reason: word, source: 'keyword' });
+    } else if (action === 'start') {
+      promise = self.remove(from);
+    } else {
+      if (action === 'help') {
+        self.emit('help', message);
+      }
+
+      promise = Promise.resolve();
+    }
+
+    return nodeify(promise.then(function () {
+      return action && self._reply(action, message).then(function () {
+        return action;
+      });
+    }).then(function (result) {
+      return result || null;
+    }), callback);
+  };
+
+  /**
+   * Act on the messages of an inbound handler, a keyword that could not be
+   * acted on, e.g. on a store failure, is emitted as `error`
+   *
+   * @param {InboundHandler} handler - Inbound handler
+   * @returns {Function} Call to stop watching
+   */
+  SuppressionList.prototype.watch = function watch (handler) {
+    var self = this;
+    var listener = function listener (message) {
+      self.receive(message).catch(function (err) {
+        // Out of the promise chain, an `error` without a listener is thrown as with any EventEmitter
+        process.nextTick(function () {
+          self.emit('error', err, message);
+        });
+      });
+    };
+
+    handler.on('inbound', listener);
+
+    return function unwatch () {
+      handler.removeListener('inbound', listener);
+    };
+  };
+
+  /**
+   * Confirm a keyword by SMS, even to a number just added to the list
+   *
+   * @param {string} action - `stop`, `start` or `help`
+   * @param {Object} message - Inbound message
+   * @returns {Promise} Always resolved
+   * @private
+   */
+  SuppressionList.prototype._reply = function _reply (action, message) {
+    var self = this;
+    var text = self.replies[action];
+
+    if (!text || !self.client) {
+      return Promise.resolve();
+    }
+
+    var client = self.client.withOptions ? self.client.withOptions({ ignoreSuppression: true }) : self.client;
+
+    return client.sendTextMessage(message.to, message.from, text).then(function () {}, function (err) {
+      self.emit('replyFailed', err, message);
+    });
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = SuppressionList;
+})();
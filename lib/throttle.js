@@ -0,0 +1,211 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var errors = require('./errors');
+
+  /**
+   * Default retry settings
+   *
+   * @constant
+   */
+  var _RETRY_DEFAULTS = {
+    retries: 3,
+    minDelay: 500,
+    maxDelay: 10000,
+    factor: 2,
+    unsafe: false
+  };
+
+  /**
+   * Connection errors raised before a request could reach the server
+   *
+   * @constant
+   */
+  var _CONNECT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+  /**
+   * Queue starting at most `messagesPerSecond` tasks per second
+   *
+   * @param {number} messagesPerSecond - Highest start rate
+   */
+  var RateLimiter = function RateLimiter (messagesPerSecond) {
+    this.interval = 1000 / messagesPerSecond;
+    this._queue = [];
+    this._nextAt = 0;
+    this._timer = null;
+  };
+
+  /**
+   * Queue a task, it is called as soon as the rate allows
+   *
+   * @param {Function} task - Task to run
+   */
+  RateLimiter.prototype.schedule = function schedule (task) {
+    this._queue.push(task);
+    this._drain();
+  };
+
+  /**
+   * Number of tasks waiting to start
+   *
+   * @returns {number}
+   */
+  RateLimiter.prototype.size = function size () {
+    return this._queue.length;
+  };
+
+  /**
+   * Start queued tasks while the rate allows, then wait for the next slot
+   *
+   * @private
+   */
+  RateLimiter.prototype._drain = function _drain () {
+    var self = this;
+
+    if (self._timer) {
+      return;
+    }
+
+    while (self._queue.length) {
+      var now = Date.now();
+
+      if (now < self._nextAt) {
+        self._timer = setTimeout(function () {
+          self._timer = null;
+          self._drain();
+        }, self._nextAt - now);
+        return;
+      }
+
+      self._nextAt = now + self.interval;
+      self._queue.shift()();
+    }
+  };
+
+  /**
+   * Tell whether a failed request is worth trying again.
+   *
+   * Throughput exceeded, Nexmo internal errors, 5xx responses and network
+   * failures are retried; everything else, such as bad credentials or an
+   * invalid number, is not. Errors flagged `retryable: false` never are,
+   * e.g. a send that may have gone through.
+   *
+   * @param {Error} err - Request error
+   * @returns {boolean}
+   */
+  var isRetryable = function isRetryable (err) {
+    if (err.retryable === false) {
+      return false;
+    }
+
+    if (err instanceof errors.ThrottledError) {
+      return true;
+    }
+
+    if (err instanceof errors.HttpError) {
+      return !err.httpStatus || err.httpStatus >= 500;
+    }
+
+    return err instanceof errors.NexmoError && err.constructor === errors.NexmoError &&
+      (err.status === errors.STATUS.internalError || err.status === errors.STATUS.communicationFailed);
+  };
+
+  /**
+   * Tell whether a request that failed without a response may still have
+   * reached Nexmo, e.g. it timed out or the connection dropped once open.
+   *
+   * @param {Error} err - Request error
+   * @returns {boolean}
+   */
+  var mayHaveReached = function mayHaveReached (err) {
+    return err instanceof errors.HttpError && !err.httpStatus && _CONNECT_ERRORS.indexOf(err.code) === -1;
+  };
+
+  /**
+   * Compute the delay before a retry, exponential with jitter
+   *
+   * @param {number} attempt - Retry number, starting at 0
+   * @param {Object} options - Retry settings
+   * @returns {number} Delay in milliseconds
+   */
+  var backoff = function backoff (attempt, options) {
+    var delay = Math.min(options.maxDelay, options.minDelay * Math.pow(options.factor, attempt));
+
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  };
+
+  /**
+   * Fill in missing retry settings
+   *
+   * @param {Object|boolean} options - Retry settings, or true for the defaults
+   * @returns {Object} Complete retry settings
+   */
+  var retryOptions = function retryOptions (options) {
+    var result = {};
+    var key;
+
+    options = typeof options === 'object' ? options : {};
+
+    for (key in _RETRY_DEFAULTS) {
+      result[key] = options[key] !== undefined ? options[key] : _RETRY_DEFAULTS[key];
+    }
+
+    return result;
+  };
+
+  /**
+   * Run an attempt until it succeeds, fails with a non-retryable error or runs out of retries.
+   * The number of retries made is set as `retries` on the result or error.
+   *
+   * @param {Function} attempt - Called with a `done(err, result)` function
+   * @param {Object} options - Complete retry settings
+   * @param {requestCallback} callback - Called with the last error or result
+   */
+  var retry = function retry (attempt, options, callback) {
+    var retries = 0;
+
+    var run = function run () {
+      attempt(function (err, result) {
+        if (err && retries < options.retries && isRetryable(err)) {
+          return setTimeout(run, backoff(retries++, options));
+        }
+
+        if (err) {
+          err.retries = retries;
+        } else if (result && typeof result === 'object') {
+          result.retries = retries;
+        }
+
+        callback(err, result);
+      });
+    };
+
+    run();
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = {
+    RateLimiter: RateLimiter,
+    isRetryable: isRetryable,
+    mayHaveReached: mayHaveReached,
+    backoff: backoff,
+    retryOptions: retryOptions,
+    retry: retry
+  };
+})();
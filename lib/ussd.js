@@ -0,0 +1,259 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var util = require('util');
+  var EventEmitter = require('events').EventEmitter;
+  var MemoryStore = require('./memory-store');
+  var webhook = require('./webhook');
+  var signature = require('./signature');
+  var inbound = require('./inbound');
+  var nodeify = require('./util').nodeify;
+  var promiseStore = require('./util').promiseStore;
+  var createQueue = require('./util').createQueue;
+
+  /**
+   * Default time a session is kept without input, in milliseconds
+   *
+   * @constant
+   */
+  var _DEFAULT_TIMEOUT = 3 * 60 * 1000;
+
+  /**
+   * Default text shown before a menu is prompted again
+   *
+   * @constant
+   */
+  var _INVALID_TEXT = 'Invalid choice.';
+
+  /**
+   * Inbound USSD handler running a menu as a state machine, one session per subscriber.
+   *
+   * Each state has a `text` (a string, or a function of the session returning
+   * one or a Promise of one) and moves on with `on`, a map of inputs to state
+   * names, or `next(input, session)`, returning a state name or a Promise of
+   * one. States with `end: true` are sent as a USSD push and close the session,
+   * the others as a USSD prompt. A subscriber without a session, or whose
+   * session timed out, starts at `initial`. `session.data` is kept across steps.
+   *
+   * Emits `start`, `input` and `end` with the session.
+   *
+   * @param {Object} options - `{ client, states, initial, from, store, timeout, invalidText, signatureSecret, signatureMethod, maxAge }`
+   */
+  var UssdHandler = function UssdHandler (options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    if (!options.client || !options.states) {
+      throw new Error('A USSD handler needs a `client` and `states`');
+    }
+
+    this.client = options.client;
+    this.states = options.states;
+    this.initial = options.initial || Object.keys(options.states)[0];
+    this.from = options.from;
+    this.store = options.store || new MemoryStore();
+    this.timeout = options.timeout || _DEFAULT_TIMEOUT;
+    this.invalidText = options.invalidText || _INVALID_TEXT;
+    this._verify = options.signatureSecret ? signature.createVerifier(options) : null;
+    this._store = promiseStore(this.store);
+    this._serialize = createQueue();
+
+    if (!this.states[this.initial]) {
+      throw new Error('Unknown initial USSD state ' + this.initial);
+    }
+
+    webhook.bindHandle(this);
+  };
+
+  util.inherits(UssdHandler, EventEmitter);
+
+  /**
+   * Handle an inbound USSD webhook request
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Server response
+   * @param {Function} next - Optional, Express/Connect next function
+   */
+  UssdHandler.prototype.handle = function handle (req, res, next) {
+    var self = this;
+
+    webhook.parseRequest(req, function (err, params) {
+      if (err) {
+        err.statusCode = 400;
+        return webhook.respond(res, next, err);
+      }
+
+      self.receive(params, function (err) {
+        webhook.respond(res, next, err);
+      });
+    });
+  };
+
+  /**
+   * Process already parsed callback parameters
+   *
+   * @param {Object} params - Callback parameters
+   * @param {requestCallback} callback - Optional, called with the session, or null when not a message
+   * @returns {Promise}
+   */
+  UssdHandler.prototype.receive = function receive (params, callback) {
+    var self = this;
+    var message = inbound.parseMessage(params || {});
+    var invalid = self._verify && self._verify(params || {});
+
+    if (invalid) {
+      return nodeify(Promise.reject(invalid), callback);
+    }
+
+    if (!message) {
+      return nodeify(Promise.resolve(null), callback);
+    }
+
+    return nodeify(self._serialize(message.from, function () {
+      return self._store.get('ussd:' + message.from).then(function (session) {
+        var now = Date.now();
+        var input = String(message.text || '').trim();
+
+        if (!session || now - session.updatedAt > self.timeout || !self.states[session.state]) {
+          session = {
+            subscriber: message.from,
+            serviceNumber: message.to,
+            state: self.initial,
+            data: {},
+            startedAt: now,
+            updatedAt: now,
+            input: input
+          };
+
+          self.emit('start', session);
+
+          return self._enter(session, self.initial);
+        }
+
+        session.input = input;
+        session.updatedAt = now;
+        self.emit('input', session, input);
+
+        return self._transition(session, input);
+      });
+    }).catch(function (err) {
+      if (self._verify) {
+        self._verify.forget(params || {});
+      }
+      throw err;
+    }), callback);
+  };
+
+  /**
+   * Drop the session of a subscriber
+   *
+   * @param {string} subscriber - Subscriber number
+   * @param {requestCallback} callback - Optional, called once removed
+   * @returns {Promise}
+   */
+  UssdHandler.prototype.endSession = function endSession (subscriber, callback) {
+    var self = this;
+
+    return nodeify(self._serialize(subscriber, function () {
+      return self._store.remove('ussd:' + subscriber);
+    }), callback);
+  };
+
+  /**
+   * Get the session of a subscriber
+   *
+   * @param {string} subscriber - Subscriber number
+   * @param {requestCallback} callback - Optional, called with the session, or undefined when none
+   * @returns {Promise}
+   */
+  UssdHandler.prototype.getSession = function getSession (subscriber, callback) {
+    return nodeify(this._store.get('ussd:' + subscriber), callback);
+  };
+
+  /**
+   * Move a session on from its current state with the subscriber input
+   *
+   * @param {Object} session - Session
+   * @param {string} input - Subscriber input
+   * @returns {Promise} Resolved with the session
+   * @private
+   */
+  UssdHandler.prototype._transition = function _transition (session, input) {
+    var self = this;
+    var state = self.states[session.state];
+
+    var target = Promise.resolve().then(function () {
+      if (state.on && Object.prototype.hasOwnProperty.call(state.on, input)) {
+        return state.on[input];
+      }
+
+      return typeof state.next === 'function' ? state.next(input, session) : undefined;
+    });
+
+    return target.then(function (name) {
+      if (name && !self.states[name]) {
+        throw new Error('Unknown USSD state ' + name);
+      }
+
+      // No match, show the same menu again
+      return self._enter(session, name || session.state, name ? '' : (state.invalidText || self.invalidText) + '\n');
+    });
+  };
+
+  /**
+   * Enter a state: send its text and keep or close the session
+   *
+   * @param {Object} session - Session
+   * @param {string} name - State name
+   * @param {string} prefix - Optional, text shown before the state text
+   * @returns {Promise} Resolved with the session
+   * @private
+   */
+  UssdHandler.prototype._enter = function _enter (session, name, prefix) {
+    var self = this;
+    var state = self.states[name];
+    var from = self.from || session.serviceNumber;
+
+    session.state = name;
+
+    return Promise.resolve(typeof state.text === 'function' ? state.text(session) : state.text).then(function (text) {
+      text = (prefix || '') + (text || '');
+
+      if (state.end) {
+        return self.client.sendUSSDPush(from, session.subscriber, text).then(function () {
+          return self._store.remove('ussd:' + session.subscriber);
+        }).then(function () {
+          session.ended = true;
+          self.emit('end', session);
+          return session;
+        });
+      }
+
+      return self.client.sendUSSDPrompt(from, session.subscriber, text).then(function () {
+        return self._store.set('ussd:' + session.subscriber, session);
+      }).then(function () {
+        return session;
+      });
+    });
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = UssdHandler;
+})();
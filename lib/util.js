@@ -0,0 +1,120 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Call back with the outcome of a promise, when a callback is given
+   *
+   * @param {Promise} promise - Operation result
+   * @param {requestCallback} callback - Optional, the callback that handles the result
+   * @returns {Promise} The same promise
+   */
+  var nodeify = function nodeify (promise, callback) {
+    if (callback) {
+      promise.then(function (result) {
+        callback(null, result);
+      }, callback);
+    }
+
+    return promise;
+  };
+
+  /**
+   * Call back with the outcome of a promise out of its chain, so an error
+   * thrown by the callback, or by the listeners it emits to, is thrown as
+   * usual rather than turned into an unhandled rejection
+   *
+   * @param {Promise} promise - Operation result
+   * @param {requestCallback} callback - The callback that handles the result
+   */
+  var asCallback = function asCallback (promise, callback) {
+    promise.then(function (result) {
+      process.nextTick(function () {
+        callback(null, result);
+      });
+    }, function (err) {
+      process.nextTick(function () {
+        callback(err);
+      });
+    });
+  };
+
+  /**
+   * Promise wrappers around a `{ get, set, remove }` callback store
+   *
+   * @param {Object} store - Callback store, such as a MemoryStore
+   * @returns {Object} `{ get, set, remove }` returning Promises
+   */
+  var promiseStore = function promiseStore (store) {
+    return {
+      get: function get (key) {
+        return new Promise(function (resolve, reject) {
+          store.get(key, function (err, value) {
+            return err ? reject(err) : resolve(value);
+          });
+        });
+      },
+
+      set: function set (key, value) {
+        return new Promise(function (resolve, reject) {
+          store.set(key, value, function (err) {
+            return err ? reject(err) : resolve();
+          });
+        });
+      },
+
+      remove: function remove (key) {
+        return new Promise(function (resolve, reject) {
+          store.remove(key, function (err) {
+            return err ? reject(err) : resolve();
+          });
+        });
+      }
+    };
+  };
+
+  /**
+   * Create a queue running the tasks of one key one after another,
+   * so a read-then-write on the store is not interleaved with another
+   *
+   * @returns {Function} `(key, task)` where task returns a Promise, returns the outcome of the task
+   */
+  var createQueue = function createQueue () {
+    var queues = {};
+
+    return function serialize (key, task) {
+      var previous = queues[key] || Promise.resolve();
+      var current = previous.then(task, task);
+      var tail = current.then(function () {}, function () {});
+
+      queues[key] = tail;
+      tail.then(function () {
+        if (queues[key] === tail) {
+          delete queues[key];
+        }
+      });
+
+      return current;
+    };
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = {
+    nodeify: nodeify,
+    asCallback: asCallback,
+    promiseStore: promiseStore,
+    createQueue: createQueue
+  };
+})();
@@ -0,0 +1,271 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright © 2013-2014 Calvert Yang
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+
+(function() {
+  /**
+   * Module dependencies.
+   */
+  var url = require('url');
+  var querystring = require('querystring');
+  var errors = require('./errors');
+
+  /**
+   * Largest request body accepted from a webhook, in bytes
+   *
+   * @constant
+   */
+  var _MAX_BODY_SIZE = 1024 * 1024;
+
+  /**
+   * Copy own properties of source into target
+   *
+   * @param {Object} target - Target object
+   * @param {Object} source - Source object
+   * @private
+   */
+  var assign = function assign (target, source) {
+    for (var key in source) {
+      if (Object.prototype.hasOwnProperty.call(source, key)) {
+        target[key] = source[key];
+      }
+    }
+  };
+
+  /**
+   * Parse a request body according to its content type
+   *
+   * @param {string} body - Raw request body
+   * @param {string} contentType - Request content type
+   * @returns {Object} Parsed parameters
+   * @private
+   */
+  var parseBody = function parseBody (body, contentType) {
+    if (!body) {
+      return {};
+    }
+
+    if (/json/i.test(contentType || '')) {
+      return JSON.parse(body);
+    }
+
+    return querystring.parse(body);
+  };
+
+  /**
+   * Collect webhook parameters from the query string and request body.
+   *
+   * Works with a plain `http.IncomingMessage` as well as Express/Connect
+   * requests whose body has already been parsed into `req.body`.
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {requestCallback} callback - Called with the merged parameters
+   */
+  var parseRequest = function parseRequest (req, callback) {
+    var params = {};
+
+    assign(params, url.parse(req.url || '', true).query);
+
+    if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+      assign(params, req.body);
+      return callback(null, params);
+    }
+
+    if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+      try {
+        assign(params, parseBody(req.body.toString(), req.headers['content-type']));
+      } catch (err) {
+        return callback(err);
+      }
+      return callback(null, params);
+    }
+
+    if (req.method !== 'POST' && req.method !== 'PUT') {
+      return callback(null, params);
+    }
+
+    var buffer = '';
+    var done = false;
+
+    req.setEncoding('utf8');
+
+    req.on('data', function (chunk) {
+      if (done) {
+        return;
+      }
+
+      buffer += chunk;
+
+      if (buffer.length > _MAX_BODY_SIZE) {
+        done = true;
+        buffer = '';
+
+        // Stop reading the rest of the body
+        req.pause();
+        callback(new Error('Webhook request body too large'));
+      }
+    });
+
+    req.on('end', function () {
+      if (done) {
+        return;
+      }
+
+      done = true;
+
+      try {
+        assign(params, parseBody(buffer, req.headers['content-type']));
+      } catch (err) {
+        return callback(err);
+      }
+
+      callback(null, params);
+    });
+
+    req.on('error', function (err) {
+      if (!done) {
+        done = true;
+        callback(err);
+      }
+    });
+  };
+
+  /**
+   * Finish a webhook request, or hand an error to the Express/Connect `next`
+   *
+   * @param {http.ServerResponse} res - Server response
+   * @param {Function} next - Optional, Express/Connect next function
+   * @param {Error} err - Optional, error raised while handling the request
+   */
+  var respond = function respond (res, next, err) {
+    if (err && next) {
+      return next(err);
+    }
+
+    res.statusCode = err ? (err.statusCode || 500) : 200;
+
+    // A body left unread, e.g. over the size limit, must not keep the connection open
+    if (err && res.req && !res.req.complete && !res.headersSent) {
+      res.setHeader('Connection', 'close');
+    }
+
+    res.end();
+  };
+
+  /**
+   * Parse a Nexmo timestamp such as `2014-05-05 12:30:00` (UTC)
+   *
+   * @param {string} value - Nexmo timestamp
+   * @returns {Date} Parsed date, or undefined when not valid
+   */
+  var parseTimestamp = function parseTimestamp (value) {
+    if (!value) {
+      return undefined;
+    }
+
+    var date = new Date(String(value).replace(' ', 'T') + 'Z');
+
+    return isNaN(date.getTime()) ? undefined : date;
+  };
+
+  /**
+   * Bind the `handle` method of a webhook handler, so `handler.handle` can be
+   * passed straight to http.createServer or app.use
+   *
+   * @param {Object} handler - Webhook handler
+   */
+  var bindHandle = function bindHandle (handler) {
+    handler.handle = handler.handle.bind(handler);
+  };
+
+  /**
+   * Callers waiting for the final outcome of an id, e.g. the delivery of a message
+   */
+  var Waiters = function Waiters () {
+    this._waiting = {};
+  };
+
+  /**
+   * Wait for the outcome of an id
+   *
+   * @param {string} id - Id to wait for
+   * @param {Object} options - `{ timeout, timeoutMessage, lookup }`, lookup being called with a
+   * `done(err, result)` function to settle at once on an outcome already known, result undefined when not
+   * @returns {Promise} Resolved with the outcome
+   */
+  Waiters.prototype.wait = function wait (id, options) {
+    var self = this;
+
+    return new Promise(function (resolve, reject) {
+      var waiter = { resolve: resolve, reject: reject };
+
+      (self._waiting[id] = self._waiting[id] || []).push(waiter);
+
+      if (options.timeout) {
+        waiter.timer = setTimeout(function () {
+          var waiting = self._waiting[id] || [];
+
+          waiting.splice(waiting.indexOf(waiter), 1);
+          if (!waiting.length) {
+            delete self._waiting[id];
+          }
+
+          reject(new errors.NexmoError(options.timeoutMessage, { code: 'ETIMEDOUT' }));
+        }, options.timeout);
+      }
+
+      if (options.lookup) {
+        options.lookup(function (err, result) {
+          if (err) {
+            self.settle(id, err);
+          } else if (result !== undefined) {
+            self.settle(id, null, result);
+          }
+        });
+      }
+    });
+  };
+
+  /**
+   * Settle every waiter of an id
+   *
+   * @param {string} id - Id
+   * @param {Error} err - Error to reject with
+   * @param {*} result - Outcome to resolve with
+   */
+  Waiters.prototype.settle = function settle (id, err, result) {
+    var waiting = this._waiting[id] || [];
+
+    delete this._waiting[id];
+
+    waiting.forEach(function (waiter) {
+      clearTimeout(waiter.timer);
+
+      if (err) {
+        waiter.reject(err);
+      } else {
+        waiter.resolve(result);
+      }
+    });
+  };
+
+  /**
+   * Module exports
+   */
+  module.exports = {
+    parseRequest: parseRequest,
+    respond: respond,
+    parseTimestamp: parseTimestamp,
+    bindHandle: bindHandle,
+    Waiters: Waiters
+  };
+})();
@@ -0,0 +1,77 @@
+var assert = require('assert');
+var Nexmo = require('../lib/nexmo');
+
+describe('Account', function () {
+  var sandbox = Nexmo.createSandbox({ pricing: { US: 0.0075 } });
+  var nexmo;
+
+  before(function () {
+    return sandbox.listen().then(function (url) {
+      nexmo = new Nexmo({ sandbox: url });
+    });
+  });
+
+  beforeEach(function () {
+    sandbox.reset();
+  });
+
+  after(function () {
+    return sandbox.close();
+  });
+
+  it('gets the balance', function () {
+    return nexmo.getBalance().then(function (response) {
+      assert.strictEqual(response.value, 10);
+    });
+  });
+
+  it('gets the pricing of a country', function () {
+    return nexmo.getPricing('US').then(function (response) {
+      assert.strictEqual(response.prefix, '1');
+      assert.strictEqual(parseFloat(response.mt), 0.0075);
+    });
+  });
+
+  it('rejects an invalid country code', function () {
+    return nexmo.getPricing('USA').then(function () {
+      assert.fail('should fail');
+    }, function (err) {
+      assert.strictEqual(err.code, 'invalidCountryCode');
+    });
+  });
+
+  it('estimates the cost of a message', function () {
+    return nexmo.estimateCost(new Array(201).join('x'), 'US').then(function (estimate) {
+      assert.strictEqual(estimate.segments, 2);
+      assert.strictEqual(estimate.cost, 0.015);
+    });
+  });
+
+  it('updates the call back urls', function () {
+    return nexmo.updateMoCallBackUrl('http://example.com/inbound').then(function (response) {
+      assert.strictEqual(decodeURIComponent(response['mo-callback-url']), 'http://example.com/inbound');
+
+      return nexmo.updateDrCallBackUrl('http://example.com/dlr');
+    }).then(function (response) {
+      assert.strictEqual(decodeURIComponent(response['dr-callback-url']), 'http://example.com/dlr');
+    });
+  });
+
+  it('tops up the account', function () {
+    return nexmo.getTopUp('00X123456Y7890123Z').then(function () {
+      return nexmo.getBalance();
+    }).then(function (response) {
+      assert.strictEqual(response.value, 20);
+    });
+  });
+
+  it('rejects wrong credentials', function () {
+    var other = new Nexmo({ key: 'sandbox', secret: 'wrong', baseUrl: sandbox.url });
+
+    return other.getBalance().then(function () {
+      assert.fail('should fail');
+    }, function (err) {
+      assert.ok(err instanceof Nexmo.errors.NexmoError);
+    });
+  });
+});
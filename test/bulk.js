@@ -0,0 +1,62 @@
+var assert = require('assert');
+var Nexmo = require('../lib/nexmo');
+
+describe('Bulk', function () {
+  var sandbox = Nexmo.createSandbox();
+  var nexmo;
+
+  before(function () {
+    return sandbox.listen().then(function (url) {
+      nexmo = new Nexmo({ sandbox: url });
+    });
+  });
+
+  beforeEach(function () {
+    sandbox.reset();
+  });
+
+  after(function () {
+    return sandbox.close();
+  });
+
+  it('sends to every recipient and reports failures', function () {
+    sandbox.failFor('447700900125', Nexmo.errors.STATUS.numberBarred);
+
+    return nexmo.sendBulk(['447700900123', '447700900124', '447700900125', '447700900123'], { from: 'MyApp', text: 'Hi' })
+      .then(function (summary) {
+        assert.strictEqual(summary.total, 3);
+        assert.strictEqual(summary.duplicates.length, 1);
+        assert.strictEqual(summary.succeeded.length, 2);
+        assert.strictEqual(summary.failed.length, 1);
+        assert.strictEqual(summary.failed[0].to, '447700900125');
+      });
+  });
+
+  it('does not overflow the stack on thousands of invalid recipients', function () {
+    var recipients = [];
+
+    for (var idx = 0; idx < 5000; idx++) {
+      recipients.push('invalid-' + idx);
+    }
+
+    return nexmo.sendBulk(recipients, { from: 'MyApp', text: 'Hi' }).then(function (summary) {
+      assert.strictEqual(summary.failed.length, 5000);
+      assert.strictEqual(sandbox.requests.length, 0);
+    });
+  });
+
+  it('refuses a concurrency that is not a positive whole number', function () {
+    var attempts = ['5', 0, -1, 2.5, NaN, Infinity].map(function (concurrency) {
+      return nexmo.sendBulk(['447700900123'], { from: 'MyApp', text: 'Hi', concurrency: concurrency }).then(function () {
+        throw new Error('Concurrency ' + concurrency + ' was accepted');
+      }, function (err) {
+        assert.ok(err instanceof Nexmo.errors.ValidationError);
+        assert.strictEqual(err.code, 'invalidConcurrency');
+      });
+    });
+
+    return Promise.all(attempts).then(function () {
+      assert.strictEqual(sandbox.requests.length, 0);
+    });
+  });
+});
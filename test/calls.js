@@ -0,0 +1,150 @@
+var assert = require('assert');
+var Nexmo = require('../lib/nexmo');
+
+describe('Call status', function () {
+  // Store answering on a later tick, as a remote store would, its first read being the slowest
+  var slowStore = function slowStore () {
+    var entries = {};
+    var reads = 0;
+
+    return {
+      get: function (key, callback) {
+        var value = entries[key] && JSON.parse(JSON.stringify(entries[key]));
+
+        setTimeout(function () {
+          callback(null, value);
+        }, reads++ === 0 ? 20 : 5);
+      },
+      set: function (key, value, callback) {
+        setTimeout(function () {
+          entries[key] = value;
+          callback(null);
+        }, 5);
+      },
+      remove: function (key, callback) {
+        delete entries[key];
+        setImmediate(callback);
+      }
+    };
+  };
+
+  var callResponse = { 'call-id': 'CALL-1', to: '447700900123', status: '0' };
+  var completed = function completed (digits) {
+    return {
+      call_id: 'CALL-1',
+      to: '447700900123',
+      status: 'ok',
+      call_start: '2014-05-05 12:30:00',
+      call_end: '2014-05-05 12:31:00',
+      digits: digits
+    };
+  };
+
+  it('parses a call status callback', function () {
+    var status = Nexmo.CallStatusHandler.parseCallStatus(completed('1234'));
+
+    assert.strictEqual(status.status, 'completed');
+    assert.strictEqual(status.answered, true);
+    assert.strictEqual(status.final, true);
+    assert.strictEqual(status.digits, '1234');
+  });
+
+  it('compares the digits to the PIN tracked with the call', function (done) {
+    var handler = Nexmo.createCallStatusHandler();
+
+    handler.track(callResponse, { pin: '1234' }, function (err) {
+      assert.ifError(err);
+
+      handler.receive(completed('1234'), function (err, record) {
+        assert.ifError(err);
+        assert.strictEqual(record.pinMatched, true);
+        assert.strictEqual(record.pinHash, undefined);
+
+        handler.receive(completed('9999'), function (err, record) {
+          assert.ifError(err);
+          assert.strictEqual(record.pinMatched, false);
+          done();
+        });
+      });
+    });
+  });
+
+  it('does not overwrite a status arriving while tracking', function (done) {
+    var handler = Nexmo.createCallStatusHandler({ store: slowStore() });
+    var pending = 2;
+
+    var check = function check (err) {
+      assert.ifError(err);
+
+      if (--pending > 0) {
+        return;
+      }
+
+      handler.get('CALL-1', function (err, record) {
+        assert.ifError(err);
+        assert.strictEqual(record.status, 'completed');
+        assert.strictEqual(record.final, true);
+        assert.strictEqual(record.pinMatched, true);
+        done();
+      });
+    };
+
+    handler.track(callResponse, { pin: '1234' }, check);
+    handler.receive(completed('1234'), check);
+  });
+
+  it('matches the PIN when the final status came first', function (done) {
+    var handler = Nexmo.createCallStatusHandler();
+
+    handler.receive(completed('1234'), function (err) {
+      assert.ifError(err);
+
+      handler.track(callResponse, { pin: '1234' }, function (err) {
+        assert.ifError(err);
+
+        handler.get('CALL-1', function (err, record) {
+          assert.ifError(err);
+          assert.strictEqual(record.pinMatched, true);
+          done();
+        });
+      });
+    });
+  });
+
+  it('waits for the final status of a call', function () {
+    var handler = Nexmo.createCallStatusHandler();
+    var waiting = handler.waitFor('CALL-1', { timeout: 1000 });
+
+    handler.receive({ call_id: 'CALL-1', status: 'answered' });
+    handler.receive(completed());
+
+    return waiting.then(function (record) {
+      assert.strictEqual(record.status, 'completed');
+    });
+  });
+
+  it('sends a prompt and tracks its PIN through the client', function () {
+    var sandbox = Nexmo.createSandbox();
+    var handler = Nexmo.createCallStatusHandler();
+
+    return sandbox.listen().then(function (url) {
+      var nexmo = new Nexmo({ sandbox: url, calls: handler });
+
+      return nexmo.sendTTSPrompt('MyApp', '447700900123', 'Enter your code', { pin: '4321', maxDigits: 4 });
+    }).then(function (response) {
+      var params = completed('4321');
+
+      params.call_id = response['call-id'];
+
+      return new Promise(function (resolve, reject) {
+        handler.receive(params, function (err, record) {
+          return err ? reject(err) : resolve(record);
+        });
+      });
+    }).then(function (record) {
+      assert.strictEqual(record.pinMatched, true);
+
+      return sandbox.close();
+    });
+  });
+});
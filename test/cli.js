@@ -0,0 +1,196 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Nexmo = require('../lib/nexmo');
+var cli = require('../lib/cli');
+
+describe('Command line', function () {
+  // Collects what the tool writes instead of printing it
+  var output = function output () {
+    var chunks = [];
+
+    return {
+      write: function (chunk) { chunks.push(chunk); },
+      text: function () { return chunks.join(''); }
+    };
+  };
+
+  var sandbox = Nexmo.createSandbox();
+  var sandboxUrl;
+  var configFile = path.join(os.tmpdir(), 'simple-nexmo-cli-' + process.pid + '.json');
+
+  // Run the tool against the sandbox, returning the exit code and what it wrote
+  var run = function run (argv, env) {
+    var io = { env: env || {}, stdout: output(), stderr: output() };
+
+    return cli.run(['--base-url', sandboxUrl, '--key', 'sandbox', '--secret', 'sandbox'].concat(argv), io).then(function (code) {
+      return { code: code, stdout: io.stdout.text(), stderr: io.stderr.text() };
+    });
+  };
+
+  before(function () {
+    return sandbox.listen().then(function (url) {
+      sandboxUrl = url;
+    });
+  });
+
+  beforeEach(function () {
+    sandbox.reset();
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(configFile)) {
+      fs.unlinkSync(configFile);
+    }
+  });
+
+  after(function () {
+    return sandbox.close();
+  });
+
+  describe('parseArgs', function () {
+    it('splits positionals from flags', function () {
+      var parsed = cli.parseArgs(['send', 'MyApp', '--type', 'unicode', '447700900123', '--json', 'Hi', 'there']);
+
+      assert.deepStrictEqual(parsed.args, ['send', 'MyApp', '447700900123', 'Hi', 'there']);
+      assert.deepStrictEqual(parsed.flags, { type: 'unicode', json: true });
+    });
+
+    it('reads `--name=value` flags, `-h` and a trailing flag', function () {
+      var parsed = cli.parseArgs(['balance', '--output=json', '-h', '--debug', '--key']);
+
+      assert.deepStrictEqual(parsed.args, ['balance']);
+      assert.deepStrictEqual(parsed.flags, { output: 'json', help: true, debug: true, key: true });
+    });
+  });
+
+  describe('loadConfig', function () {
+    it('lets flags win over the environment, and the environment over the config file', function () {
+      fs.writeFileSync(configFile, JSON.stringify({
+        key: 'file-key',
+        secret: 'file-secret',
+        signatureSecret: 'file-signature',
+        baseUrl: 'http://file.example',
+        defaultCountry: 'GB'
+      }));
+
+      var config = cli.loadConfig({ config: configFile, key: 'flag-key' }, {
+        NEXMO_API_KEY: 'env-key',
+        NEXMO_API_SECRET: 'env-secret',
+        NEXMO_BASE_URL: 'http://env.example'
+      });
+
+      assert.strictEqual(config.key, 'flag-key');
+      assert.strictEqual(config.secret, 'env-secret');
+      assert.strictEqual(config.signatureSecret, 'file-signature');
+      assert.strictEqual(config.baseUrl, 'http://env.example');
+      assert.strictEqual(config.defaultCountry, 'GB');
+    });
+
+    it('fails on a missing config file given with `--config`', function () {
+      assert.throws(function () {
+        cli.loadConfig({ config: configFile }, {});
+      }, /ENOENT/);
+    });
+  });
+
+  describe('formatTable', function () {
+    it('aligns the columns of a list', function () {
+      var table = cli.formatTable([{ to: '447700900123', status: '0' }, { to: '1', price: 0.05 }]);
+
+      assert.strictEqual(table, [
+        'to            status  price',
+        '447700900123  0',
+        '1                     0.05'
+      ].join('\n'));
+    });
+
+    it('renders objects as key and value lines, and empty lists', function () {
+      assert.strictEqual(cli.formatTable({ value: 10, autoReload: false }), 'value       10\nautoReload  false');
+      assert.strictEqual(cli.formatTable([]), '(none)');
+      assert.strictEqual(cli.formatTable(null), '');
+    });
+  });
+
+  describe('run', function () {
+    it('sends a message through the sandbox and prints a table', function () {
+      return run(['send', 'MyApp', '447700900123', 'Hello', 'world']).then(function (result) {
+        assert.strictEqual(result.code, cli.EXIT.ok);
+        assert.strictEqual(result.stderr, '');
+        assert.strictEqual(sandbox.last().text, 'Hello world');
+        assert.ok(/^to\s+message-id\s+status/.test(result.stdout));
+        assert.ok(/^447700900123\s+\w+\s+0 /m.test(result.stdout));
+      });
+    });
+
+    it('prints JSON with `--json`', function () {
+      return run(['balance', '--json']).then(function (result) {
+        assert.strictEqual(result.code, cli.EXIT.ok);
+        assert.strictEqual(JSON.parse(result.stdout).value, 10);
+      });
+    });
+
+    it('shows the usage with `--help`, and exits with the usage code on bad usage', function () {
+      var help = { env: {}, stdout: output(), stderr: output() };
+
+      return cli.run(['--help'], help).then(function (code) {
+        assert.strictEqual(code, cli.EXIT.ok);
+        assert.ok(/^Usage: simple-nexmo/.test(help.stdout.text()));
+
+        return Promise.all([run([]), run(['unknown']), run(['send', 'MyApp']), run(['balance', '--output', 'xml'])]);
+      }).then(function (results) {
+        results.forEach(function (result) {
+          assert.strictEqual(result.code, cli.EXIT.usage);
+          assert.strictEqual(result.stdout, '');
+        });
+        assert.strictEqual(sandbox.requests.length, 0);
+      });
+    });
+
+    it('exits with the authentication code without credentials', function () {
+      var io = { env: {}, stdout: output(), stderr: output() };
+
+      fs.writeFileSync(configFile, '{}');
+
+      return cli.run(['balance', '--config', configFile], io).then(function (code) {
+        assert.strictEqual(code, cli.EXIT.auth);
+        assert.ok(/Missing credentials/.test(io.stderr.text()));
+      });
+    });
+
+    it('exits with the authentication code when Nexmo refuses the credentials', function () {
+      return run(['balance', '--secret', 'wrong']).then(function (result) {
+        assert.strictEqual(result.code, cli.EXIT.auth);
+      });
+    });
+
+    it('exits with the API error code when Nexmo refuses a message', function () {
+      sandbox.failNext(Nexmo.errors.STATUS.partnerQuotaExceeded);
+
+      return run(['send', 'MyApp', '447700900123', 'Hi', '--json']).then(function (result) {
+        var error = JSON.parse(result.stderr);
+
+        assert.strictEqual(result.code, cli.EXIT.api);
+        assert.strictEqual(error.error, 'InsufficientBalanceError');
+        assert.strictEqual(error.status, Nexmo.errors.STATUS.partnerQuotaExceeded);
+      });
+    });
+
+    it('exits with the network code when the API cannot be reached', function () {
+      var io = { env: { NEXMO_API_KEY: 'key', NEXMO_API_SECRET: 'secret' }, stdout: output(), stderr: output() };
+
+      return cli.run(['balance', '--base-url', 'http://127.0.0.1:1'], io).then(function (code) {
+        assert.strictEqual(code, cli.EXIT.network);
+      });
+    });
+
+    it('exits with the invalid arguments code on a bad recipient', function () {
+      return run(['send', 'MyApp', 'not-a-number', 'Hi']).then(function (result) {
+        assert.strictEqual(result.code, cli.EXIT.invalid);
+        assert.ok(/^Error: /.test(result.stderr));
+        assert.strictEqual(sandbox.requests.length, 0);
+      });
+    });
+  });
+});
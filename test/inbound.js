@@ -0,0 +1,88 @@
+var assert = require('assert');
+var http = require('http');
+var Nexmo = require('../lib/nexmo');
+
+describe('Inbound messages', function () {
+  var part = function part (number, total, text) {
+    return {
+      msisdn: '447700900123',
+      to: '447700900100',
+      messageId: 'ID' + number,
+      text: text,
+      concat: 'true',
+      'concat-ref': '12',
+      'concat-part': String(number),
+      'concat-total': String(total)
+    };
+  };
+
+  it('emits a single message', function (done) {
+    var inbound = Nexmo.createInboundHandler();
+
+    inbound.on('inbound', function (message) {
+      assert.strictEqual(message.from, '447700900123');
+      assert.strictEqual(message.text, 'Hello');
+      done();
+    });
+
+    inbound.receive({ msisdn: '447700900123', to: '447700900100', text: 'Hello' });
+  });
+
+  it('reassembles concatenated parts in order', function (done) {
+    var inbound = Nexmo.createInboundHandler();
+
+    inbound.on('inbound', function (message) {
+      assert.strictEqual(message.text, 'Hello world');
+      assert.deepStrictEqual(message.messageIds, ['ID1', 'ID2']);
+      inbound.close();
+      done();
+    });
+
+    inbound.receive(part(2, 2, 'world'));
+    inbound.receive(part(1, 2, 'Hello '));
+  });
+
+  it('refuses parts out of range', function () {
+    var inbound = Nexmo.createInboundHandler();
+    var invalid = [part(3, 2, 'x'), part(0, 2, 'x'), part(1, 'x', 'x'), part(1.5, 2, 'x')];
+
+    delete invalid[2]['concat-total'];
+
+    invalid.forEach(function (params) {
+      inbound.receive(params, function (err) {
+        assert.ok(err instanceof Nexmo.errors.ValidationError);
+        assert.strictEqual(err.code, 'invalidConcat');
+        assert.strictEqual(err.statusCode, 400);
+      });
+    });
+  });
+
+  it('ignores parts past the total of the first part', function (done) {
+    var inbound = Nexmo.createInboundHandler();
+
+    inbound.on('inbound', function (message) {
+      assert.strictEqual(message.text, 'ab');
+      inbound.close();
+      done();
+    });
+
+    inbound.receive(part(1, 2, 'a'));
+    inbound.receive(part(3, 3, 'c'));
+    inbound.receive(part(2, 2, 'b'));
+  });
+
+  it('answers a malformed part with a 400', function (done) {
+    var inbound = Nexmo.createInboundHandler();
+    var server = http.createServer(inbound.handle);
+
+    server.listen(0, '127.0.0.1', function () {
+      var path = '/?msisdn=447700900123&to=447700900100&text=x&concat=true&concat-ref=1&concat-part=5&concat-total=2';
+
+      http.get({ host: '127.0.0.1', port: server.address().port, path: path }, function (res) {
+        res.resume();
+        assert.strictEqual(res.statusCode, 400);
+        server.close(done);
+      });
+    });
+  });
+});
@@ -0,0 +1,148 @@
+var assert = require('assert');
+var Nexmo = require('../lib/nexmo');
+
+describe('Number Insight', function () {
+  var sandbox = Nexmo.createSandbox();
+  var url;
+
+  // Store answering on a later tick, as a remote store would
+  var store = {
+    entries: {},
+    failing: false,
+    get: function (key, callback) {
+      var self = this;
+
+      setImmediate(function () {
+        callback(self.failing ? new Error('store down') : null, self.entries[key]);
+      });
+    },
+    set: function (key, value, callback) {
+      this.entries[key] = value;
+      setImmediate(callback);
+    },
+    remove: function (key, callback) {
+      delete this.entries[key];
+      setImmediate(callback);
+    }
+  };
+
+  before(function () {
+    return sandbox.listen().then(function (sandboxUrl) {
+      url = sandboxUrl;
+    });
+  });
+
+  beforeEach(function () {
+    sandbox.reset();
+    store.entries = {};
+    store.failing = false;
+  });
+
+  after(function () {
+    return sandbox.close();
+  });
+
+  it('looks up a number once and then answers from the cache', function () {
+    var nexmo = new Nexmo({ sandbox: url, insightCache: { store: store } });
+
+    return nexmo.getNumberInsight('447700900123').then(function (result) {
+      assert.strictEqual(result.number, '447700900123');
+
+      return nexmo.getNumberInsight('447700900123');
+    }).then(function () {
+      assert.strictEqual(sandbox.lookups.length, 1);
+    });
+  });
+
+  it('keeps the call options after a cache miss', function () {
+    var nexmo = new Nexmo({ sandbox: url, insightCache: { store: store } });
+    var controller = new AbortController();
+
+    controller.abort();
+
+    return nexmo.withOptions({ signal: controller.signal }).getNumberInsight('447700900123').then(function () {
+      assert.fail('should be aborted');
+    }, function (err) {
+      assert.ok(err instanceof Nexmo.errors.AbortError);
+      assert.strictEqual(sandbox.lookups.length, 0);
+    });
+  });
+
+  it('looks the number up when the cache fails', function () {
+    var warnings = [];
+    var logger = { warn: function (entry) { warnings.push(entry.msg); } };
+    var nexmo = new Nexmo({ sandbox: url, insightCache: { store: store }, logger: logger });
+
+    store.failing = true;
+
+    return nexmo.getNumberInsight('447700900123').then(function (result) {
+      assert.strictEqual(result.number, '447700900123');
+      assert.strictEqual(sandbox.lookups.length, 1);
+      assert.ok(warnings.some(function (message) { return /cache/.test(message); }));
+    });
+  });
+
+  it('does not cache partial lookups', function () {
+    var nexmo = new Nexmo({ sandbox: url, insightCache: { store: store } });
+    var lookup = sandbox._lookup;
+
+    // The live mobile lookup of the network fails, the rest of the lookup returns
+    sandbox._lookup = function (level, params) {
+      var body = lookup.call(this, level, params);
+
+      body.status = 44;
+      body.status_message = 'Lookup Handler unable to handle request';
+      return body;
+    };
+
+    return nexmo.getNumberInsight('447700900123', { level: 'standard' }).then(function (result) {
+      assert.strictEqual(result.status, 44);
+      sandbox._lookup = lookup;
+
+      return nexmo.getNumberInsight('447700900123', { level: 'standard' });
+    }).then(function (result) {
+      assert.strictEqual(result.status, 0);
+      assert.strictEqual(result.cached, false);
+      assert.strictEqual(sandbox.lookups.length, 2);
+    }, function (err) {
+      sandbox._lookup = lookup;
+      throw err;
+    });
+  });
+
+  it('caches the complete results of lookup callbacks only', function () {
+    var cache = new Nexmo.InsightCache({ store: store });
+    var handler = Nexmo.createInsightHandler({ cache: cache });
+    var callback = function callback (requestId, number, status) {
+      return new Promise(function (resolve, reject) {
+        handler.receive({
+          request_id: requestId,
+          status: status,
+          international_format_number: number,
+          lookup_outcome: status === 0 ? 0 : 1,
+          valid_number: 'valid',
+          reachable: 'unknown'
+        }, function (err, result) {
+          return err ? reject(err) : resolve(result);
+        });
+      });
+    };
+
+    return Promise.all([
+      callback('aaaa0001', '447700900123', 0),
+      callback('aaaa0002', '447700900124', 43)
+    ]).then(function () {
+      return Promise.all(['447700900123', '447700900124'].map(function (number) {
+        return new Promise(function (resolve, reject) {
+          cache.get(number, 'advanced', function (err, cached) {
+            return err ? reject(err) : resolve(cached);
+          });
+        });
+      }));
+    }).then(function (cached) {
+      assert.strictEqual(cached[0].number, '447700900123');
+      assert.strictEqual(cached[0].cached, true);
+      assert.strictEqual(cached[1], undefined);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+var assert = require('assert');
+var Nexmo = require('../lib/nexmo');
+var logging = require('../lib/logger');
+
+describe('Logging', function () {
+  var sandbox = Nexmo.createSandbox({ apiSecret: 'api-secret-1234', signatureSecret: 'signature-secret-5678' });
+  var url;
+  var entries;
+
+  // Logger keeping every entry, as pino or winston would receive it
+  var logger = {};
+
+  logging.LEVELS.forEach(function (level) {
+    logger[level] = function (entry) {
+      entries.push(entry);
+    };
+  });
+
+  var logged = function logged () {
+    return JSON.stringify(entries);
+  };
+
+  var request = function request (method) {
+    return entries.filter(function (entry) {
+      return entry.event === 'request' && entry.method === method;
+    })[0];
+  };
+
+  before(function () {
+    return sandbox.listen().then(function (sandboxUrl) {
+      url = sandboxUrl;
+    });
+  });
+
+  beforeEach(function () {
+    sandbox.reset();
+    entries = [];
+  });
+
+  after(function () {
+    return sandbox.close();
+  });
+
+  it('redacts the API secret from the query string of GET requests', function () {
+    var nexmo = new Nexmo({ sandbox: url, secret: 'api-secret-1234', logger: logger });
+
+    return nexmo.getBalance().then(function () {
+      var entry = request('GET');
+
+      assert.strictEqual(entry.params.api_secret, logging.REDACTED);
+      assert.strictEqual(entry.params.api_key, 'sandbox');
+      assert.strictEqual(logged().indexOf('api-secret-1234'), -1);
+    });
+  });
+
+  it('redacts the API secret from the body of POST requests', function () {
+    var nexmo = new Nexmo({ sandbox: url, secret: 'api-secret-1234', logger: logger });
+
+    return nexmo.sendTextMessage('MyApp', '447700900123', 'Hello').then(function () {
+      var entry = request('POST');
+
+      assert.strictEqual(entry.params.api_secret, logging.REDACTED);
+      assert.strictEqual(entry.params.text, 'Hello');
+      assert.strictEqual(logged().indexOf('api-secret-1234'), -1);
+    });
+  });
+
+  it('never logs the signature secret, nor the signature of requests', function () {
+    var nexmo = new Nexmo({ sandbox: url, key: 'sandbox', signatureSecret: 'signature-secret-5678', logger: logger });
+
+    return nexmo.sendTextMessage('MyApp', '447700900123', 'Hello').then(function () {
+      var entry = request('POST');
+
+      assert.strictEqual(entry.params.sig, logging.REDACTED);
+      assert.strictEqual(entry.params.api_secret, undefined);
+      assert.ok(entry.params.timestamp);
+      assert.strictEqual(logged().indexOf('signature-secret-5678'), -1);
+    });
+  });
+
+  it('redacts message bodies and masks phone numbers on request', function () {
+    var nexmo = new Nexmo({
+      sandbox: url,
+      secret: 'api-secret-1234',
+      logger: logger,
+      redact: { messages: true, phoneNumbers: true }
+    });
+
+    return nexmo.sendTextMessage('MyApp', '447700900123', 'Hello').then(function () {
+      var entry = request('POST');
+
+      assert.strictEqual(entry.params.text, logging.REDACTED);
+      assert.strictEqual(entry.params.to, '********0123');
+      assert.strictEqual(entry.params.from, 'MyApp');
+      assert.strictEqual(logged().indexOf('447700900123'), -1);
+    });
+  });
+
+  it('hides a code from every entry until released', function () {
+    var nexmo = new Nexmo({ sandbox: url, secret: 'api-secret-1234', logger: logger });
+    var release = nexmo.hideFromLogs('482916');
+
+    return nexmo.sendTextMessage('MyApp', '447700900123', 'Your code is 482916').then(function () {
+      assert.strictEqual(request('POST').params.text, 'Your code is ' + logging.REDACTED);
+      assert.strictEqual(logged().indexOf('482916'), -1);
+
+      release();
+      entries = [];
+
+      return nexmo.sendTextMessage('MyApp', '447700900123', 'Your code is 482916');
+    }).then(function () {
+      assert.strictEqual(request('POST').params.text, 'Your code is 482916');
+    });
+  });
+
+  it('hides the codes of one-time passwords', function () {
+    var nexmo = new Nexmo({ sandbox: url, secret: 'api-secret-1234', logger: logger });
+    var otp = nexmo.createOtp({ from: 'MyApp' });
+
+    return otp.send('447700900123').then(function () {
+      var code = /\d{6}/.exec(sandbox.last().text)[0];
+
+      assert.ok(request('POST'));
+      assert.strictEqual(logged().indexOf(code), -1);
+    });
+  });
+
+  it('hides protected values inside query strings, error messages and nested fields', function () {
+    var redact = logging.createRedactor();
+
+    redact.protect('api-secret-1234');
+
+    assert.deepStrictEqual(redact({
+      url: '/account/get-balance?api_key=key&api_secret=api-secret-1234',
+      err: new Error('Refused api-secret-1234'),
+      nested: [{ note: 'api-secret-1234' }],
+      pin: '1234'
+    }), {
+      url: '/account/get-balance?api_key=key&api_secret=' + logging.REDACTED,
+      err: { name: 'Error', message: 'Refused ' + logging.REDACTED, code: undefined },
+      nested: [{ note: logging.REDACTED }],
+      pin: logging.REDACTED
+    });
+  });
+});
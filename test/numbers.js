@@ -0,0 +1,59 @@
+var assert = require('assert');
+var Nexmo = require('../lib/nexmo');
+
+describe('Numbers', function () {
+  var sandbox = Nexmo.createSandbox();
+  var nexmo;
+
+  before(function () {
+    return sandbox.listen().then(function (url) {
+      nexmo = new Nexmo({ sandbox: url });
+    });
+  });
+
+  beforeEach(function () {
+    sandbox.reset();
+  });
+
+  after(function () {
+    return sandbox.close();
+  });
+
+  it('searches available numbers', function () {
+    return nexmo.searchNumbers('GB', null, 1, 5).then(function (response) {
+      assert.strictEqual(response.numbers.length, 5);
+      assert.ok(response.count >= 5);
+    });
+  });
+
+  it('buys, updates and cancels a number', function () {
+    var msisdn;
+
+    return nexmo.searchNumbers({ country: 'GB', size: 1 }).then(function (response) {
+      msisdn = response.numbers[0].msisdn;
+
+      return nexmo.buyNumber('GB', msisdn);
+    }).then(function () {
+      return nexmo.updateNumberCallback('GB', msisdn, { moHttpUrl: 'http://example.com/inbound' });
+    }).then(function () {
+      return nexmo.getNumbers();
+    }).then(function (response) {
+      assert.strictEqual(response.count, 1);
+      assert.strictEqual(response.numbers[0].moHttpUrl, 'http://example.com/inbound');
+
+      return nexmo.cancelNumber('GB', msisdn);
+    }).then(function () {
+      return nexmo.getNumbers();
+    }).then(function (response) {
+      assert.strictEqual(response.count, 0);
+    });
+  });
+
+  it('fails to cancel a number not owned', function () {
+    return nexmo.cancelNumber('GB', '447700900199').then(function () {
+      assert.fail('should fail');
+    }, function (err) {
+      assert.ok(err instanceof Nexmo.errors.NexmoError);
+    });
+  });
+});
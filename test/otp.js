@@ -0,0 +1,72 @@
+var assert = require('assert');
+var Nexmo = require('../lib/nexmo');
+
+describe('One-time passwords', function () {
+  var sandbox = Nexmo.createSandbox();
+  var nexmo;
+
+  before(function () {
+    return sandbox.listen().then(function (url) {
+      nexmo = new Nexmo({ sandbox: url });
+    });
+  });
+
+  beforeEach(function () {
+    sandbox.reset();
+  });
+
+  after(function () {
+    return sandbox.close();
+  });
+
+  var sentCode = function sentCode () {
+    return /(\d+)$/.exec(sandbox.last().text)[1];
+  };
+
+  it('accepts the code sent once', function () {
+    var otp = nexmo.createOtp({ from: 'MyApp' });
+    var code;
+
+    return otp.send('447700900123').then(function (result) {
+      assert.strictEqual(result.status, 'sent');
+      code = sentCode();
+
+      return otp.check('447700900123', code);
+    }).then(function (result) {
+      assert.strictEqual(result.valid, true);
+
+      return otp.check('447700900123', code);
+    }).then(function (result) {
+      assert.strictEqual(result.status, 'not_found');
+    });
+  });
+
+  it('keeps counting wrong codes across resends', function () {
+    var otp = nexmo.createOtp({ from: 'MyApp', resendCooldown: 0, maxAttempts: 3 });
+    var wrong = function wrong () {
+      return otp.check('447700900123', 'wrong');
+    };
+
+    return otp.send('447700900123').then(wrong).then(wrong).then(function (result) {
+      assert.strictEqual(result.attemptsLeft, 1);
+
+      return otp.send('447700900123');
+    }).then(function (result) {
+      assert.strictEqual(result.status, 'sent');
+
+      return wrong();
+    }).then(function (result) {
+      assert.strictEqual(result.status, 'too_many_attempts');
+
+      return otp.check('447700900123', sentCode());
+    }).then(function (result) {
+      assert.strictEqual(result.valid, false);
+
+      return otp.send('447700900123');
+    }).then(function (result) {
+      assert.strictEqual(result.status, 'too_many_attempts');
+      assert.ok(result.retryAfter > 0);
+      assert.strictEqual(sandbox.messages.length, 2);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+var assert = require('assert');
+var Nexmo = require('../lib/nexmo');
+
+describe('Pagination', function () {
+  var sandbox = Nexmo.createSandbox();
+  var nexmo;
+
+  before(function () {
+    return sandbox.listen().then(function (url) {
+      nexmo = new Nexmo({ sandbox: url });
+    });
+  });
+
+  beforeEach(function () {
+    sandbox.reset();
+  });
+
+  after(function () {
+    return sandbox.close();
+  });
+
+  var collect = function collect (iterator) {
+    var items = [];
+
+    var next = function next () {
+      return iterator.next().then(function (result) {
+        if (result.done) {
+          return items;
+        }
+
+        items.push(result.value);
+        return next();
+      });
+    };
+
+    return next();
+  };
+
+  it('iterates over every page of number search', function () {
+    return collect(nexmo.iterateNumbers('GB', { pageSize: 2, limit: 5 })).then(function (numbers) {
+      assert.strictEqual(numbers.length, 5);
+    });
+  });
+
+  it('iterates over the messages of a date range', function () {
+    var today = new Date().toISOString().slice(0, 10);
+
+    return nexmo.sendTextMessage('MyApp', '447700900123', 'Hello').then(function () {
+      return collect(nexmo.iterateMessagesByRecipient('447700900123', { start: today }));
+    }).then(function (messages) {
+      assert.strictEqual(messages.length, 1);
+    });
+  });
+
+  it('rejects a missing or invalid start date', function () {
+    return Promise.all([undefined, 'yesterday', '2014-13-45'].map(function (start) {
+      return nexmo.iterateRejections({ start: start }).next().then(function () {
+        assert.fail('should fail');
+      }, function (err) {
+        assert.ok(err instanceof Nexmo.errors.ValidationError);
+        assert.strictEqual(err.code, 'invalidDate');
+      });
+    })).then(function () {
+      assert.strictEqual(sandbox.requests.length, 0);
+    });
+  });
+
+  it('rejects an invalid end date', function () {
+    return nexmo.iterateRejections({ start: '2014-05-01', end: 'soon' }).next().then(function () {
+      assert.fail('should fail');
+    }, function (err) {
+      assert.strictEqual(err.code, 'invalidDate');
+    });
+  });
+});
@@ -0,0 +1,110 @@
+var assert = require('assert');
+var phone = require('../lib/phone');
+
+describe('Phone numbers', function () {
+  describe('parse', function () {
+    it('reads international numbers written in any common way', function () {
+      ['+44 (0)7700 900123', '+44 7700-900-123', '0044 7700 900123', '+44 07700 900123', '447700900123'].forEach(function (input) {
+        var result = phone.parse(input);
+
+        assert.strictEqual(result.valid, true, input);
+        assert.strictEqual(result.e164, '+447700900123', input);
+        assert.strictEqual(result.msisdn, '447700900123', input);
+        assert.strictEqual(result.callingCode, '44', input);
+        assert.strictEqual(result.country, 'GB', input);
+        assert.strictEqual(result.national, '7700900123', input);
+        assert.strictEqual(result.type, 'mobile', input);
+        assert.strictEqual(result.input, input);
+      });
+    });
+
+    it('reads national numbers with the default country, dropping the trunk prefix', function () {
+      assert.strictEqual(phone.parse('07700 900123', 'GB').msisdn, '447700900123');
+      assert.strictEqual(phone.parse('0412 345 678', 'au').msisdn, '61412345678');
+      assert.strictEqual(phone.parse('8 912 345-67-89', 'RU').msisdn, '79123456789');
+      assert.strictEqual(phone.parse('612 345 678', 'ES').msisdn, '34612345678');
+    });
+
+    it('reads digits that are already international with a default country', function () {
+      var result = phone.parse('447700900123', 'GB');
+
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.msisdn, '447700900123');
+
+      // Not a valid national number, nor a number of the default country
+      assert.strictEqual(phone.parse('61412345678', 'GB').valid, false);
+    });
+
+    it('reads the North American international prefix', function () {
+      assert.strictEqual(phone.parse('011 44 7700 900123', 'US').msisdn, '447700900123');
+      assert.strictEqual(phone.parse('011 44 7700 900123', 'GB').valid, false);
+    });
+
+    it('prefers the default country among those sharing a calling code', function () {
+      assert.strictEqual(phone.parse('+1 416 555 0123').country, 'US');
+      assert.strictEqual(phone.parse('+1 416 555 0123', 'CA').country, 'CA');
+      assert.strictEqual(phone.parse('(416) 555-0123', 'CA').msisdn, '14165550123');
+      assert.strictEqual(phone.parse('1 (416) 555-0123', 'CA').msisdn, '14165550123');
+    });
+
+    it('tells mobile numbers from fixed ones where the plan knows', function () {
+      assert.strictEqual(phone.parse('+44 20 7946 0000').type, 'fixed');
+      assert.strictEqual(phone.parse('+49 151 23456789').type, 'mobile');
+      assert.strictEqual(phone.parse('+1 416 555 0123').type, 'unknown');
+    });
+
+    it('checks numbers of countries without a plan against the E.164 length only', function () {
+      var result = phone.parse('+380 50 123 4567');
+
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.country, undefined);
+      assert.strictEqual(result.callingCode, '380');
+      assert.strictEqual(phone.parse('+380 12').reason, 'too short');
+      assert.strictEqual(phone.parse('+380 1234 5678 9012 3').reason, 'too long');
+    });
+
+    it('refuses numbers it cannot read, with a reason', function () {
+      var reasons = {
+        '': 'empty',
+        '+44 7700 90012': 'too short for GB',
+        '+44 7700 9001234': 'too long for GB',
+        '+999 1234 5678': 'unknown country calling code',
+        '07700 900123': 'unknown country calling code',
+        '+44 7700 ABC': 'invalid characters',
+        '44+7700900123': 'invalid characters'
+      };
+
+      Object.keys(reasons).forEach(function (input) {
+        var result = phone.parse(input);
+
+        assert.strictEqual(result.valid, false, input);
+        assert.strictEqual(result.reason, reasons[input], input);
+      });
+
+      assert.strictEqual(phone.parse(null).reason, 'empty');
+      assert.strictEqual(phone.parse(undefined).input, undefined);
+    });
+
+    it('accepts numbers given as numbers', function () {
+      assert.strictEqual(phone.parse(447700900123).msisdn, '447700900123');
+    });
+  });
+
+  describe('normalize', function () {
+    it('returns the digits Nexmo expects, or null', function () {
+      assert.strictEqual(phone.normalize('+44 (0)7700 900123'), '447700900123');
+      assert.strictEqual(phone.normalize('07700 900123', 'GB'), '447700900123');
+      assert.strictEqual(phone.normalize('07700 900123'), null);
+      assert.strictEqual(phone.normalize('not a number'), null);
+    });
+  });
+
+  describe('callingCode', function () {
+    it('returns the calling code of a country', function () {
+      assert.strictEqual(phone.callingCode('GB'), '44');
+      assert.strictEqual(phone.callingCode('ng'), '234');
+      assert.strictEqual(phone.callingCode('XX'), undefined);
+      assert.strictEqual(phone.callingCode(), undefined);
+    });
+  });
+});
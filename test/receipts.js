@@ -0,0 +1,157 @@
+var assert = require('assert');
+var Nexmo = require('../lib/nexmo');
+
+describe('Delivery receipts', function () {
+  // Store answering on a later tick, as a remote store would, its first read being the slowest
+  var slowStore = function slowStore () {
+    var entries = {};
+    var reads = 0;
+
+    return {
+      get: function (key, callback) {
+        var value = entries[key];
+
+        setTimeout(function () {
+          callback(null, value);
+        }, reads++ === 0 ? 20 : 5);
+      },
+      set: function (key, value, callback) {
+        setTimeout(function () {
+          entries[key] = value;
+          callback(null);
+        }, 5);
+      },
+      remove: function (key, callback) {
+        delete entries[key];
+        setImmediate(callback);
+      }
+    };
+  };
+
+  var receipt = function receipt (status) {
+    return { messageId: '0A0000000123ABCD', msisdn: '447700900123', to: 'MyApp', status: status };
+  };
+
+  var sendResponse = {
+    'message-count': '1',
+    messages: [{ 'message-id': '0A0000000123ABCD', to: '447700900123', status: '0', 'message-price': '0.05' }]
+  };
+
+  it('keeps the latest status of a message', function (done) {
+    var handler = Nexmo.createReceiptHandler();
+    var delivered = [];
+
+    handler.on('delivered', function (record) {
+      delivered.push(record.messageId);
+    });
+
+    handler.track(sendResponse, function (err) {
+      assert.ifError(err);
+
+      handler.receive(receipt('delivered'), function (err) {
+        assert.ifError(err);
+
+        handler.get('0A0000000123ABCD', function (err, record) {
+          assert.ifError(err);
+          assert.strictEqual(record.status, 'delivered');
+          assert.strictEqual(record.price, 0.05);
+          assert.deepStrictEqual(delivered, ['0A0000000123ABCD']);
+          done();
+        });
+      });
+    });
+  });
+
+  it('does not overwrite a receipt arriving while tracking', function (done) {
+    var handler = Nexmo.createReceiptHandler({ store: slowStore() });
+    var pending = 2;
+
+    var check = function check (err) {
+      assert.ifError(err);
+
+      if (--pending > 0) {
+        return;
+      }
+
+      handler.get('0A0000000123ABCD', function (err, record) {
+        assert.ifError(err);
+        assert.strictEqual(record.status, 'delivered');
+        done();
+      });
+    };
+
+    handler.track(sendResponse, check);
+    handler.receive(receipt('delivered'), check);
+  });
+
+  it('never replaces a final status with a late non-final one', function (done) {
+    var handler = Nexmo.createReceiptHandler({ store: slowStore() });
+    var finals = 0;
+
+    handler.on('delivered', function () {
+      finals++;
+    });
+
+    handler.receive(receipt('delivered'));
+    handler.receive(receipt('buffered'), function (err, record) {
+      assert.ifError(err);
+      assert.strictEqual(record.status, 'delivered');
+
+      handler.get('0A0000000123ABCD', function (err, stored) {
+        assert.ifError(err);
+        assert.strictEqual(stored.status, 'delivered');
+        assert.strictEqual(finals, 1);
+        done();
+      });
+    });
+  });
+
+  it('waits for the final status of a message', function () {
+    var handler = Nexmo.createReceiptHandler();
+    var waiting = handler.waitFor('0A0000000123ABCD', { timeout: 1000 });
+
+    handler.receive(receipt('buffered'));
+    handler.receive(receipt('delivered'));
+
+    return waiting.then(function (record) {
+      assert.strictEqual(record.status, 'delivered');
+
+      // Already known
+      return handler.waitFor('0A0000000123ABCD');
+    }).then(function (record) {
+      assert.strictEqual(record.status, 'delivered');
+    });
+  });
+
+  it('gives up waiting after the timeout', function () {
+    var handler = Nexmo.createReceiptHandler();
+
+    return handler.waitFor('0A0000000123ABCD', { timeout: 10 }).then(function () {
+      assert.fail('should time out');
+    }, function (err) {
+      assert.strictEqual(err.code, 'ETIMEDOUT');
+    });
+  });
+
+  it('lets an error thrown by a listener out of the promise chain', function (done) {
+    var handler = Nexmo.createReceiptHandler();
+    var listeners = process.listeners('uncaughtException');
+
+    // Mocha listens for uncaught exceptions, take them over for this test
+    process.removeAllListeners('uncaughtException');
+    process.once('uncaughtException', function (err) {
+      listeners.forEach(function (listener) {
+        process.on('uncaughtException', listener);
+      });
+
+      assert.strictEqual(err.message, 'listener failed');
+      done();
+    });
+
+    handler.on('delivered', function () {
+      throw new Error('listener failed');
+    });
+
+    handler.receive(receipt('delivered'));
+  });
+});
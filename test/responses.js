@@ -0,0 +1,90 @@
+var assert = require('assert');
+var responses = require('../lib/responses');
+
+describe('Responses', function () {
+  it('camel cases hyphenated and snake cased keys', function () {
+    assert.strictEqual(responses.camelCase('remaining-balance'), 'remainingBalance');
+    assert.strictEqual(responses.camelCase('international_format_number'), 'internationalFormatNumber');
+    assert.strictEqual(responses.camelCase('message-id'), 'messageId');
+    assert.strictEqual(responses.camelCase('value'), 'value');
+  });
+
+  it('splits a send response into parts with their ids, total cost and balance', function () {
+    var raw = {
+      'message-count': '2',
+      messages: [
+        { to: '447700900123', 'message-id': '0A0000001', status: '0', 'remaining-balance': '9.95000000', 'message-price': '0.05000000' },
+        { to: '447700900123', 'message-id': '0A0000002', status: '0', 'remaining-balance': '9.90000000', 'message-price': '0.05000000' }
+      ]
+    };
+    var result = responses.normalize(raw);
+
+    assert.strictEqual(result.messageCount, 2);
+    assert.strictEqual(result.messages, undefined);
+    assert.strictEqual(result.parts.length, 2);
+    assert.strictEqual(result.parts[0].status, 0);
+    assert.strictEqual(result.parts[1].messagePrice, 0.05);
+    assert.deepStrictEqual(result.messageIds, ['0A0000001', '0A0000002']);
+    assert.strictEqual(result.totalCost, 0.1);
+    assert.strictEqual(result.remainingBalance, 9.9);
+    assert.strictEqual(result.raw, raw);
+  });
+
+  it('leaves out the ids and prices of failed parts', function () {
+    var result = responses.normalize({
+      'message-count': '1',
+      messages: [{ to: '447700900123', status: '7', 'error-text': 'Number barred' }]
+    });
+
+    assert.deepStrictEqual(result.messageIds, []);
+    assert.strictEqual(result.totalCost, 0);
+    assert.strictEqual(result.remainingBalance, undefined);
+    assert.strictEqual(result.parts[0].errorText, 'Number barred');
+  });
+
+  it('types numbers and dates, and keeps other values as they are', function () {
+    var result = responses.normalize({
+      value: '10.5',
+      'auto-reload': false,
+      count: '',
+      price: 'n/a',
+      items: [{ 'date-received': '2014-05-05 12:30:00', 'error-code': '1', 'message-id': '0001' }]
+    });
+
+    assert.strictEqual(result.value, 10.5);
+    assert.strictEqual(result.autoReload, false);
+    assert.strictEqual(result.count, '');
+    assert.strictEqual(result.price, 'n/a');
+    assert.strictEqual(result.items[0].errorCode, 1);
+    assert.strictEqual(result.items[0].messageId, '0001');
+    assert.ok(result.items[0].dateReceived instanceof Date);
+    assert.strictEqual(result.items[0].dateReceived.toISOString(), '2014-05-05T12:30:00.000Z');
+  });
+
+  it('returns values that are not objects as they are', function () {
+    assert.strictEqual(responses.normalize(null), null);
+    assert.strictEqual(responses.normalize('OK'), 'OK');
+
+    var list = [{ 'message-id': '1' }];
+    assert.strictEqual(responses.normalize(list), list);
+  });
+
+  it('normalizes the responses of a bulk summary', function () {
+    var summary = {
+      total: 1,
+      succeeded: [{
+        to: '447700900123',
+        messageIds: ['0A0000001'],
+        cost: 0.05,
+        response: { 'message-count': '1', messages: [{ 'message-id': '0A0000001', status: '0', 'message-price': '0.05' }] }
+      }],
+      failed: []
+    };
+    var result = responses.normalizeSummary(summary);
+
+    assert.strictEqual(result.total, 1);
+    assert.strictEqual(result.failed, summary.failed);
+    assert.deepStrictEqual(result.succeeded[0].response.messageIds, ['0A0000001']);
+    assert.strictEqual(summary.succeeded[0].response.messages.length, 1);
+  });
+});
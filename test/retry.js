@@ -0,0 +1,75 @@
+var assert = require('assert');
+var http = require('http');
+var Nexmo = require('../lib/nexmo');
+
+describe('Retry', function () {
+  var requests = 0;
+  var server;
+  var port;
+
+  // Reads every request, then drops the connection without an answer
+  before(function (done) {
+    server = http.createServer(function (req) {
+      requests++;
+      req.resume();
+      req.on('end', function () {
+        req.socket.destroy();
+      });
+    });
+    server.listen(0, '127.0.0.1', function () {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  beforeEach(function () {
+    requests = 0;
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  var client = function client (retry) {
+    return new Nexmo({ key: 'key', secret: 'secret', baseUrl: 'http://127.0.0.1:' + port, retry: retry });
+  };
+
+  it('does not resend a message that may have gone through', function () {
+    return client({ retries: 2, minDelay: 1 }).sendTextMessage('MyApp', '447700900123', 'Hi').then(function () {
+      assert.fail('should fail');
+    }, function (err) {
+      assert.ok(err instanceof Nexmo.errors.HttpError);
+      assert.strictEqual(err.retries, 0);
+      assert.strictEqual(requests, 1);
+    });
+  });
+
+  it('resends when unsafe retries are enabled', function () {
+    return client({ retries: 2, minDelay: 1, unsafe: true }).sendTextMessage('MyApp', '447700900123', 'Hi').then(function () {
+      assert.fail('should fail');
+    }, function (err) {
+      assert.strictEqual(err.retries, 2);
+      assert.strictEqual(requests, 3);
+    });
+  });
+
+  it('retries lookups', function () {
+    return client({ retries: 2, minDelay: 1 }).getBalance().then(function () {
+      assert.fail('should fail');
+    }, function (err) {
+      assert.strictEqual(err.retries, 2);
+      assert.strictEqual(requests, 3);
+    });
+  });
+
+  it('retries a send that could not connect', function () {
+    var nexmo = new Nexmo({ key: 'key', secret: 'secret', baseUrl: 'http://127.0.0.1:1', retry: { retries: 1, minDelay: 1 } });
+
+    return nexmo.sendTextMessage('MyApp', '447700900123', 'Hi').then(function () {
+      assert.fail('should fail');
+    }, function (err) {
+      assert.strictEqual(err.code, 'ECONNREFUSED');
+      assert.strictEqual(err.retries, 1);
+    });
+  });
+});
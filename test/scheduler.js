@@ -0,0 +1,184 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Nexmo = require('../lib/nexmo');
+var Scheduler = require('../lib/scheduler');
+
+describe('Scheduler', function () {
+  var sandbox = Nexmo.createSandbox();
+  var file = path.join(os.tmpdir(), 'simple-nexmo-schedule-' + process.pid + '.json');
+  var quietHours = { start: '21:00', end: '08:00' };
+  var nexmo;
+
+  // Memory store failing the reads of some keys
+  var failingStore = function failingStore (fails) {
+    var entries = {};
+
+    return {
+      get: function (key, callback) {
+        setImmediate(callback, fails(key) ? new Error('Store unavailable') : null, entries[key]);
+      },
+      set: function (key, value, callback) {
+        entries[key] = JSON.parse(JSON.stringify(value));
+        setImmediate(callback, null);
+      },
+      remove: function (key, callback) {
+        delete entries[key];
+        setImmediate(callback, null);
+      }
+    };
+  };
+
+  before(function () {
+    return sandbox.listen().then(function (url) {
+      nexmo = new Nexmo({ sandbox: url, defaultCountry: 'GB' });
+    });
+  });
+
+  beforeEach(function () {
+    sandbox.reset();
+  });
+
+  afterEach(function () {
+    [file, file + '.tmp'].forEach(function (name) {
+      if (fs.existsSync(name)) {
+        fs.unlinkSync(name);
+      }
+    });
+  });
+
+  after(function () {
+    return sandbox.close();
+  });
+
+  describe('quiet hours', function () {
+    it('holds quiet hours that wrap past midnight', function () {
+      var london = ['Europe/London'];
+
+      assert.strictEqual(Scheduler.isQuiet(Date.parse('2030-01-15T20:59:00Z'), quietHours, london), false);
+      assert.strictEqual(Scheduler.isQuiet(Date.parse('2030-01-15T21:00:00Z'), quietHours, london), true);
+      assert.strictEqual(Scheduler.isQuiet(Date.parse('2030-01-16T07:59:00Z'), quietHours, london), true);
+      assert.strictEqual(Scheduler.isQuiet(Date.parse('2030-01-16T08:00:00Z'), quietHours, london), false);
+      assert.strictEqual(Scheduler.isQuiet(Date.parse('2030-01-15T12:00:00Z'), { start: '12:00', end: '13:00' }, london), true);
+    });
+
+    it('follows the local time of each time zone, daylight saving included', function () {
+      // 07:30 UTC is 08:30 in London in summer, but 07:30 in winter
+      assert.strictEqual(Scheduler.isQuiet(Date.parse('2030-07-15T07:30:00Z'), quietHours, ['Europe/London']), false);
+      assert.strictEqual(Scheduler.isQuiet(Date.parse('2030-01-15T07:30:00Z'), quietHours, ['Europe/London']), true);
+
+      assert.strictEqual(Scheduler.nextAllowed(Date.parse('2030-01-15T12:00:00Z'), quietHours, ['Australia/Sydney']),
+        Date.parse('2030-01-15T21:00:00Z'));
+    });
+
+    it('waits for quiet hours to end in every time zone of a country', function () {
+      // 08:00 in New York is still 05:00 in Los Angeles and 03:00 in Honolulu
+      var allowed = Scheduler.nextAllowed(Date.parse('2030-01-15T13:00:00Z'), quietHours, [
+        'America/New_York', 'America/Los_Angeles', 'Pacific/Honolulu'
+      ]);
+
+      assert.strictEqual(allowed, Date.parse('2030-01-15T18:00:00Z'));
+    });
+
+    it('delays a scheduled message past the quiet hours of the recipient', function () {
+      var scheduler = nexmo.createScheduler({ store: failingStore(function () { return false; }) });
+
+      return Promise.all([
+        scheduler.schedule({ from: 'MyApp', to: '+61412345678', text: 'Hi', sendAt: '2030-06-01T12:00:00Z', quietHours: true }),
+        scheduler.schedule({ from: 'MyApp', to: '+61412345678', text: 'Hi', sendAt: '2030-06-01T12:00:00Z', quietHours: true,
+          timezone: 'Asia/Tokyo' }),
+        scheduler.schedule({ from: 'MyApp', to: '+61412345678', text: 'Hi', sendAt: '2030-06-01T12:00:00Z' })
+      ]).then(function (jobs) {
+        // 22:00 in Sydney, held until 08:00 in Perth
+        assert.strictEqual(jobs[0].sendAt.toISOString(), '2030-06-02T00:00:00.000Z');
+        // 21:00 in Tokyo, held until 08:00
+        assert.strictEqual(jobs[1].sendAt.toISOString(), '2030-06-01T23:00:00.000Z');
+        assert.strictEqual(jobs[2].sendAt.toISOString(), '2030-06-01T12:00:00.000Z');
+      });
+    });
+
+    it('reads national numbers and shared calling codes with the default country of the client', function () {
+      var client = new Nexmo({ sandbox: sandbox.url, defaultCountry: 'CA' });
+      var scheduler = client.createScheduler({ store: failingStore(function () { return false; }) });
+
+      return scheduler.schedule({
+        from: 'MyApp',
+        to: '(416) 555-0123',
+        text: 'Hi',
+        sendAt: '2030-01-15T12:00:00Z',
+        quietHours: true
+      }).then(function (job) {
+        assert.strictEqual(job.to, '14165550123');
+        // 08:00 in Vancouver, the westernmost Canadian zone; US zones would wait for Honolulu
+        assert.strictEqual(job.sendAt.toISOString(), '2030-01-15T16:00:00.000Z');
+      });
+    });
+  });
+
+  describe('durability', function () {
+    it('sends messages left in the file by a previous process', function (done) {
+      var first = nexmo.createScheduler({ file: file });
+
+      first.schedule({ from: 'MyApp', to: '07700 900123', text: 'Sent after a restart', sendAt: Date.now() - 1000 })
+        .then(function (job) {
+          // A new process reads the same file
+          var second = nexmo.createScheduler({ file: file });
+
+          second.on('sent', function (sent) {
+            assert.strictEqual(sent.id, job.id);
+            assert.strictEqual(sandbox.last().to, '447700900123');
+            assert.strictEqual(sandbox.last().text, 'Sent after a restart');
+
+            second.stop();
+
+            nexmo.createScheduler({ file: file }).list().then(function (jobs) {
+              assert.strictEqual(jobs.length, 0);
+              done();
+            }).catch(done);
+          });
+
+          return second.list().then(function (jobs) {
+            assert.strictEqual(jobs.length, 1);
+            assert.strictEqual(jobs[0].id, job.id);
+
+            return second.start();
+          });
+        }).catch(done);
+    });
+
+    it('sends a number in international form to a client of another default country', function (done) {
+      var client = new Nexmo({ sandbox: sandbox.url, defaultCountry: 'US' });
+      var scheduler = client.createScheduler({ file: file });
+
+      scheduler.on('sent', function () {
+        scheduler.stop();
+        assert.strictEqual(sandbox.last().to, '447700900123');
+        done();
+      });
+      scheduler.on('failed', function (job, err) {
+        done(err);
+      });
+
+      scheduler.start().then(function () {
+        return scheduler.schedule({ from: 'MyApp', to: '+447700900123', text: 'Hi' });
+      }).catch(done);
+    });
+
+    it('emits `error` when the store fails in the background', function (done) {
+      var scheduler = nexmo.createScheduler({
+        store: failingStore(function (key) { return key !== 'scheduled:index'; })
+      });
+
+      scheduler.on('error', function (err) {
+        scheduler.stop();
+        assert.strictEqual(err.message, 'Store unavailable');
+        done();
+      });
+
+      scheduler.start().then(function () {
+        return scheduler.schedule({ from: 'MyApp', to: '447700900123', text: 'Hi', sendAt: Date.now() + 60000 });
+      }).catch(done);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+var assert = require('assert');
+var Nexmo = require('../lib/nexmo');
+
+describe('Search', function () {
+  var sandbox = Nexmo.createSandbox();
+  var nexmo;
+
+  before(function () {
+    return sandbox.listen().then(function (url) {
+      nexmo = new Nexmo({ sandbox: url });
+    });
+  });
+
+  beforeEach(function () {
+    sandbox.reset();
+  });
+
+  after(function () {
+    return sandbox.close();
+  });
+
+  it('finds a sent message by id', function () {
+    return nexmo.sendTextMessage('MyApp', '447700900123', 'Hello').then(function (response) {
+      return nexmo.searchMessage(response.messages[0]['message-id']);
+    }).then(function (message) {
+      assert.strictEqual(message.to, '447700900123');
+      assert.strictEqual(message.body, 'Hello');
+    });
+  });
+
+  it('finds messages by ids and by recipient', function () {
+    var today = new Date().toISOString().slice(0, 10);
+    var ids;
+
+    return nexmo.sendTextMessage('MyApp', '447700900123', new Array(201).join('x')).then(function (response) {
+      ids = response.messages.map(function (message) { return message['message-id']; });
+
+      return nexmo.searchMessageByIds(ids);
+    }).then(function (response) {
+      assert.strictEqual(response.count, 2);
+
+      return nexmo.searchMessagesByRecipient(today, '447700900123');
+    }).then(function (response) {
+      assert.strictEqual(response.count, 2);
+    });
+  });
+
+  it('finds rejected messages', function () {
+    var today = new Date().toISOString().slice(0, 10);
+
+    sandbox.failFor('447700900124', Nexmo.errors.STATUS.numberBarred);
+
+    return nexmo.sendTextMessage('MyApp', '447700900124', 'Hello').catch(function () {
+      return nexmo.searchRejections(today, '447700900124');
+    }).then(function (response) {
+      assert.strictEqual(response.count, 1);
+    });
+  });
+
+  it('rejects more than 10 ids', function () {
+    return nexmo.searchMessageByIds(new Array(12).join('x').split('')).then(function () {
+      assert.fail('should fail');
+    }, function (err) {
+      assert.strictEqual(err.code, 'tooManyMessageId');
+    });
+  });
+});
@@ -0,0 +1,144 @@
+var assert = require('assert');
+var crypto = require('crypto');
+var Nexmo = require('../lib/nexmo');
+
+describe('Signature', function () {
+  var secret = 'signature-secret';
+
+  // Callback parameters as Nexmo signs them, `age` seconds ago
+  var signed = function signed (method, age) {
+    var params = {
+      messageId: '0A0000000123ABCD1',
+      msisdn: '447700900123',
+      text: 'a&b=c',
+      timestamp: Math.floor(Date.now() / 1000) - (age || 0)
+    };
+
+    params.sig = Nexmo.signature.sign(params, secret, method);
+
+    return params;
+  };
+
+  it('signs sorted parameters, replacing `&` and `=` in values', function () {
+    var params = { text: 'a&b=c', msisdn: '447700900123', timestamp: 1400000000, sig: 'ignored' };
+    var input = '&msisdn=447700900123&text=a_b_c&timestamp=1400000000';
+
+    assert.strictEqual(Nexmo.signature.sign(params, secret),
+      crypto.createHash('md5').update(input + secret).digest('hex'));
+    assert.strictEqual(Nexmo.signature.sign(params, secret, 'sha256'),
+      crypto.createHmac('sha256', secret).update(input).digest('hex').toUpperCase());
+  });
+
+  ['md5hash', 'md5', 'sha1', 'sha256', 'sha512'].forEach(function (method) {
+    it('accepts a valid ' + method + ' signature, in either case', function () {
+      var verify = Nexmo.signature.createVerifier({ signatureSecret: secret, signatureMethod: method });
+      var params = signed(method);
+
+      params.sig = params.sig.toLowerCase();
+
+      assert.strictEqual(verify(params), null);
+      assert.strictEqual(verify(signed(method, 1)), null);
+    });
+  });
+
+  it('refuses a missing or wrong signature', function () {
+    var verify = Nexmo.signature.createVerifier({ signatureSecret: secret });
+    var tampered = signed();
+    var other = signed();
+
+    tampered.text = 'changed';
+    other.sig = Nexmo.signature.sign(other, 'other-secret');
+
+    [{ msisdn: '447700900123' }, tampered, other, signed('sha256')].forEach(function (params) {
+      var err = verify(params);
+
+      assert.ok(err instanceof Nexmo.errors.AuthenticationError);
+      assert.strictEqual(err.code, 'invalidSignature');
+      assert.strictEqual(err.statusCode, 401);
+    });
+  });
+
+  it('refuses an expired timestamp', function () {
+    var verify = Nexmo.signature.createVerifier({ signatureSecret: secret, maxAge: 60 });
+
+    assert.ok(/expired/.test(verify(signed('md5hash', 61)).message));
+    assert.ok(/expired/.test(verify(signed('md5hash', -61)).message));
+    assert.strictEqual(verify(signed('md5hash', 59)), null);
+  });
+
+  it('refuses a replayed signature', function () {
+    var verify = Nexmo.signature.createVerifier({ signatureSecret: secret });
+    var params = signed();
+
+    assert.strictEqual(verify(params), null);
+    assert.ok(/already been received/.test(verify(params).message));
+  });
+
+  it('accepts a callback again once forgotten', function () {
+    var verify = Nexmo.signature.createVerifier({ signatureSecret: secret });
+    var params = signed();
+
+    assert.strictEqual(verify(params), null);
+    verify.forget(params);
+    assert.strictEqual(verify(params), null);
+  });
+
+  it('throws on an unsupported signature method', function () {
+    assert.throws(function () {
+      Nexmo.signature.createVerifier({ signatureSecret: secret, signatureMethod: 'sha384' });
+    }, function (err) {
+      return err instanceof Nexmo.errors.ValidationError && err.code === 'invalidSignatureMethod';
+    });
+
+    assert.throws(function () {
+      Nexmo.createReceiptHandler({ signatureSecret: secret, signatureMethod: 'SHA256' });
+    }, Nexmo.errors.ValidationError);
+  });
+
+  it('accepts the retry of a callback that failed to be processed', function (done) {
+    var failures = 1;
+    var store = {
+      entries: {},
+      get: function (key, callback) {
+        setImmediate(callback, null, this.entries[key]);
+      },
+      set: function (key, value, callback) {
+        if (failures-- > 0) {
+          return setImmediate(callback, new Error('Store unavailable'));
+        }
+
+        this.entries[key] = value;
+        setImmediate(callback, null);
+      },
+      remove: function (key, callback) {
+        delete this.entries[key];
+        setImmediate(callback, null);
+      }
+    };
+    var handler = Nexmo.createReceiptHandler({ signatureSecret: secret, store: store });
+    var params = {
+      messageId: '0A0000000123ABCD1',
+      msisdn: '447700900123',
+      to: 'MyApp',
+      status: 'delivered',
+      'err-code': '0',
+      timestamp: Math.floor(Date.now() / 1000)
+    };
+
+    params.sig = Nexmo.signature.sign(params, secret);
+
+    handler.receive(params, function (err) {
+      assert.strictEqual(err.message, 'Store unavailable');
+
+      handler.receive(params, function (err, record) {
+        assert.ifError(err);
+        assert.strictEqual(record.status, 'delivered');
+
+        handler.receive(params, function (err) {
+          assert.strictEqual(err.statusCode, 401);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+var assert = require('assert');
+var Nexmo = require('../lib/nexmo');
+
+describe('Messaging SMS', function () {
+  var sandbox = Nexmo.createSandbox();
+  var nexmo;
+
+  before(function () {
+    return sandbox.listen().then(function (url) {
+      nexmo = new Nexmo({ sandbox: url });
+    });
+  });
+
+  beforeEach(function () {
+    sandbox.reset();
+  });
+
+  after(function () {
+    return sandbox.close();
+  });
+
+  it('sends a text message', function () {
+    return nexmo.sendTextMessage('MyApp', '447700900123', 'Hello').then(function (response) {
+      assert.strictEqual(response['message-count'], '1');
+      assert.strictEqual(response.messages[0].status, '0');
+      assert.strictEqual(sandbox.last().to, '447700900123');
+      assert.strictEqual(sandbox.last().text, 'Hello');
+      assert.strictEqual(sandbox.last().type, 'text');
+    });
+  });
+
+  it('calls back when given a callback', function (done) {
+    nexmo.sendTextMessage('MyApp', '447700900123', 'Hello', function (err, response) {
+      assert.ifError(err);
+      assert.strictEqual(response.messages.length, 1);
+      done();
+    });
+  });
+
+  it('sends unicode messages as unicode', function () {
+    return nexmo.sendTextMessage('MyApp', '447700900123', 'Привет').then(function () {
+      assert.strictEqual(sandbox.last().type, 'unicode');
+    });
+  });
+
+  it('splits long messages into parts', function () {
+    return nexmo.sendTextMessage('MyApp', '447700900123', new Array(201).join('x')).then(function (response) {
+      assert.strictEqual(response.messages.length, 2);
+      assert.strictEqual(sandbox.find({ to: '447700900123' }).length, 2);
+    });
+  });
+
+  it('passes message options', function () {
+    return nexmo.sendSMS({ from: 'MyApp', to: '447700900123', text: 'Hi', clientRef: 'order-1', statusReportReq: true })
+      .then(function () {
+        assert.strictEqual(sandbox.last().params['client-ref'], 'order-1');
+        assert.strictEqual(sandbox.last().params['status-report-req'], '1');
+      });
+  });
+
+  it('refuses unknown options without a request', function () {
+    return nexmo.sendSMS({ from: 'MyApp', to: '447700900123', text: 'Hi', clientref: 'order-1' }).then(function () {
+      assert.fail('should not send');
+    }, function (err) {
+      assert.strictEqual(err.code, 'unknownOption');
+      assert.strictEqual(sandbox.messages.length, 0);
+    });
+  });
+
+  it('rejects an invalid recipient without a request', function () {
+    return nexmo.sendTextMessage('MyApp', 'not a number', 'Hi').then(function () {
+      assert.fail('should not send');
+    }, function (err) {
+      assert.ok(err instanceof Nexmo.errors.InvalidRecipientError);
+      assert.strictEqual(sandbox.requests.length, 0);
+    });
+  });
+
+  it('turns a failed status into an error', function () {
+    sandbox.failNext(Nexmo.errors.STATUS.invalidMessage);
+
+    return nexmo.sendTextMessage('MyApp', '447700900123', 'Hi').then(function () {
+      assert.fail('should fail');
+    }, function (err) {
+      assert.ok(err instanceof Nexmo.errors.NexmoError);
+      assert.strictEqual(err.status, Nexmo.errors.STATUS.invalidMessage);
+    });
+  });
+
+  it('debits the balance', function () {
+    return nexmo.sendTextMessage('MyApp', '447700900123', 'Hi').then(function (response) {
+      assert.strictEqual(parseFloat(response.messages[0]['remaining-balance']), 9.95);
+    });
+  });
+
+  it('sends binary and WAP push messages', function () {
+    return nexmo.sendBinaryMessage('MyApp', '447700900123', '0011', '06050415811581').then(function () {
+      assert.strictEqual(sandbox.last().type, 'binary');
+
+      return nexmo.sendWapPushMessage('MyApp', '447700900123', 'News', 'http://example.com');
+    }).then(function () {
+      assert.strictEqual(sandbox.last().type, 'wappush');
+    });
+  });
+
+  it('sends USSD messages', function () {
+    return nexmo.sendUSSDPush('MyApp', '447700900123', 'Hello').then(function () {
+      assert.strictEqual(sandbox.last().kind, 'ussd');
+    });
+  });
+
+  it('sends 2FA codes', function () {
+    return nexmo.send2FACode('447700900123', '1234').then(function (response) {
+      assert.strictEqual(response.messages[0].status, '0');
+      assert.strictEqual(sandbox.last().kind, '2fa');
+    });
+  });
+});
@@ -0,0 +1,67 @@
+var assert = require('assert');
+var Nexmo = require('../lib/nexmo');
+
+describe('Spend guard', function () {
+  var sandbox = Nexmo.createSandbox({ price: 0.1 });
+  var url;
+
+  before(function () {
+    return sandbox.listen().then(function (sandboxUrl) {
+      url = sandboxUrl;
+    });
+  });
+
+  beforeEach(function () {
+    sandbox.reset();
+  });
+
+  after(function () {
+    return sandbox.close();
+  });
+
+  it('refuses sends once the daily budget is spent', function () {
+    var guard = Nexmo.createSpendGuard({ daily: 0.2 });
+    var nexmo = new Nexmo({ sandbox: url, spendGuard: guard });
+    var send = function send () {
+      return nexmo.sendTextMessage('MyApp', '447700900123', 'Hi');
+    };
+
+    return send().then(send).then(send).then(function () {
+      assert.fail('should be refused');
+    }, function (err) {
+      assert.ok(err instanceof Nexmo.errors.SpendLimitError);
+      assert.strictEqual(err.code, 'budgetExceeded');
+      assert.strictEqual(sandbox.messages.length, 2);
+    });
+  });
+
+  it('refuses sends at the minimum balance', function () {
+    var guard = Nexmo.createSpendGuard({ minBalance: 20 });
+    var nexmo = new Nexmo({ sandbox: url, spendGuard: guard });
+
+    return nexmo.sendTextMessage('MyApp', '447700900123', 'Hi').then(function () {
+      assert.fail('should be refused');
+    }, function (err) {
+      assert.strictEqual(err.code, 'minimumBalance');
+      assert.strictEqual(sandbox.messages.length, 0);
+    });
+  });
+
+  it('reads the balance once, even when it fails', function () {
+    var guard = Nexmo.createSpendGuard({ minBalance: 1 });
+    var reads = 0;
+    var client = {
+      getBalance: function () {
+        reads++;
+        return Promise.reject(new Error('down'));
+      }
+    };
+
+    return Promise.all([guard.check(null, client), guard.check(null, client)]).then(function () {
+      return guard.check(null, client);
+    }).then(function () {
+      assert.strictEqual(reads, 1);
+      assert.strictEqual(guard.balance, undefined);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+var assert = require('assert');
+var Nexmo = require('../lib/nexmo');
+
+describe('Suppression list', function () {
+  var sandbox = Nexmo.createSandbox();
+  var url;
+
+  before(function () {
+    return sandbox.listen().then(function (sandboxUrl) {
+      url = sandboxUrl;
+    });
+  });
+
+  beforeEach(function () {
+    sandbox.reset();
+  });
+
+  after(function () {
+    return sandbox.close();
+  });
+
+  it('blocks an opted out number under a foreign default country', function () {
+    var list = Nexmo.createSuppressionList({ defaultCountry: 'FR', replies: false });
+    var nexmo = new Nexmo({ sandbox: url, suppression: list });
+
+    return list.add('+447700900123').then(function () {
+      return nexmo.sendTextMessage('MyApp', '447700900123', 'Hi');
+    }).then(function () {
+      assert.fail('should be refused');
+    }, function (err) {
+      assert.ok(err instanceof Nexmo.errors.SuppressedRecipientError);
+      assert.strictEqual(sandbox.messages.length, 0);
+    });
+  });
+
+  it('fails to check a number it cannot read', function () {
+    var list = Nexmo.createSuppressionList({ defaultCountry: 'FR' });
+
+    return list.check('447700900123').then(function () {
+      assert.fail('should fail');
+    }, function (err) {
+      assert.ok(err instanceof Nexmo.errors.InvalidRecipientError);
+    });
+  });
+
+  it('adds, lists, checks and removes numbers', function () {
+    var list = Nexmo.createSuppressionList();
+
+    return list.add('+44 7700 900123', { reason: 'complaint' }).then(function (record) {
+      assert.strictEqual(record.number, '447700900123');
+      assert.strictEqual(record.reason, 'complaint');
+
+      return list.list();
+    }).then(function (records) {
+      assert.deepStrictEqual(records.map(function (record) { return record.number; }), ['447700900123']);
+
+      return list.check('+447700900123');
+    }).then(function () {
+      assert.fail('should be suppressed');
+    }, function (err) {
+      assert.strictEqual(err.code, 'suppressed');
+      assert.strictEqual(err.number, '447700900123');
+
+      return list.remove('+447700900123');
+    }).then(function (removed) {
+      assert.strictEqual(removed, true);
+
+      return list.remove('+447700900123');
+    }).then(function (removed) {
+      assert.strictEqual(removed, false);
+
+      return list.check('+447700900123');
+    });
+  });
+
+  it('acts on STOP and START keywords and confirms them', function () {
+    var list = Nexmo.createSuppressionList();
+    var nexmo = new Nexmo({ sandbox: url, suppression: list });
+    var message = function message (text) {
+      return { from: '447700900123', to: '447700900100', text: text };
+    };
+
+    return list.receive(message(' stop ')).then(function (action) {
+      assert.strictEqual(action, 'stop');
+      assert.strictEqual(sandbox.last().to, '447700900123');
+      assert.ok(/unsubscribed/.test(sandbox.last().text));
+
+      return nexmo.sendTextMessage('MyApp', '447700900123', 'Offer');
+    }).then(function () {
+      assert.fail('should be refused');
+    }, function (err) {
+      assert.strictEqual(err.code, 'suppressed');
+
+      return list.receive(message('START'));
+    }).then(function (action) {
+      assert.strictEqual(action, 'start');
+
+      return list.receive(message('Thanks'));
+    }).then(function (action) {
+      assert.strictEqual(action, null);
+
+      return nexmo.sendTextMessage('MyApp', '447700900123', 'Offer');
+    }).then(function () {
+      assert.strictEqual(sandbox.last().text, 'Offer');
+    });
+  });
+
+  it('watches an inbound handler', function (done) {
+    var list = Nexmo.createSuppressionList({ replies: false });
+    var inbound = Nexmo.createInboundHandler();
+
+    list.watch(inbound);
+    list.on('suppressed', function (record) {
+      assert.strictEqual(record.number, '447700900123');
+      assert.strictEqual(record.source, 'keyword');
+      done();
+    });
+
+    inbound.receive({ msisdn: '447700900123', to: '447700900100', text: 'STOP' });
+  });
+
+  it('emits a keyword it could not save as error', function (done) {
+    var failing = {
+      get: function (key, callback) { callback(null, undefined); },
+      set: function (key, value, callback) { callback(new Error('store down')); },
+      remove: function (key, callback) { callback(null); }
+    };
+    var list = Nexmo.createSuppressionList({ store: failing, replies: false });
+    var inbound = Nexmo.createInboundHandler();
+
+    list.watch(inbound);
+    list.on('error', function (err, message) {
+      assert.strictEqual(err.message, 'store down');
+      assert.strictEqual(message.text, 'STOP');
+      done();
+    });
+
+    inbound.receive({ msisdn: '447700900123', to: '447700900100', text: 'STOP' });
+  });
+});
@@ -0,0 +1,43 @@
+var assert = require('assert');
+var Nexmo = require('../lib/nexmo');
+
+describe('Throttle', function () {
+  var sandbox = Nexmo.createSandbox();
+  var url;
+
+  before(function () {
+    return sandbox.listen().then(function (sandboxUrl) {
+      url = sandboxUrl;
+    });
+  });
+
+  beforeEach(function () {
+    sandbox.reset();
+  });
+
+  after(function () {
+    return sandbox.close();
+  });
+
+  it('spaces out sends to the given rate', function () {
+    var nexmo = new Nexmo({ sandbox: url, throttle: { messagesPerSecond: 20 } });
+    var started = Date.now();
+
+    return Promise.all([1, 2, 3].map(function () {
+      return nexmo.sendTextMessage('MyApp', '447700900123', 'Hi');
+    })).then(function () {
+      assert.ok(Date.now() - started >= 90);
+      assert.strictEqual(sandbox.messages.length, 3);
+    });
+  });
+
+  it('refuses a missing or invalid rate', function () {
+    [true, {}, { messagesPerSecond: '30' }, { messagesPerSecond: 0 }, { messagesPerSecond: -1 }].forEach(function (throttle) {
+      assert.throws(function () {
+        return new Nexmo({ sandbox: url, throttle: throttle });
+      }, function (err) {
+        return err instanceof Nexmo.errors.ValidationError && err.code === 'invalidThrottleRate';
+      });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+var assert = require('assert');
+var Nexmo = require('../lib/nexmo');
+
+describe('USSD', function () {
+  var sandbox = Nexmo.createSandbox();
+  var nexmo;
+
+  var states = {
+    main: { text: 'Welcome\n1. Balance\n2. Change name', on: { '1': 'balance', '2': 'askName' } },
+    balance: { end: true, text: function (session) { return 'Balance of ' + session.subscriber + ': 10'; } },
+    askName: {
+      text: 'Your new name?',
+      next: function (input, session) {
+        session.data.name = input;
+        return Promise.resolve(input ? 'done' : null);
+      }
+    },
+    done: { end: true, text: function (session) { return Promise.resolve('Thanks ' + session.data.name); } }
+  };
+
+  // Inbound USSD message from the subscriber
+  var dial = function dial (menu, text) {
+    return menu.receive({ msisdn: '447700900123', to: '447700900999', text: text, type: 'text' });
+  };
+
+  before(function () {
+    return sandbox.listen().then(function (url) {
+      nexmo = new Nexmo({ sandbox: url });
+    });
+  });
+
+  beforeEach(function () {
+    sandbox.reset();
+  });
+
+  after(function () {
+    return sandbox.close();
+  });
+
+  it('prompts the initial menu and walks the states to a push', function () {
+    var menu = Nexmo.createUssdHandler({ client: nexmo, states: states });
+    var events = [];
+
+    ['start', 'input', 'end'].forEach(function (name) {
+      menu.on(name, function () {
+        events.push(name);
+      });
+    });
+
+    return dial(menu, '*123#').then(function (session) {
+      assert.strictEqual(session.state, 'main');
+      assert.strictEqual(sandbox.last().kind, 'ussd-prompt');
+      assert.strictEqual(sandbox.last().from, '447700900999');
+      assert.strictEqual(sandbox.last().text, states.main.text);
+
+      return dial(menu, ' 2 ');
+    }).then(function (session) {
+      assert.strictEqual(session.state, 'askName');
+
+      return dial(menu, 'Alice');
+    }).then(function (session) {
+      assert.strictEqual(session.ended, true);
+      assert.strictEqual(sandbox.last().kind, 'ussd');
+      assert.strictEqual(sandbox.last().text, 'Thanks Alice');
+      assert.deepStrictEqual(events, ['start', 'input', 'input', 'end']);
+
+      return menu.getSession('447700900123');
+    }).then(function (session) {
+      assert.strictEqual(session, undefined);
+    });
+  });
+
+  it('prompts the same menu again on an unknown choice', function () {
+    var menu = Nexmo.createUssdHandler({ client: nexmo, states: states, invalidText: 'Try again.' });
+
+    return dial(menu, '*123#').then(function () {
+      return dial(menu, '9');
+    }).then(function (session) {
+      assert.strictEqual(session.state, 'main');
+      assert.strictEqual(sandbox.last().text, 'Try again.\n' + states.main.text);
+    });
+  });
+
+  it('starts over once the session timed out or was ended', function () {
+    var menu = Nexmo.createUssdHandler({ client: nexmo, states: states, timeout: 20 });
+
+    return dial(menu, '*123#').then(function () {
+      return new Promise(function (resolve) {
+        setTimeout(resolve, 30);
+      });
+    }).then(function () {
+      return dial(menu, '2');
+    }).then(function (session) {
+      assert.strictEqual(session.state, 'main');
+
+      return menu.endSession('447700900123');
+    }).then(function () {
+      return menu.getSession('447700900123');
+    }).then(function (session) {
+      assert.strictEqual(session, undefined);
+    });
+  });
+
+  it('sends the replies from a fixed sender', function () {
+    var menu = Nexmo.createUssdHandler({ client: nexmo, states: states, initial: 'balance', from: 'MyApp' });
+
+    return dial(menu, '*123#').then(function (session) {
+      assert.strictEqual(session.ended, true);
+      assert.strictEqual(sandbox.last().from, 'MyApp');
+      assert.strictEqual(sandbox.last().text, 'Balance of 447700900123: 10');
+    });
+  });
+
+  it('fails on a state that does not exist', function () {
+    var menu = Nexmo.createUssdHandler({
+      client: nexmo,
+      states: { main: { text: 'Menu', on: { '1': 'missing' } } }
+    });
+
+    assert.throws(function () {
+      Nexmo.createUssdHandler({ client: nexmo, states: states, initial: 'missing' });
+    }, /Unknown initial USSD state/);
+
+    return dial(menu, '*123#').then(function () {
+      return dial(menu, '1');
+    }).then(function () {
+      assert.fail('should have failed');
+    }, function (err) {
+      assert.ok(/Unknown USSD state missing/.test(err.message));
+    });
+  });
+
+  it('ignores requests that are not messages', function () {
+    var menu = Nexmo.createUssdHandler({ client: nexmo, states: states });
+
+    return menu.receive({}).then(function (session) {
+      assert.strictEqual(session, null);
+      assert.strictEqual(sandbox.messages.length, 0);
+    });
+  });
+});
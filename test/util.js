@@ -0,0 +1,64 @@
+var assert = require('assert');
+var MemoryStore = require('../lib/memory-store');
+var util = require('../lib/util');
+
+describe('Util', function () {
+  it('wraps a callback store in Promises', function () {
+    var store = util.promiseStore(new MemoryStore());
+
+    return store.set('key', { value: 1 }).then(function () {
+      return store.get('key');
+    }).then(function (value) {
+      assert.deepStrictEqual(value, { value: 1 });
+
+      return store.remove('key');
+    }).then(function () {
+      return store.get('key');
+    }).then(function (value) {
+      assert.strictEqual(value, undefined);
+    });
+  });
+
+  it('runs the tasks of a key one after another', function () {
+    var serialize = util.createQueue();
+    var order = [];
+
+    var task = function task (name, delay) {
+      return function () {
+        order.push(name + ':start');
+
+        return new Promise(function (resolve) {
+          setTimeout(function () {
+            order.push(name + ':end');
+            resolve(name);
+          }, delay);
+        });
+      };
+    };
+
+    return Promise.all([
+      serialize('a', task('first', 20)),
+      serialize('a', task('second', 0)),
+      serialize('b', task('other', 0))
+    ]).then(function (results) {
+      assert.deepStrictEqual(results, ['first', 'second', 'other']);
+      assert.ok(order.indexOf('first:end') < order.indexOf('second:start'));
+      assert.ok(order.indexOf('other:end') < order.indexOf('first:end'));
+    });
+  });
+
+  it('keeps running tasks after a failed one', function () {
+    var serialize = util.createQueue();
+
+    var failed = serialize('a', function () {
+      return Promise.reject(new Error('boom'));
+    });
+
+    return Promise.all([
+      failed.catch(function (err) { return err.message; }),
+      serialize('a', function () { return Promise.resolve('next'); })
+    ]).then(function (results) {
+      assert.deepStrictEqual(results, ['boom', 'next']);
+    });
+  });
+});
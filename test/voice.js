@@ -0,0 +1,45 @@
+var assert = require('assert');
+var Nexmo = require('../lib/nexmo');
+
+describe('Voice TTS', function () {
+  var sandbox = Nexmo.createSandbox();
+  var nexmo;
+
+  before(function () {
+    return sandbox.listen().then(function (url) {
+      nexmo = new Nexmo({ sandbox: url });
+    });
+  });
+
+  beforeEach(function () {
+    sandbox.reset();
+  });
+
+  after(function () {
+    return sandbox.close();
+  });
+
+  it('calls a number', function () {
+    return nexmo.sendTTSMessage('MyApp', '447700900123', 'Hello', { voice: 'female', repeat: 2 }).then(function (response) {
+      assert.ok(response['call-id']);
+      assert.strictEqual(sandbox.calls.length, 1);
+      assert.strictEqual(sandbox.calls[0].params.voice, 'female');
+      assert.strictEqual(sandbox.calls[0].params.repeat, '2');
+    });
+  });
+
+  it('refuses unknown call options', function () {
+    return nexmo.sendTTSMessage('MyApp', '447700900123', 'Hello', { voic: 'female' }).then(function () {
+      assert.fail('should not call');
+    }, function (err) {
+      assert.strictEqual(err.code, 'invalidVoiceOption');
+      assert.strictEqual(sandbox.calls.length, 0);
+    });
+  });
+
+  it('sends a prompt', function () {
+    return nexmo.sendTTSPrompt('MyApp', '447700900123', 'Enter your code', { maxDigits: 4 }).then(function () {
+      assert.strictEqual(sandbox.calls[0].params.max_digits, '4');
+    });
+  });
+});
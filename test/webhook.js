@@ -0,0 +1,77 @@
+var assert = require('assert');
+var http = require('http');
+var Nexmo = require('../lib/nexmo');
+var webhook = require('../lib/webhook');
+
+describe('Webhook', function () {
+  it('parses a form body', function (done) {
+    var server = http.createServer(function (req, res) {
+      webhook.parseRequest(req, function (err, params) {
+        assert.ifError(err);
+        assert.strictEqual(params.msisdn, '447700900123');
+        assert.strictEqual(params.text, 'Hello world');
+        res.end();
+      });
+    });
+
+    server.listen(0, '127.0.0.1', function () {
+      var req = http.request({
+        port: server.address().port,
+        host: '127.0.0.1',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      }, function (res) {
+        res.resume();
+        server.close(done);
+      });
+
+      req.end('msisdn=447700900123&text=Hello+world');
+    });
+  });
+
+  it('stops reading a body over the size limit', function () {
+    var handler = Nexmo.createInboundHandler();
+    var server = http.createServer(handler.handle);
+
+    return new Promise(function (resolve) {
+      server.listen(0, '127.0.0.1', resolve);
+    }).then(function () {
+      return new Promise(function (resolve) {
+        var req = http.request({
+          port: server.address().port,
+          host: '127.0.0.1',
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        }, function (res) {
+          res.resume();
+          res.on('end', function () {
+            resolve({ statusCode: res.statusCode, written: written });
+          });
+        });
+        var chunk = new Array(64 * 1024 + 1).join('x');
+        var written = 0;
+
+        // Keep writing as long as the server reads, up to 8 MB
+        var write = function write () {
+          while (written < 128 && !req.destroyed) {
+            written++;
+            if (!req.write(chunk)) {
+              return req.once('drain', write);
+            }
+          }
+          req.end();
+        };
+
+        req.on('error', function () {});
+        write();
+      });
+    }).then(function (result) {
+      assert.strictEqual(result.statusCode, 400);
+      assert.ok(result.written < 128);
+
+      return new Promise(function (resolve) {
+        server.close(resolve);
+      });
+    });
+  });
+});